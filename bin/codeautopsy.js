@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * CodeAutopsy command-line entry point
+ * Usage: codeautopsy analyze <build.log | -> [--apply] [--json]
+ */
+
+import { main } from '../src/cli.js';
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,28 +1,27 @@
 /**
  * Operator Agent
- * Creates Pull Requests and manages GitHub interactions for fixes
+ * Creates Pull Requests (GitLab: merge requests) and manages SCM interactions for fixes
  */
 
-import {
-    createBranch,
-    createOrUpdateFile,
-    createPullRequest,
-    createIssue,
-    getDefaultBranch,
-    getFileContent,
-} from '../config/github.js';
-import { generateContent } from '../config/ai-provider.js';
+import { getScmProvider } from '../scm/index.js';
+import { generateContent, generateStructured } from '../config/ai-provider.js';
 import { getPRDescriptionPrompt, getIssueBodyPrompt } from '../prompts/analysis-prompt.js';
+import { prDescriptionResponseSchema } from '../prompts/response-schemas.js';
+import { truncateDiff, getLineReplacements, getNewLineRanges } from '../utils/diff.js';
 import logger from '../utils/logger.js';
 
 /**
- * Operator Agent - Manages PR/Issue creation and GitHub operations
+ * Operator Agent - Manages PR/Issue creation through the job's SCM provider
  */
 class OperatorAgent {
     constructor() {
         this.name = 'Operator';
         this.branchPrefix = 'autopsy/fix';
         this.labels = ['autopsy-fix', 'automated-pr'];
+        this.issueLabels = ['autopsy-analysis', 'needs-review', 'bug'];
+        this.configIssueLabels = ['autopsy-config'];
+        // GitHub rejects PR bodies over 65536 characters
+        this.maxPRDiffLength = 50000;
     }
 
     /**
@@ -36,86 +35,166 @@ class OperatorAgent {
         filePath,
         originalCode,
         fixedCode,
+        files = null,
         commitSha,
+        branch = null,
+        fixTarget = 'failing-branch',
         errorInfo,
         diffSummary,
+        diff = null,
+        diffStats = null,
         runId,
         logsUrl,
+        reviewers = [],
+        autoMerge = false,
+        labels = this.labels,
     }) {
         const startTime = logger.startOperation('OperatorAgent.createFixPR', {
             owner,
             repo,
             filePath,
+            fixTarget,
         });
 
         try {
-            // Get default branch
-            const baseBranch = await getDefaultBranch(owner, repo);
+            const scm = getScmProvider();
+            const target = await this.resolveFixTarget({ owner, repo, branch, commitSha, fixTarget });
+            const { baseBranch } = target;
+
+            // Suggestions need no commit: the author applies them from the review
+            if (target.target === 'review-suggestions') {
+                const reviewed = await this.postReviewSuggestions({
+                    owner,
+                    repo,
+                    pullRequest: target.pullRequest,
+                    commitSha,
+                    files: files && files.length > 0 ? files : [{ path: filePath, originalCode, fixedCode }],
+                    errorInfo,
+                    diffSummary,
+                    diff,
+                    diffStats,
+                    runId,
+                    logsUrl,
+                });
+
+                logger.endOperation('OperatorAgent.createFixPR', startTime, {
+                    prNumber: reviewed.prNumber,
+                    prUrl: reviewed.prUrl,
+                    target: reviewed.target,
+                });
+                return reviewed;
+            }
 
             // Create fix branch name
             const timestamp = Date.now();
             const shortSha = commitSha.substring(0, 7);
             const branchName = `${this.branchPrefix}-${timestamp}-${shortSha}`;
 
-            // Get current file SHA for update
-            let fileSha = null;
-            try {
-                const currentFile = await getFileContent(owner, repo, filePath, baseBranch);
-                fileSha = currentFile.sha;
-            } catch (error) {
-                logger.warn('Could not get current file SHA', { error: error.message });
+            // Single-file callers still pass filePath/fixedCode
+            const changes = files && files.length > 0
+                ? files.map(f => ({ path: f.path, content: f.fixedCode }))
+                : [{ path: filePath, content: fixedCode }];
+            const extraFiles = changes.length - 1;
+            const titleSuffix = extraFiles > 0 ? ` (+${extraFiles} file${extraFiles === 1 ? '' : 's'})` : '';
+
+            // Write every changed file as one commit on top of the failing commit
+            const commitMessage = `[CodeAutopsy] Fix ${errorInfo.errorType} in ${filePath}${titleSuffix}`;
+
+            if (target.target === 'pull-request') {
+                const pushed = await this.pushFixToPullRequest({
+                    owner,
+                    repo,
+                    pullRequest: target.pullRequest,
+                    commitSha,
+                    changes,
+                    title: commitMessage,
+                    errorInfo,
+                    diffSummary,
+                    diff,
+                    diffStats,
+                    runId,
+                    logsUrl,
+                });
+
+                if (pushed) {
+                    logger.endOperation('OperatorAgent.createFixPR', startTime, {
+                        prNumber: pushed.prNumber,
+                        prUrl: pushed.prUrl,
+                        target: pushed.target,
+                    });
+                    return pushed;
+                }
             }
 
-            // Create the branch
-            await createBranch(owner, repo, branchName, commitSha);
-            logger.debug('Branch created', { branchName });
-
-            // Commit the fix
-            const commitMessage = `[CodeAutopsy] Fix ${errorInfo.errorType} in ${filePath}`;
-            await createOrUpdateFile(
-                owner,
-                repo,
-                filePath,
-                fixedCode,
-                commitMessage,
-                branchName,
-                fileSha
-            );
-            logger.debug('Fix committed', { branchName, filePath });
+            // Commit onto a new fix branch
+            const commit = await scm.commitFiles(owner, repo, {
+                branch: branchName,
+                baseSha: commitSha,
+                files: changes,
+                message: commitMessage,
+            });
+            logger.debug('Fix committed', { branchName, files: changes.map(c => c.path) });
 
             // Generate PR description
             const prBody = await this.generatePRBody({
                 errorInfo,
-                filePath,
+                filePath: changes.map(c => c.path).join(', '),
                 diffSummary,
+                diff,
+                diffStats,
                 runId,
                 logsUrl,
             });
 
             // Create the Pull Request
-            const prTitle = `[CodeAutopsy] Fix ${errorInfo.errorType} in ${filePath}`;
-            const pr = await createPullRequest(
+            const prTitle = `[CodeAutopsy] Fix ${errorInfo.errorType} in ${filePath}${titleSuffix}`;
+            const pr = await scm.createPullRequest(
                 owner,
                 repo,
                 prTitle,
                 prBody,
                 branchName,
                 baseBranch,
-                this.labels
+                labels
             );
 
+            // Reviewer assignment and auto-merge are best-effort: the PR is already open
+            if (reviewers.length > 0 && scm.requestReviewers) {
+                try {
+                    await scm.requestReviewers(owner, repo, pr.number, reviewers);
+                } catch (error) {
+                    logger.warn('Could not request reviewers', { prNumber: pr.number, error: error.message });
+                }
+            }
+
+            let autoMergeEnabled = false;
+            if (autoMerge && pr.node_id && scm.enableAutoMerge) {
+                try {
+                    await scm.enableAutoMerge(pr.node_id);
+                    autoMergeEnabled = true;
+                } catch (error) {
+                    logger.warn('Could not enable auto-merge', { prNumber: pr.number, error: error.message });
+                }
+            }
+
             const result = {
                 success: true,
                 prNumber: pr.number,
                 prUrl: pr.html_url,
                 branchName,
                 baseBranch,
+                target: target.target === 'pull-request' ? 'failing-branch' : target.target,
+                commitSha: commit.sha,
+                files: changes.map(c => c.path),
                 title: prTitle,
+                reviewers,
+                autoMergeEnabled,
             };
 
             logger.endOperation('OperatorAgent.createFixPR', startTime, {
                 prNumber: result.prNumber,
                 prUrl: result.prUrl,
+                target: result.target,
             });
 
             return result;
@@ -125,6 +204,306 @@ class OperatorAgent {
         }
     }
 
+    /**
+     * Decide where a fix goes. The fix commit is always built on the failing commit, so the PR
+     * base must be the branch that commit lives on; the default branch is only used when the
+     * failing branch is gone, unknown, or itself an autopsy fix branch.
+     * @param {object} params - Target parameters
+     * @param {string} params.owner - Repository owner
+     * @param {string} params.repo - Repository name
+     * @param {string|null} params.branch - Branch the failing run was on
+     * @param {string} params.commitSha - Failing commit SHA
+     * @param {string} params.fixTarget - 'failing-branch', 'default-branch', 'pull-request' or
+     *   'review-suggestions'
+     * @returns {Promise<{target: string, baseBranch: string, pullRequest: object|null}>} Resolved
+     *   target; pullRequest is the author's open PR when the fix should be pushed to or reviewed on it
+     */
+    async resolveFixTarget({ owner, repo, branch, commitSha, fixTarget = 'failing-branch' }) {
+        const scm = getScmProvider();
+        const defaultBranch = await scm.getDefaultBranch(owner, repo);
+        const defaultTarget = { target: 'default-branch', baseBranch: defaultBranch, pullRequest: null };
+
+        if (fixTarget === 'default-branch' || !branch || branch === 'unknown'
+            || branch.startsWith(this.branchPrefix)) {
+            return defaultTarget;
+        }
+
+        if (fixTarget === 'pull-request') {
+            const pullRequest = await scm.findOpenPullRequest(owner, repo, branch, commitSha);
+            if (pullRequest) {
+                return { target: 'pull-request', baseBranch: branch, pullRequest };
+            }
+            logger.debug('No open pull request for failing branch, opening a fix PR', { branch });
+        }
+
+        if (fixTarget === 'review-suggestions' && !scm.createReview) {
+            logger.debug('SCM provider has no review suggestions, opening a fix PR', { scm: scm.name });
+        } else if (fixTarget === 'review-suggestions') {
+            // Reviews only comment, so PRs from forks qualify too
+            const pullRequest = await scm.findOpenPullRequest(owner, repo, branch, commitSha, { includeForks: true });
+            if (pullRequest) {
+                return { target: 'review-suggestions', baseBranch: pullRequest.base?.ref || null, pullRequest };
+            }
+            logger.debug('No open pull request for failing branch, opening a fix PR', { branch });
+        }
+
+        if (branch === defaultBranch) {
+            return { target: 'failing-branch', baseBranch: branch, pullRequest: null };
+        }
+
+        if (!await scm.getBranch(owner, repo, branch)) {
+            logger.warn('Failing branch no longer exists, targeting default branch', { branch, defaultBranch });
+            return defaultTarget;
+        }
+
+        return { target: 'failing-branch', baseBranch: branch, pullRequest: null };
+    }
+
+    /**
+     * Push a fix commit straight onto the author's open PR and explain it in a comment
+     * @param {object} params - Push parameters
+     * @returns {Promise<object|null>} Result shaped like createFixPR(), or null when the branch
+     *   has moved past the failing commit and the caller should open a fix PR instead
+     */
+    async pushFixToPullRequest({
+        owner,
+        repo,
+        pullRequest,
+        commitSha,
+        changes,
+        title,
+        errorInfo,
+        diffSummary,
+        diff,
+        diffStats,
+        runId,
+        logsUrl,
+    }) {
+        const scm = getScmProvider();
+        const branch = pullRequest.head.ref;
+        const files = changes.map(c => c.path);
+        let commit;
+
+        try {
+            commit = await scm.commitFiles(owner, repo, {
+                branch,
+                baseSha: commitSha,
+                files: changes,
+                message: title,
+                newBranch: false,
+            });
+        } catch (error) {
+            if (error.status !== 422) {
+                throw error;
+            }
+            logger.warn('Pull request branch moved on, opening a fix PR instead', {
+                prNumber: pullRequest.number,
+                branch,
+            });
+            return null;
+        }
+
+        // The commit is already on the author's branch; a failed comment must not hide that
+        let commentUrl = null;
+        try {
+            const comment = await scm.createComment(owner, repo, pullRequest.number, this.getPushedFixComment({
+                errorInfo,
+                commitSha: commit.sha,
+                files,
+                diffSummary,
+                diff,
+                diffStats,
+                runId,
+                logsUrl,
+            }));
+            commentUrl = comment.html_url;
+        } catch (error) {
+            logger.warn('Could not comment on pull request', { prNumber: pullRequest.number, error: error.message });
+        }
+
+        return {
+            success: true,
+            prNumber: pullRequest.number,
+            prUrl: pullRequest.html_url,
+            branchName: branch,
+            baseBranch: pullRequest.base?.ref || null,
+            target: 'pull-request',
+            commitSha: commit.sha,
+            commentUrl,
+            files,
+            title,
+            reviewers: [],
+            autoMergeEnabled: false,
+        };
+    }
+
+    /**
+     * Review the author's PR with a `suggestion` block per changed range. Ranges outside the PR
+     * diff cannot carry review comments; they are left to the full diff in the review body, and
+     * when none of the fix is inside the diff (or the PR has moved past the failing commit) a plain
+     * comment with the diff is posted instead.
+     * @param {object} params - Review parameters
+     * @returns {Promise<object>} Result shaped like createFixPR()
+     */
+    async postReviewSuggestions({
+        owner,
+        repo,
+        pullRequest,
+        commitSha,
+        files,
+        errorInfo,
+        diffSummary,
+        diff,
+        diffStats,
+        runId,
+        logsUrl,
+    }) {
+        const scm = getScmProvider();
+        const comments = [];
+        let outside = 0;
+
+        // Line numbers of the fix refer to the failing commit, so they only line up with the PR
+        // diff while that commit is still the PR head
+        if (pullRequest.head?.sha === commitSha) {
+            const prFiles = await scm.listPullRequestFiles(owner, repo, pullRequest.number);
+            const rangesByPath = new Map(prFiles.map(f => [f.filename, getNewLineRanges(f.patch)]));
+
+            for (const file of files) {
+                const ranges = rangesByPath.get(file.path) || [];
+
+                for (const change of getLineReplacements(file.originalCode, file.fixedCode)) {
+                    // A multi-line comment must stay within a single hunk
+                    if (!ranges.some(r => r.start <= change.startLine && change.endLine <= r.end)) {
+                        outside++;
+                        continue;
+                    }
+
+                    comments.push({
+                        path: file.path,
+                        body: `\`\`\`suggestion\n${change.replacement.join('\n')}${change.replacement.length > 0 ? '\n' : ''}\`\`\``,
+                        side: 'RIGHT',
+                        line: change.endLine,
+                        ...(change.startLine < change.endLine ? { start_line: change.startLine, start_side: 'RIGHT' } : {}),
+                    });
+                }
+            }
+        } else {
+            logger.debug('Pull request moved past the failing commit, commenting instead of suggesting', {
+                prNumber: pullRequest.number,
+            });
+        }
+
+        const result = {
+            success: true,
+            prNumber: pullRequest.number,
+            prUrl: pullRequest.html_url,
+            branchName: pullRequest.head?.ref || null,
+            baseBranch: pullRequest.base?.ref || null,
+            target: 'review-suggestions',
+            commitSha: null,
+            reviewId: null,
+            commentUrl: null,
+            suggestions: 0,
+            files: files.map(f => f.path),
+            title: `[CodeAutopsy] Fix ${errorInfo.errorType} in ${files[0].path}`,
+            reviewers: [],
+            autoMergeEnabled: false,
+        };
+        const bodyParams = { errorInfo, files: result.files, diffSummary, diff, diffStats, runId, logsUrl };
+
+        if (comments.length > 0) {
+            try {
+                const review = await scm.createReview(owner, repo, pullRequest.number, {
+                    commitId: commitSha,
+                    body: this.getSuggestedFixComment({ ...bodyParams, suggestions: comments.length, outside }),
+                    comments,
+                });
+                return { ...result, reviewId: review.id, prUrl: review.html_url || result.prUrl, suggestions: comments.length };
+            } catch (error) {
+                // 422: GitHub could not resolve a line; the plain comment still carries the fix
+                if (error.status !== 422) {
+                    throw error;
+                }
+                logger.warn('Review suggestions rejected, commenting instead', {
+                    prNumber: pullRequest.number,
+                    error: error.message,
+                });
+            }
+        }
+
+        const comment = await scm.createComment(owner, repo, pullRequest.number, this.getSuggestedFixComment(bodyParams));
+        return { ...result, commentUrl: comment.html_url };
+    }
+
+    /**
+     * Review body (or fallback comment) for a fix posted as suggestions on the author's PR
+     * @param {object} params - Template parameters
+     * @param {number} params.suggestions - Suggestions attached to the review (0 for a plain comment)
+     * @param {number} params.outside - Changed ranges outside the PR diff
+     * @returns {string} Markdown
+     */
+    getSuggestedFixComment({
+        errorInfo,
+        files,
+        diffSummary,
+        diff = null,
+        diffStats = null,
+        runId,
+        logsUrl,
+        suggestions = 0,
+        outside = 0,
+    }) {
+        let howTo;
+        if (suggestions === 0) {
+            howTo = 'The fix touches lines outside this PR\'s diff (or the PR has changed since the failing commit), so it is posted as a diff instead of suggestions:';
+        } else if (outside > 0) {
+            howTo = `${suggestions} suggestion${suggestions === 1 ? '' : 's'} below; ${outside} more change${outside === 1 ? ' is' : 's are'} outside this PR's diff and only in the full diff:`;
+        } else {
+            howTo = 'Apply the suggestions below (or commit them as a batch) to fix it.';
+        }
+
+        return `## 🤖 CodeAutopsy Suggested Fix
+
+**Build Failure Detected:** [#${runId}](${logsUrl})
+
+**${errorInfo.errorType}**${errorInfo.lineNumber ? ` at line ${errorInfo.lineNumber}` : ''} in ${files.map(f => `\`${f}\``).join(', ')}:
+> ${errorInfo.errorMessage}
+
+${howTo}
+
+${diff ? this.formatDiffSection(diff, diffStats, { collapsed: suggestions > 0 && outside === 0 }) : `\`\`\`
+${diffSummary}
+\`\`\``}
+
+Confidence: **${(errorInfo.confidence * 100 || 85).toFixed(0)}%**
+
+---
+*Generated by [CodeAutopsy](https://github.com/codeautopsy) AI Agent* 🔬`;
+    }
+
+    /**
+     * Comment posted on the author's PR after pushing a fix commit to it
+     * @param {object} params - Template parameters
+     * @returns {string} Comment markdown
+     */
+    getPushedFixComment({ errorInfo, commitSha, files, diffSummary, diff = null, diffStats = null, runId, logsUrl }) {
+        return `## 🤖 CodeAutopsy Auto-Fix
+
+**Build Failure Detected:** [#${runId}](${logsUrl})
+
+Pushed ${commitSha.substring(0, 7)} to this branch to fix **${errorInfo.errorType}**${errorInfo.lineNumber ? ` at line ${errorInfo.lineNumber}` : ''} in ${files.map(f => `\`${f}\``).join(', ')}:
+> ${errorInfo.errorMessage}
+
+${diff ? this.formatDiffSection(diff, diffStats, { collapsed: true }) : `\`\`\`
+${diffSummary}
+\`\`\``}
+
+Confidence: **${(errorInfo.confidence * 100 || 85).toFixed(0)}%**. Revert the commit if the fix is not wanted.
+
+---
+*Generated by [CodeAutopsy](https://github.com/codeautopsy) AI Agent* 🔬`;
+    }
+
     /**
      * Create an issue for manual review (low-confidence fixes)
      * @param {object} params - Issue creation parameters
@@ -140,29 +519,26 @@ class OperatorAgent {
         failureReason,
         runId,
         logsUrl,
+        labels = this.issueLabels,
+        useAI = true,
     }) {
         const startTime = logger.startOperation('OperatorAgent.createManualReviewIssue');
 
         try {
-            // Generate issue body
-            const issueBody = await this.generateIssueBody({
-                errorInfo,
-                filePath,
-                buildLog,
-                attemptedFix,
-                failureReason,
-                runId,
-                logsUrl,
-            });
+            // Generate issue body (template only when AI work is not allowed, e.g. budget exhausted)
+            const bodyParams = { errorInfo, filePath, buildLog, attemptedFix, failureReason, runId, logsUrl };
+            const issueBody = useAI
+                ? await this.generateIssueBody(bodyParams)
+                : this.getTemplateIssueBody(bodyParams);
 
             const issueTitle = `[CodeAutopsy] Build Failure: ${errorInfo.errorType} in ${filePath}`;
 
-            const issue = await createIssue(
+            const issue = await getScmProvider().createIssue(
                 owner,
                 repo,
                 issueTitle,
                 issueBody,
-                ['autopsy-analysis', 'needs-review', 'bug']
+                labels
             );
 
             const result = {
@@ -183,12 +559,81 @@ class OperatorAgent {
         }
     }
 
+    /**
+     * Report an invalid in-repo config file (one open issue per file, not per failure)
+     * @param {object} params - Report parameters
+     * @returns {Promise<object>} Created or existing issue data
+     */
+    async reportInvalidConfig({ owner, repo, configPath, errors, commitSha }) {
+        const startTime = logger.startOperation('OperatorAgent.reportInvalidConfig', {
+            owner,
+            repo,
+            configPath,
+        });
+
+        try {
+            const issueTitle = `[CodeAutopsy] Invalid configuration in ${configPath}`;
+            const { formatRepoConfigFileKeys } = await import('../config/repo-config.js');
+
+            const scm = getScmProvider();
+            const existing = await scm.findOpenIssue(owner, repo, issueTitle, this.configIssueLabels);
+            if (existing) {
+                logger.endOperation('OperatorAgent.reportInvalidConfig', startTime, {
+                    issueNumber: existing.number,
+                    reused: true,
+                });
+                return {
+                    success: true,
+                    issueNumber: existing.number,
+                    issueUrl: existing.html_url,
+                    title: issueTitle,
+                    reused: true,
+                };
+            }
+
+            const issueBody = `## ⚙️ CodeAutopsy Configuration Error
+
+CodeAutopsy found \`${configPath}\` at commit \`${commitSha.substring(0, 7)}\` but could not use it.
+Auto-fix is paused for this repository until the file is fixed.
+
+### ❌ Problems
+${errors.map(e => `- ${e}`).join('\n')}
+
+### 📝 Supported Keys
+\`\`\`yaml
+${formatRepoConfigFileKeys()}
+\`\`\`
+
+---
+*This issue was automatically created by [CodeAutopsy](https://github.com/codeautopsy) AI Agent* 🔬`;
+
+            const issue = await scm.createIssue(owner, repo, issueTitle, issueBody, this.configIssueLabels);
+
+            const result = {
+                success: true,
+                issueNumber: issue.number,
+                issueUrl: issue.html_url,
+                title: issueTitle,
+                reused: false,
+            };
+
+            logger.endOperation('OperatorAgent.reportInvalidConfig', startTime, {
+                issueNumber: result.issueNumber,
+            });
+
+            return result;
+        } catch (error) {
+            logger.failOperation('OperatorAgent.reportInvalidConfig', startTime, error);
+            throw error;
+        }
+    }
+
     /**
      * Generate PR body using AI
      * @param {object} params - Generation parameters
      * @returns {Promise<string>} PR body markdown
      */
-    async generatePRBody({ errorInfo, filePath, diffSummary, runId, logsUrl }) {
+    async generatePRBody({ errorInfo, filePath, diffSummary, diff = null, diffStats = null, runId, logsUrl }) {
         try {
             const prompt = getPRDescriptionPrompt({
                 originalError: errorInfo,
@@ -199,11 +644,15 @@ class OperatorAgent {
                 logsUrl,
             });
 
-            const { text } = await generateContent(prompt, 'FLASH');
-            return text.trim();
+            const { data } = await generateStructured(prompt, prDescriptionResponseSchema, 'FLASH', {
+                agent: 'operator',
+                name: 'PR description',
+            });
+            // The model describes the fix; the exact change is always attached
+            return diff ? `${data.body}\n\n${this.formatDiffSection(diff, diffStats, { collapsed: true })}` : data.body;
         } catch (error) {
             logger.warn('AI PR body generation failed, using template', { error: error.message });
-            return this.getTemplatePRBody({ errorInfo, filePath, diffSummary, runId, logsUrl });
+            return this.getTemplatePRBody({ errorInfo, filePath, diffSummary, diff, diffStats, runId, logsUrl });
         }
     }
 
@@ -212,7 +661,7 @@ class OperatorAgent {
      * @param {object} params - Template parameters
      * @returns {string} PR body markdown
      */
-    getTemplatePRBody({ errorInfo, filePath, diffSummary, runId, logsUrl }) {
+    getTemplatePRBody({ errorInfo, filePath, diffSummary, diff = null, diffStats = null, runId, logsUrl }) {
         return `## 🤖 CodeAutopsy Auto-Fix
 
 **Build Failure Detected:** [#${runId}](${logsUrl})
@@ -223,9 +672,9 @@ class OperatorAgent {
 - **Issue:** ${errorInfo.errorMessage}
 
 ### 🔧 Applied Fix
-\`\`\`
+${diff ? this.formatDiffSection(diff, diffStats) : `\`\`\`
 ${diffSummary}
-\`\`\`
+\`\`\``}
 
 ### ⚠️ Review Required
 This is an automated fix generated by AI. Please review carefully before merging:
@@ -242,6 +691,34 @@ This is an automated fix generated by AI. Please review carefully before merging
 *Generated by [CodeAutopsy](https://github.com/codeautopsy) AI Agent* 🔬`;
     }
 
+    /**
+     * Render a unified diff for a PR body
+     * @param {string} diff - Unified diff text
+     * @param {object|null} diffStats - { additions, deletions, files }
+     * @param {object} options - Options
+     * @param {boolean} options.collapsed - Wrap the diff in a <details> block
+     * @returns {string} Markdown
+     */
+    formatDiffSection(diff, diffStats = null, { collapsed = false } = {}) {
+        const fileCount = diffStats?.files.length || 0;
+        const stats = diffStats
+            ? `+${diffStats.additions} −${diffStats.deletions} in ${fileCount} file${fileCount === 1 ? '' : 's'}`
+            : null;
+        const block = `\`\`\`diff
+${truncateDiff(diff, this.maxPRDiffLength)}
+\`\`\``;
+
+        if (collapsed) {
+            return `<details>
+<summary>Diff${stats ? ` (${stats})` : ''}</summary>
+
+${block}
+</details>`;
+        }
+
+        return stats ? `**${stats}**\n\n${block}` : block;
+    }
+
     /**
      * Generate issue body using AI
      * @param {object} params - Generation parameters
@@ -270,7 +747,7 @@ This is an automated fix generated by AI. Please review carefully before merging
                 failureReason,
             });
 
-            const { text } = await generateContent(prompt, 'FLASH');
+            const { text } = await generateContent(prompt, 'FLASH', { agent: 'operator' });
 
             // Add header and footer
             return `## 🔍 CodeAutopsy Analysis
@@ -349,10 +826,10 @@ ${logExcerpt}
     /**
      * Check if confidence is high enough for auto-PR
      * @param {number} confidence - Confidence score
+     * @param {number} threshold - Per-repository threshold (defaults to MIN_CONFIDENCE_FOR_PR)
      * @returns {boolean} Whether to create PR
      */
-    shouldCreatePR(confidence) {
-        const threshold = parseFloat(process.env.MIN_CONFIDENCE_FOR_PR) || 0.85;
+    shouldCreatePR(confidence, threshold = parseFloat(process.env.MIN_CONFIDENCE_FOR_PR) || 0.85) {
         return confidence >= threshold;
     }
 
@@ -1,13 +1,10 @@
 /**
  * Retriever Agent
- * Fetches source code from GitHub repositories
+ * Fetches source code from the job's repository (GitHub or GitLab)
  */
 
-import {
-    getFileContent,
-    getDefaultBranch,
-    getCommit,
-} from '../config/github.js';
+import { getCommit } from '../config/github.js';
+import { getScmProvider } from '../scm/index.js';
 import languageDetector from '../utils/language-detector.js';
 import logger from '../utils/logger.js';
 
@@ -40,13 +37,15 @@ class RetrieverAgent {
         });
 
         try {
+            const scm = getScmProvider();
+
             // Use default branch if no ref specified
             if (!ref) {
-                ref = await getDefaultBranch(owner, repo);
+                ref = await scm.getDefaultBranch(owner, repo);
             }
 
             // Check cache
-            const cacheKey = `${owner}/${repo}/${filePath}@${ref}`;
+            const cacheKey = `${scm.name}:${owner}/${repo}/${filePath}@${ref}`;
             const cached = this.getFromCache(cacheKey);
             if (cached) {
                 logger.debug('File retrieved from cache', { cacheKey });
@@ -54,7 +53,7 @@ class RetrieverAgent {
             }
 
             // Fetch file content
-            const fileData = await getFileContent(owner, repo, filePath, ref);
+            const fileData = await scm.getFileContent(owner, repo, filePath, ref);
 
             // Detect language
             const langResult = languageDetector.detectLanguage({
@@ -233,6 +232,30 @@ class RetrieverAgent {
         }
     }
 
+    /**
+     * Retrieve the first existing file from a list of candidate paths (e.g. config files)
+     * @param {object} params - Retrieval parameters
+     * @param {string} params.owner - Repository owner
+     * @param {string} params.repo - Repository name
+     * @param {string[]} params.paths - Candidate paths, checked in order
+     * @param {string} params.ref - Git reference
+     * @returns {Promise<{path: string, content: string}|null>} File or null if none exist
+     */
+    async retrieveOptionalFile({ owner, repo, paths, ref = null }) {
+        for (const path of paths) {
+            try {
+                const fileData = await getScmProvider().getFileContent(owner, repo, path, ref || undefined);
+                return { path, content: fileData.content };
+            } catch (error) {
+                if (!error.message.startsWith('File not found')) {
+                    throw error;
+                }
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Get commit information
      * @param {string} owner - Repository owner
@@ -3,8 +3,17 @@
  * Analyzes build logs to detect the source of failures
  */
 
-import { generateContent, parseJsonResponse } from '../config/ai-provider.js';
-import { getScoutPrompt, getFocusedScoutPrompt, getVerificationPrompt } from '../prompts/scout-prompt.js';
+import { generateStructured } from '../config/ai-provider.js';
+import {
+    getScoutPrompt,
+    getFocusedScoutPrompt,
+    getMultiErrorPrompt,
+} from '../prompts/scout-prompt.js';
+import {
+    scoutResponseSchema,
+    focusedScoutResponseSchema,
+    multiErrorResponseSchema,
+} from '../prompts/response-schemas.js';
 import errorParser from '../utils/error-parser.js';
 import languageDetector from '../utils/language-detector.js';
 import logger from '../utils/logger.js';
@@ -21,6 +30,8 @@ class ScoutAgent {
      * Analyze a build log to find the source of failure
      * @param {string} buildLog - Raw build log content
      * @param {object} options - Analysis options
+     * @param {string} options.languageHint - Language to assume when the log does not reveal it
+     * @param {boolean} options.useAI - Set to false to use the regex parse only (no LLM calls)
      * @returns {Promise<object>} Analysis result
      */
     async analyze(buildLog, options = {}) {
@@ -35,6 +46,15 @@ class ScoutAgent {
             const langResult = languageDetector.detectFromErrorLog(buildLog);
             const detectedLanguage = langResult?.language || options.languageHint || null;
 
+            if (options.useAI === false) {
+                const result = { ...quickResult, language: detectedLanguage };
+                logger.endOperation('ScoutAgent.analyze', startTime, {
+                    filePath: result.filePath,
+                    source: result.source,
+                });
+                return result;
+            }
+
             // Step 3: If quick parse found good results, verify with AI
             if (quickResult.confidence >= 0.8 && quickResult.filePath) {
                 logger.debug('High confidence quick parse, using AI verification');
@@ -101,6 +121,94 @@ class ScoutAgent {
         };
     }
 
+    /**
+     * Find every error in a build log and group them by file
+     * @param {string} buildLog - Raw build log
+     * @param {object} options - Analysis options
+     * @param {boolean} options.useAI - Ask the AI for all errors when regex finds none
+     * @returns {Promise<{groups: Array<object>, totalErrors: number, source: string}>} Errors grouped by file,
+     *   in the order their first error appears in the log
+     */
+    async analyzeAll(buildLog, { useAI = true } = {}) {
+        const startTime = logger.startOperation('ScoutAgent.analyzeAll');
+
+        try {
+            let errors = errorParser.parseErrors(buildLog)
+                .filter(e => e.filePath)
+                .sort((a, b) => a.matchIndex - b.matchIndex);
+            let source = 'quick_parse';
+
+            if (errors.length === 0 && useAI) {
+                errors = await this.aiAnalyzeAll(buildLog);
+                source = 'ai_analysis';
+            }
+
+            const groups = new Map();
+            for (const error of errors) {
+                const filePath = this.normalizePath(error.filePath);
+                if (!filePath) continue;
+
+                if (!groups.has(filePath)) {
+                    groups.set(filePath, {
+                        filePath,
+                        language: languageDetector.detectFromPath(filePath),
+                        errors: [],
+                    });
+                }
+
+                groups.get(filePath).errors.push({
+                    lineNumber: error.lineNumber || null,
+                    column: error.column || null,
+                    errorType: error.errorType,
+                    errorMessage: error.errorMessage,
+                    rawMatch: error.rawMatch || null,
+                });
+            }
+
+            const result = {
+                groups: Array.from(groups.values()),
+                totalErrors: errors.length,
+                source,
+            };
+
+            logger.endOperation('ScoutAgent.analyzeAll', startTime, {
+                files: result.groups.length,
+                totalErrors: result.totalErrors,
+            });
+
+            return result;
+        } catch (error) {
+            logger.failOperation('ScoutAgent.analyzeAll', startTime, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the AI for every error in the log (used when regex parsing finds none)
+     * @param {string} buildLog - Raw build log
+     * @returns {Promise<Array<object>>} Errors with file locations
+     */
+    async aiAnalyzeAll(buildLog) {
+        const truncatedLog = buildLog.length > 30000
+            ? buildLog.substring(buildLog.length - 30000)
+            : buildLog;
+
+        try {
+            const { data: result } = await generateStructured(
+                getMultiErrorPrompt(truncatedLog),
+                multiErrorResponseSchema,
+                'FLASH',
+                { agent: 'scout', name: 'multi-error' }
+            );
+
+            return [result.primaryError, ...result.secondaryErrors]
+                .filter(e => e && e.filePath);
+        } catch (error) {
+            logger.warn('AI multi-error analysis failed', { error: error.message });
+            return [];
+        }
+    }
+
     /**
      * Full AI analysis using Gemini
      * @param {string} buildLog - Raw build log
@@ -122,8 +230,12 @@ class ScoutAgent {
         const prompt = getScoutPrompt(truncatedLog, language);
 
         try {
-            const { text, usage, latency } = await generateContent(prompt, 'FLASH');
-            const result = parseJsonResponse(text);
+            const { data: result, usage, latency, model } = await generateStructured(
+                prompt,
+                scoutResponseSchema,
+                'FLASH',
+                { agent: 'scout', name: 'scout' }
+            );
 
             // Normalize file path
             if (result.filePath) {
@@ -133,7 +245,7 @@ class ScoutAgent {
             return {
                 ...result,
                 source: 'ai_analysis',
-                model: 'gemini-1.5-flash',
+                model,
                 tokens: usage.totalTokens,
                 latency,
             };
@@ -174,8 +286,12 @@ class ScoutAgent {
                 buildLog.indexOf(finding.rawMatch || ''), 20);
 
             const prompt = getFocusedScoutPrompt(shortLog, finding.errorType);
-            const { text } = await generateContent(prompt, 'FLASH');
-            const aiResult = parseJsonResponse(text);
+            const { data: aiResult } = await generateStructured(
+                prompt,
+                focusedScoutResponseSchema,
+                'FLASH',
+                { agent: 'scout', name: 'focused scout' }
+            );
 
             // Cross-check results
             const verified = this.crossCheck(finding, aiResult);
@@ -3,16 +3,25 @@
  * Generates code fixes using Gemini AI
  */
 
-import { generateContent, extractCodeFromResponse, parseJsonResponse } from '../config/ai-provider.js';
+import { generateContent, generateStructured, extractCodeFromResponse } from '../config/ai-provider.js';
 import {
     getSurgeonPrompt,
     getComplexFixPrompt,
+    getMultiFileFixPrompt,
+    getRepairPrompt,
     getImportFixPrompt,
     getValidationPrompt,
     getSyntaxFixPrompt,
 } from '../prompts/surgeon-prompt.js';
-import { getConfidencePrompt } from '../prompts/analysis-prompt.js';
+import {
+    complexFixResponseSchema,
+    importFixResponseSchema,
+    validationResponseSchema,
+} from '../prompts/response-schemas.js';
 import errorParser from '../utils/error-parser.js';
+import { checkSyntax, formatSyntaxErrors } from '../utils/syntax-checker.js';
+import { PATCH_FORMATS, applyPatch, describePatchFailure, splitPatchByFile } from '../utils/patch.js';
+import { createFilesDiff, diffLines } from '../utils/diff.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -21,11 +30,14 @@ import logger from '../utils/logger.js';
 class SurgeonAgent {
     constructor() {
         this.name = 'Surgeon';
+        this.maxRepairIterations = parseInt(process.env.MAX_REPAIR_ITERATIONS, 10) || 3;
     }
 
     /**
      * Generate a fix for a code error
      * @param {object} params - Fix parameters
+     * @param {object|null} params.repair - Rejected attempt to repair ({ previous, feedback, attempt })
+     * @param {Array<object>} params.patterns - Merged SuccessPatterns to use as few-shot examples
      * @returns {Promise<object>} Fix result
      */
     async generateFix({
@@ -38,7 +50,26 @@ class SurgeonAgent {
         relevantLogSection = null,
         additionalContext = '',
         useProModel = false,
+        relatedFiles = [],
+        repair = null,
+        patterns = [],
     }) {
+        // Related files (imports, tests, manifests) switch to a multi-file fix
+        if (relatedFiles.length > 0) {
+            return this.generateMultiFileFix({
+                filePath,
+                lineNumber,
+                errorType,
+                errorMessage,
+                language,
+                originalCode,
+                relatedFiles,
+                relevantLogSection,
+                repair,
+                patterns,
+            });
+        }
+
         const startTime = logger.startOperation('SurgeonAgent.generateFix', {
             filePath,
             errorType,
@@ -46,28 +77,69 @@ class SurgeonAgent {
         });
 
         try {
-            // Choose model based on complexity
-            const modelType = useProModel || this.isComplexError(errorType, originalCode)
+            // Choose model based on complexity; repairs always escalate to PRO
+            const modelType = repair || useProModel || this.isComplexError(errorType, originalCode)
                 ? 'PRO'
                 : 'FLASH';
 
             // Generate the fix
-            const prompt = getSurgeonPrompt({
-                filePath,
-                lineNumber,
-                errorType,
-                errorMessage,
-                language,
-                originalCode,
-                relevantLogSection,
-                additionalContext,
-            });
+            const prompt = repair
+                ? getRepairPrompt({
+                    filePath,
+                    lineNumber,
+                    errorType,
+                    errorMessage,
+                    language,
+                    originalCode,
+                    previousCode: repair.previous.fixedCode,
+                    previousPatch: repair.previous.patch,
+                    feedback: repair.feedback,
+                    attempt: repair.attempt,
+                })
+                : getSurgeonPrompt({
+                    filePath,
+                    lineNumber,
+                    errorType,
+                    errorMessage,
+                    language,
+                    originalCode,
+                    relevantLogSection,
+                    additionalContext,
+                    patterns,
+                });
+
+            const { text, usage, latency, provider, model, fallbackReason } =
+                await generateContent(prompt, modelType, { agent: 'surgeon' });
+            const edit = this.applyFixResponse(originalCode, text, language);
+
+            if (!edit.success) {
+                const reason = `Edits did not apply to the original code:\n${describePatchFailure(edit)}`;
+                logger.warn('Surgeon patch rejected', { filePath, format: edit.format, reason });
+                logger.endOperation('SurgeonAgent.generateFix', startTime, { success: false, model });
+
+                return {
+                    success: false,
+                    fixedCode: originalCode,
+                    originalCode,
+                    files: [],
+                    diffSummary: 'No visible changes',
+                    confidence: 0,
+                    validation: { isValid: false, reason, source: 'patch_apply' },
+                    patch: text,
+                    patchFormat: edit.format,
+                    model,
+                    provider,
+                    fallbackReason,
+                    tokens: usage.totalTokens,
+                    usage,
+                    latency,
+                };
+            }
 
-            const { text, usage, latency } = await generateContent(prompt, modelType);
-            const fixedCode = extractCodeFromResponse(text, language);
+            const fixedCode = edit.code;
 
             // Validate the fix
-            const validation = await this.validateFix(originalCode, fixedCode, language, errorMessage);
+            const validation = await this.validateFix(originalCode, fixedCode, language, errorMessage, filePath);
 
             // Calculate confidence
             const confidence = this.calculateConfidence({
@@ -85,11 +157,18 @@ class SurgeonAgent {
                 success: validation.isValid,
                 fixedCode,
                 originalCode,
+                files: [{ path: filePath, originalCode, fixedCode }],
                 diffSummary,
+                ...this.buildDiff([{ path: filePath, originalCode, fixedCode }]),
                 confidence,
                 validation,
-                model: modelType === 'PRO' ? 'gemini-1.5-pro' : 'gemini-1.5-flash',
+                patch: edit.format === 'file' ? null : text,
+                patchFormat: edit.format,
+                model,
+                provider,
+                fallbackReason,
                 tokens: usage.totalTokens,
+                usage,
                 latency,
             };
 
@@ -106,6 +185,304 @@ class SurgeonAgent {
         }
     }
 
+    /**
+     * Turn a fix response into fixed code: apply its search/replace blocks or diff hunks to the
+     * original, or take the whole file when the model ignored the edit format
+     * @param {string} originalCode - Original code
+     * @param {string} text - Raw model response
+     * @param {string} language - Programming language
+     * @returns {object} applyPatch() result; format is 'file' for whole-file responses
+     */
+    applyFixResponse(originalCode, text, language) {
+        const patch = applyPatch(originalCode, text);
+
+        if (patch.format) {
+            if (patch.success) {
+                logger.debug('Applied Surgeon patch', { format: patch.format, hunks: patch.applied });
+            }
+            return patch;
+        }
+
+        return {
+            format: 'file',
+            success: true,
+            code: extractCodeFromResponse(text, language),
+            applied: [],
+            rejected: [],
+            errors: [],
+        };
+    }
+
+    /**
+     * Generate a fix, feeding each rejection back to the model until it passes or the budget runs out
+     * @param {object} params - Fix parameters (as for generateFix)
+     * @param {object} options - Loop options
+     * @param {number} options.maxIterations - Maximum attempts, including the first
+     * @param {Function|null} options.verify - async (fixResult) => sandbox result, run on fixes that pass validation
+     * @param {Function|null} options.onAttempt - async (fixResult) => void, called after every attempt
+     * @returns {Promise<object>} Last fix result, with `iteration` and (when exhausted) `success: false`
+     */
+    async generateFixWithRepair(params, {
+        maxIterations = this.maxRepairIterations,
+        verify = null,
+        onAttempt = null,
+    } = {}) {
+        let result = null;
+        let repair = null;
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            result = await this.generateFix({ ...params, repair });
+            result.iteration = iteration;
+
+            if (result.success && verify) {
+                const sandbox = await verify(result);
+                result.sandbox = sandbox;
+                result.confidence = this.rescoreWithSandbox(result, sandbox, params);
+
+                if (sandbox.passed === false) {
+                    result.success = false;
+                    result.validation = {
+                        ...result.validation,
+                        isValid: false,
+                        reason: `Sandbox check \`${sandbox.command}\` failed${sandbox.reason ? ` (${sandbox.reason})` : ` with exit code ${sandbox.exitCode}`}`,
+                    };
+                }
+            }
+
+            if (onAttempt) {
+                await onAttempt(result);
+            }
+
+            if (result.success) {
+                break;
+            }
+
+            repair = { previous: result, feedback: this.describeFailure(result), attempt: iteration + 1 };
+            logger.info('Fix rejected', {
+                filePath: params.filePath,
+                iteration,
+                reason: result.validation.reason,
+                willRetry: iteration < maxIterations,
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Explain why a fix was rejected, for the repair prompt and the FixAttempt row
+     * @param {object} fixResult - Rejected fix result
+     * @returns {string} Human-readable rejection reason
+     */
+    describeFailure(fixResult) {
+        const { validation = {}, sandbox } = fixResult;
+        const parts = [];
+
+        if (validation.reason) {
+            parts.push(validation.reason);
+        } else {
+            if (validation.addressesError === false) parts.push('The fix does not address the reported error.');
+            if (validation.introducesNewIssues) parts.push('The fix introduces new issues.');
+            if (validation.potentialSideEffects?.length > 0) {
+                parts.push(`Potential side effects: ${validation.potentialSideEffects.join('; ')}`);
+            }
+        }
+
+        if (sandbox?.passed === false && sandbox.output) {
+            parts.push(`Check output:\n${sandbox.output.substring(0, 3000)}`);
+        }
+
+        return parts.join('\n') || 'The fix was rejected by validation.';
+    }
+
+    /**
+     * Generate a fix that may change several files (committed together by the Operator)
+     * @param {object} params - Fix parameters
+     * @param {Array<{path: string, content: string, language: string}>} params.relatedFiles - Other editable files
+     * @param {object|null} params.repair - Rejected attempt to repair ({ previous, feedback, attempt })
+     * @returns {Promise<object>} Fix result with a `files` edit set
+     */
+    async generateMultiFileFix({
+        filePath,
+        lineNumber,
+        errorType,
+        errorMessage,
+        language,
+        originalCode,
+        relatedFiles,
+        relevantLogSection = null,
+        repair = null,
+        patterns = [],
+    }) {
+        const startTime = logger.startOperation('SurgeonAgent.generateMultiFileFix', {
+            filePath,
+            errorType,
+            relatedCount: relatedFiles.length,
+        });
+
+        try {
+            const inputFiles = [
+                { path: filePath, content: originalCode, language },
+                ...relatedFiles.filter(f => f.path !== filePath),
+            ];
+            const originals = new Map(inputFiles.map(f => [f.path, f]));
+
+            const prompt = getMultiFileFixPrompt({
+                filePath,
+                lineNumber,
+                errorType,
+                errorMessage,
+                language,
+                files: inputFiles,
+                relevantLogSection,
+                previousAttempt: repair ? { files: repair.previous.files, feedback: repair.feedback } : null,
+                patterns,
+            });
+
+            const { text, usage, latency, provider, model, fallbackReason } =
+                await generateContent(prompt, 'PRO', { agent: 'surgeon' });
+            const { files, problems } = this.applyMultiFileResponse(originals, text);
+
+            if (problems.length > 0) {
+                const reason = `Edits did not apply to the original code:\n${problems.join('\n')}`;
+                logger.warn('Surgeon multi-file patch rejected', { filePath, reason });
+                logger.endOperation('SurgeonAgent.generateMultiFileFix', startTime, { success: false });
+                return {
+                    success: false,
+                    fixedCode: originalCode,
+                    originalCode,
+                    files: [],
+                    diffSummary: 'No visible changes',
+                    confidence: 0,
+                    validation: { isValid: false, reason, source: 'patch_apply' },
+                    patch: text,
+                    patchFormat: PATCH_FORMATS.SEARCH_REPLACE,
+                    model,
+                    provider,
+                    fallbackReason,
+                    tokens: usage.totalTokens,
+                    usage,
+                    latency,
+                };
+            }
+
+            if (files.length === 0) {
+                const validation = { isValid: false, reason: 'No file changes proposed', source: 'basic_validation' };
+                logger.endOperation('SurgeonAgent.generateMultiFileFix', startTime, { success: false });
+                return {
+                    success: false,
+                    fixedCode: originalCode,
+                    originalCode,
+                    files,
+                    diffSummary: 'No visible changes',
+                    confidence: 0,
+                    validation,
+                    model,
+                    provider,
+                    fallbackReason,
+                    tokens: usage.totalTokens,
+                    usage,
+                    latency,
+                };
+            }
+
+            // Validate and score every changed file; the weakest file decides
+            const perFile = [];
+            for (const file of files) {
+                const fileLanguage = originals.get(file.path).language || language;
+                const validation = await this.validateFix(
+                    file.originalCode,
+                    file.fixedCode,
+                    fileLanguage,
+                    errorMessage,
+                    file.path
+                );
+                const confidence = this.calculateConfidence({
+                    originalCode: file.originalCode,
+                    fixedCode: file.fixedCode,
+                    validation,
+                    errorType,
+                    lineNumber: file.path === filePath ? lineNumber : null,
+                });
+                perFile.push({ path: file.path, validation, confidence });
+            }
+
+            const invalid = perFile.find(f => !f.validation.isValid);
+            const validation = invalid
+                ? { ...invalid.validation, path: invalid.path }
+                : { ...perFile[0].validation, files: perFile.map(f => ({ path: f.path, ...f.validation })) };
+            const confidence = Math.min(...perFile.map(f => f.confidence));
+
+            const diffSummary = files
+                .map(f => `${f.path}:\n${this.generateDiffSummary(f.originalCode, f.fixedCode)}`)
+                .join('\n\n');
+            const primary = files.find(f => f.path === filePath);
+
+            const result = {
+                success: !invalid,
+                fixedCode: primary ? primary.fixedCode : originalCode,
+                originalCode,
+                files,
+                diffSummary,
+                ...this.buildDiff(files),
+                confidence,
+                validation,
+                patch: text,
+                patchFormat: PATCH_FORMATS.SEARCH_REPLACE,
+                model,
+                provider,
+                fallbackReason,
+                tokens: usage.totalTokens,
+                usage,
+                latency,
+            };
+
+            logger.endOperation('SurgeonAgent.generateMultiFileFix', startTime, {
+                success: result.success,
+                confidence: result.confidence,
+                files: files.map(f => f.path),
+            });
+
+            return result;
+        } catch (error) {
+            logger.failOperation('SurgeonAgent.generateMultiFileFix', startTime, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a multi-file response (a FILE: section of search/replace blocks per file) to the
+     * supplied files. Any section that does not apply rejects the whole fix, as in applyPatch().
+     * @param {Map<string, {content: string}>} originals - Supplied files by path
+     * @param {string} text - Raw model response
+     * @returns {{files: Array<{path: string, originalCode: string, fixedCode: string}>, problems: string[]}}
+     *   Changed files, and why sections did not apply
+     */
+    applyMultiFileResponse(originals, text) {
+        const files = [];
+        const problems = [];
+
+        for (const section of splitPatchByFile(text)) {
+            const original = originals.get(section.path);
+            if (!original) {
+                logger.warn('Surgeon proposed an edit to an unknown file, ignoring', { path: section.path });
+                continue;
+            }
+
+            const edit = applyPatch(original.content, section.text);
+            if (!edit.success) {
+                problems.push(`${section.path}:\n${describePatchFailure(edit)}`);
+                continue;
+            }
+            if (edit.code.trim() === original.content.trim()) {
+                continue;
+            }
+            files.push({ path: section.path, originalCode: original.content, fixedCode: edit.code });
+        }
+
+        return { files, problems };
+    }
+
     /**
      * Generate fix for syntax errors (simplified prompt)
      * @param {object} params - Fix parameters
@@ -123,11 +500,18 @@ class SurgeonAgent {
                 errorMessage,
             });
 
-            const { text, usage, latency } = await generateContent(prompt, 'FLASH');
+            const { text, usage, latency, provider, model, fallbackReason } =
+                await generateContent(prompt, 'FLASH', { agent: 'surgeon' });
             const fixedCode = extractCodeFromResponse(text, language);
 
             const diffSummary = this.generateDiffSummary(originalCode, fixedCode);
-            const validation = { isValid: true, syntaxValid: true };
+            const syntax = await checkSyntax(fixedCode, language, filePath);
+            const validation = {
+                isValid: syntax.valid !== false,
+                syntaxValid: syntax.valid,
+                syntaxErrors: syntax.errors,
+                reason: syntax.valid === false ? `Fixed code does not parse:\n${formatSyntaxErrors(syntax.errors)}` : undefined,
+            };
             const confidence = this.calculateConfidence({
                 originalCode,
                 fixedCode,
@@ -139,14 +523,17 @@ class SurgeonAgent {
             logger.endOperation('SurgeonAgent.fixSyntaxError', startTime);
 
             return {
-                success: true,
+                success: validation.isValid,
                 fixedCode,
                 originalCode,
                 diffSummary,
                 confidence,
                 validation,
-                model: 'gemini-1.5-flash',
+                model,
+                provider,
+                fallbackReason,
                 tokens: usage.totalTokens,
+                usage,
                 latency,
             };
         } catch (error) {
@@ -180,8 +567,11 @@ class SurgeonAgent {
                 existingImports,
             });
 
-            const { text, usage, latency } = await generateContent(prompt, 'FLASH');
-            const result = parseJsonResponse(text);
+            const { data: result, usage, latency, provider, model, fallbackReason } =
+                await generateStructured(prompt, importFixResponseSchema, 'FLASH', {
+                    agent: 'surgeon',
+                    name: 'import fix',
+                });
 
             const diffSummary = this.generateDiffSummary(originalCode, result.fixedCode);
 
@@ -197,8 +587,11 @@ class SurgeonAgent {
                 correctedImport: result.correctedImport,
                 needsPackageUpdate: result.needsPackageUpdate,
                 packageInstallCommand: result.packageInstallCommand,
-                model: 'gemini-1.5-flash',
+                model,
+                provider,
+                fallbackReason,
                 tokens: usage.totalTokens,
+                usage,
                 latency,
             };
         } catch (error) {
@@ -235,8 +628,11 @@ class SurgeonAgent {
             });
 
             // Use Pro model for complex fixes
-            const { text, usage, latency } = await generateContent(prompt, 'PRO');
-            const result = parseJsonResponse(text);
+            const { data: result, usage, latency, provider, model, fallbackReason } =
+                await generateStructured(prompt, complexFixResponseSchema, 'PRO', {
+                    agent: 'surgeon',
+                    name: 'complex fix',
+                });
 
             const diffSummary = this.generateDiffSummary(originalCode, result.fixedCode);
 
@@ -249,8 +645,11 @@ class SurgeonAgent {
                 diffSummary,
                 changesDescription: result.changesDescription,
                 confidence: result.confidence,
-                model: 'gemini-1.5-pro',
+                model,
+                provider,
+                fallbackReason,
                 tokens: usage.totalTokens,
+                usage,
                 latency,
             };
         } catch (error) {
@@ -265,28 +664,46 @@ class SurgeonAgent {
      * @param {string} fixedCode - Proposed fix
      * @param {string} language - Programming language
      * @param {string} errorMessage - Original error
+     * @param {string} filePath - File path (selects JSX/TSX parsing)
      * @returns {Promise<object>} Validation result
      */
-    async validateFix(originalCode, fixedCode, language, errorMessage) {
+    async validateFix(originalCode, fixedCode, language, errorMessage, filePath = null) {
         // Basic validation first
         const basicValidation = this.basicValidate(originalCode, fixedCode);
         if (!basicValidation.isValid) {
             return basicValidation;
         }
 
+        // Code that does not parse is rejected outright; no AI opinion can rescue it
+        const syntax = await checkSyntax(fixedCode, language, filePath);
+        if (syntax.valid === false) {
+            logger.warn('Fixed code does not parse', { filePath, parser: syntax.parser, errors: syntax.errors });
+            return {
+                isValid: false,
+                syntaxValid: false,
+                syntaxErrors: syntax.errors,
+                reason: `Fixed code does not parse:\n${formatSyntaxErrors(syntax.errors)}`,
+                source: 'syntax_check',
+            };
+        }
+        basicValidation.syntaxValid = syntax.valid;
+
         try {
             // AI validation for more complex checks
             const prompt = getValidationPrompt(originalCode, fixedCode, language, errorMessage);
-            const { text } = await generateContent(prompt, 'FLASH');
-            const result = parseJsonResponse(text);
+            const { data: result } = await generateStructured(prompt, validationResponseSchema, 'FLASH', {
+                agent: 'surgeon',
+                name: 'validation',
+            });
 
             return {
                 isValid: result.isValid && result.addressesError,
-                syntaxValid: result.syntaxValid,
+                // A real parser result beats the model's guess
+                syntaxValid: syntax.valid ?? result.syntaxValid,
                 addressesError: result.addressesError,
                 changesAreMinimal: result.changesAreMinimal,
                 introducesNewIssues: result.introducesNewIssues,
-                potentialSideEffects: result.potentialSideEffects || [],
+                potentialSideEffects: result.potentialSideEffects,
                 recommendation: result.recommendation,
                 source: 'ai_validation',
             };
@@ -336,7 +753,7 @@ class SurgeonAgent {
 
         return {
             isValid: true,
-            syntaxValid: true, // Assume valid without parsing
+            syntaxValid: null, // Unknown until parsed (see validateFix)
             source: 'basic_validation',
         };
     }
@@ -344,9 +761,10 @@ class SurgeonAgent {
     /**
      * Calculate confidence score for a fix
      * @param {object} params - Calculation parameters
+     * @param {object|null} params.sandbox - Verifier result (passed is null when the check was skipped)
      * @returns {number} Confidence score (0-1)
      */
-    calculateConfidence({ originalCode, fixedCode, validation, errorType, lineNumber }) {
+    calculateConfidence({ originalCode, fixedCode, validation, errorType, lineNumber, sandbox = null }) {
         let confidence = 0.5; // Base confidence
 
         // Boost for minimal changes
@@ -379,9 +797,33 @@ class SurgeonAgent {
             confidence -= 0.2;
         }
 
+        // A real check outweighs the AI's opinion in both directions
+        if (sandbox?.passed === true) confidence += 0.1;
+        if (sandbox?.passed === false) confidence -= 0.4;
+
         return Math.max(0, Math.min(1, confidence));
     }
 
+    /**
+     * Recalculate a fix's confidence once the Verifier has run
+     * @param {object} fixResult - Result from generateFix
+     * @param {object} sandbox - Verifier result
+     * @param {object} errorInfo - Error type and line of the primary error
+     * @returns {number} Confidence score (0-1), the lowest across changed files
+     */
+    rescoreWithSandbox(fixResult, sandbox, { errorType, lineNumber }) {
+        const fileValidations = new Map((fixResult.validation.files || []).map(v => [v.path, v]));
+
+        return Math.min(...fixResult.files.map(file => this.calculateConfidence({
+            originalCode: file.originalCode,
+            fixedCode: file.fixedCode,
+            validation: fileValidations.get(file.path) || fixResult.validation,
+            errorType,
+            lineNumber,
+            sandbox,
+        })));
+    }
+
     /**
      * Calculate the ratio of changed content
      * @param {string} original - Original code
@@ -412,24 +854,30 @@ class SurgeonAgent {
      * @returns {string} Diff summary
      */
     generateDiffSummary(original, fixed) {
-        const originalLines = original.split('\n');
-        const fixedLines = fixed.split('\n');
-
+        const ops = diffLines(original, fixed);
         const changes = [];
-        const maxLines = Math.max(originalLines.length, fixedLines.length);
-
-        for (let i = 0; i < maxLines; i++) {
-            const origLine = originalLines[i];
-            const fixedLine = fixedLines[i];
-
-            if (origLine !== fixedLine) {
-                if (origLine && !fixedLine) {
-                    changes.push(`- Line ${i + 1}: Removed: \`${origLine.trim().substring(0, 50)}...\``);
-                } else if (!origLine && fixedLine) {
-                    changes.push(`+ Line ${i + 1}: Added: \`${fixedLine.trim().substring(0, 50)}...\``);
-                } else {
-                    changes.push(`~ Line ${i + 1}: Changed`);
-                }
+
+        // A run of deletions followed by insertions is a change of those lines
+        for (let i = 0; i < ops.length;) {
+            if (ops[i].type === 'equal') {
+                i++;
+                continue;
+            }
+
+            const deleted = [];
+            const inserted = [];
+            while (i < ops.length && ops[i].type === 'delete') deleted.push(ops[i++]);
+            while (i < ops.length && ops[i].type === 'insert') inserted.push(ops[i++]);
+
+            const paired = Math.min(deleted.length, inserted.length);
+            for (let j = 0; j < paired; j++) {
+                changes.push(`~ Line ${inserted[j].newLine}: Changed`);
+            }
+            for (const op of deleted.slice(paired)) {
+                changes.push(`- Line ${op.oldLine}: Removed: \`${op.line.trim().substring(0, 50)}...\``);
+            }
+            for (const op of inserted.slice(paired)) {
+                changes.push(`+ Line ${op.newLine}: Added: \`${op.line.trim().substring(0, 50)}...\``);
             }
         }
 
@@ -444,6 +892,16 @@ class SurgeonAgent {
         return changes.join('\n');
     }
 
+    /**
+     * Unified diff and stats of a fix's edit set
+     * @param {Array<{path: string, originalCode: string, fixedCode: string}>} files - Changed files
+     * @returns {{diff: string, diffStats: object}} Diff text and { additions, deletions, hunks, files }
+     */
+    buildDiff(files) {
+        const { diff, ...diffStats } = createFilesDiff(files);
+        return { diff, diffStats };
+    }
+
     /**
      * Check if error type requires complex fix
      * @param {string} errorType - Error type
@@ -0,0 +1,266 @@
+/**
+ * Verifier Agent
+ * Applies a fix to a fresh checkout of the failing commit and runs a check command
+ */
+
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Keep stored output small enough for the FixAttempt row and PR/issue bodies
+const MAX_OUTPUT_LENGTH = 10000;
+
+// Syntax-only checks per extension; none of these execute repository code. No `.js` check: node
+// rejects the JSX and Flow that .js files often hold, and the syntax checker has parsed them already.
+const SYNTAX_CHECKS = {
+    '.mjs': file => `node --check ${file}`,
+    '.cjs': file => `node --check ${file}`,
+    '.py': file => `python3 -m py_compile ${file}`,
+    '.rb': file => `ruby -c ${file} > /dev/null`,
+    '.php': file => `php -l ${file} > /dev/null`,
+    '.sh': file => `bash -n ${file}`,
+    '.go': file => `gofmt -e ${file} > /dev/null`,
+};
+
+/**
+ * Quote a value for use as a single POSIX shell word
+ * @param {string} value - Raw value
+ * @returns {string} Quoted value
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Verifier Agent - Runs a fix in a throwaway checkout before a PR is opened
+ */
+class VerifierAgent {
+    constructor() {
+        this.name = 'Verifier';
+        this.timeoutMs = parseInt(process.env.SANDBOX_TIMEOUT_MS, 10) || 120000;
+    }
+
+    /**
+     * Verify a fix against a checkout of the failing commit
+     * @param {object} params - Verification parameters
+     * @param {string} params.owner - Repository owner
+     * @param {string} params.repo - Repository name
+     * @param {string} params.commitSha - Commit the fix is based on
+     * @param {Array<{path: string, fixedCode: string}>} params.files - Fixed files
+     * @param {string|null} params.command - Command to run (defaults to syntax checks of the changed files)
+     * @param {number} params.timeoutMs - Command timeout
+     * @returns {Promise<object>} Result with passed (true/false, or null when skipped), command, exitCode and output
+     */
+    async verify({ owner, repo, commitSha, files, command = null, timeoutMs = this.timeoutMs }) {
+        const startTime = logger.startOperation('VerifierAgent.verify', {
+            owner,
+            repo,
+            files: files.length,
+        });
+
+        const effectiveCommand = command || this.getDefaultCommand(files.map(f => f.path));
+        if (!effectiveCommand) {
+            logger.endOperation('VerifierAgent.verify', startTime, { skipped: true });
+            return this.skipped('No check available for the changed files');
+        }
+
+        let workDir = null;
+        try {
+            workDir = await mkdtemp(path.join(os.tmpdir(), 'codeautopsy-'));
+
+            await this.checkout(owner, repo, commitSha, workDir, timeoutMs);
+            await this.applyFiles(workDir, files);
+
+            const result = await this.runCommand(effectiveCommand, workDir, timeoutMs);
+
+            logger.endOperation('VerifierAgent.verify', startTime, {
+                passed: result.passed,
+                exitCode: result.exitCode,
+            });
+
+            return result;
+        } catch (error) {
+            // Infrastructure problems (clone failed, disk full) must not block the fix
+            logger.failOperation('VerifierAgent.verify', startTime, error);
+            return this.skipped(`Sandbox unavailable: ${error.message}`);
+        } finally {
+            if (workDir) {
+                await rm(workDir, { recursive: true, force: true }).catch(error =>
+                    logger.warn('Could not remove sandbox directory', { workDir, error: error.message })
+                );
+            }
+        }
+    }
+
+    /**
+     * Shallow-fetch a single commit into an empty directory
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} commitSha - Commit to check out
+     * @param {string} workDir - Target directory
+     * @param {number} timeoutMs - Timeout of each git command
+     */
+    async checkout(owner, repo, commitSha, workDir, timeoutMs = this.timeoutMs) {
+        const git = (...args) => execFileAsync('git', args, {
+            cwd: workDir,
+            timeout: timeoutMs,
+            maxBuffer: 10 * 1024 * 1024,
+        });
+
+        // Pass the token as a header so it is never written to .git/config
+        const { getScmProvider } = await import('../scm/index.js');
+        const remote = await getScmProvider().getGitRemote(owner, repo);
+        const authArgs = [];
+        if (remote.token) {
+            const basic = Buffer.from(`${remote.username}:${remote.token}`).toString('base64');
+            authArgs.push('-c', `http.extraheader=AUTHORIZATION: basic ${basic}`);
+        }
+
+        await git('init', '--quiet');
+        await git('remote', 'add', 'origin', remote.url);
+        await git(...authArgs, 'fetch', '--quiet', '--depth', '1', 'origin', commitSha);
+        await git('checkout', '--quiet', 'FETCH_HEAD');
+
+        logger.debug('Sandbox checkout ready', { owner, repo, commitSha: commitSha.substring(0, 7) });
+    }
+
+    /**
+     * Write fixed files into the checkout
+     * @param {string} workDir - Checkout directory
+     * @param {Array<{path: string, fixedCode: string}>} files - Fixed files
+     */
+    async applyFiles(workDir, files) {
+        for (const file of files) {
+            const target = path.resolve(workDir, file.path);
+
+            // Reject paths that would escape the checkout
+            if (!target.startsWith(path.resolve(workDir) + path.sep)) {
+                throw new Error(`Refusing to write outside the sandbox: ${file.path}`);
+            }
+
+            await mkdir(path.dirname(target), { recursive: true });
+            await writeFile(target, file.fixedCode);
+        }
+    }
+
+    /**
+     * Run a shell command in the checkout with a timeout and a minimal environment. The command
+     * runs in its own process group so a timeout also kills whatever it started (test runners,
+     * servers), which would otherwise keep the output pipes and the job open.
+     * @param {string} command - Shell command
+     * @param {string} cwd - Working directory
+     * @param {number} timeoutMs - Timeout in milliseconds
+     * @returns {Promise<object>} Command result
+     */
+    runCommand(command, cwd, timeoutMs = this.timeoutMs) {
+        return new Promise((resolve) => {
+            const started = Date.now();
+            let output = '';
+            let settled = false;
+
+            // Repository code must not see our tokens or database credentials
+            const child = spawn('sh', ['-c', command], {
+                cwd,
+                detached: true,
+                env: {
+                    PATH: process.env.PATH,
+                    HOME: cwd,
+                    CI: 'true',
+                },
+            });
+
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                resolve({
+                    command,
+                    output: output.substring(0, MAX_OUTPUT_LENGTH),
+                    durationMs: Date.now() - started,
+                    ...result,
+                });
+            };
+
+            const timer = setTimeout(() => {
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch (error) {
+                    logger.debug('Sandbox process group already gone', { error: error.message });
+                }
+                child.stdout.destroy();
+                child.stderr.destroy();
+                finish({ passed: false, exitCode: null, reason: `Timed out after ${timeoutMs}ms` });
+            }, timeoutMs);
+
+            const collect = (chunk) => {
+                if (output.length < MAX_OUTPUT_LENGTH) {
+                    output += chunk.toString();
+                }
+            };
+            child.stdout.on('data', collect);
+            child.stderr.on('data', collect);
+
+            child.on('error', (error) => {
+                finish({
+                    passed: null,
+                    exitCode: null,
+                    output: error.message,
+                    reason: `Could not start command: ${error.message}`,
+                });
+            });
+
+            child.on('close', (exitCode, signal) => {
+                if (signal) {
+                    finish({ passed: false, exitCode, reason: `Killed by ${signal}` });
+                } else if (exitCode === 127) {
+                    // The checker is not installed on this host; that says nothing about the fix
+                    finish({ passed: null, exitCode, reason: 'Check command not found' });
+                } else {
+                    finish({ passed: exitCode === 0, exitCode });
+                }
+            });
+        });
+    }
+
+    /**
+     * Build a syntax-check command for the changed files
+     * @param {string[]} filePaths - Changed file paths
+     * @returns {string|null} Shell command, or null if no file has a known checker
+     */
+    getDefaultCommand(filePaths) {
+        const checks = filePaths
+            .map(filePath => {
+                const check = SYNTAX_CHECKS[path.extname(filePath).toLowerCase()];
+                return check ? check(shellQuote(filePath)) : null;
+            })
+            .filter(Boolean);
+
+        return checks.length > 0 ? checks.join(' && ') : null;
+    }
+
+    /**
+     * Result for a verification that did not run
+     * @param {string} reason - Why verification was skipped
+     * @returns {object} Skipped result
+     */
+    skipped(reason) {
+        return {
+            passed: null,
+            command: null,
+            exitCode: null,
+            output: '',
+            durationMs: 0,
+            reason,
+        };
+    }
+}
+
+// Export singleton instance
+export const verifier = new VerifierAgent();
+
+export default verifier;
@@ -0,0 +1,187 @@
+/**
+ * Command-Line Tool
+ * Runs the autopsy pipeline (Scout, then the Surgeon) on a build log in a local checkout: files
+ * are read from disk, the patch is printed or applied, and no server, Redis or PostgreSQL is
+ * needed. LLM calls run outside a request context, so usage is logged but not persisted.
+ */
+
+import { execFile } from 'child_process';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { parseArgs, promisify } from 'util';
+import { analyzeFailure } from './pipeline/analyze.js';
+import { createLocalSource } from './scm/local.js';
+import logger from './utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+export const USAGE = `Usage: codeautopsy analyze <build.log | -> [options]
+
+Diagnose a failed build log and propose a fix for the local checkout.
+
+Options:
+  -C, --dir <path>         Checkout to read files from (default: current git repository)
+  -l, --language <name>    Language to assume when the log does not reveal it
+      --apply              Write the fix to the working tree instead of printing the patch
+      --json               Print the full result (diagnosis, fix, confidence) as JSON
+  -v, --verbose            Show pipeline logs
+  -h, --help               Show this help
+
+Exit status: 0 when a fix was produced, 1 when none was, 2 on usage or runtime errors.`;
+
+const OPTIONS = {
+    dir: { type: 'string', short: 'C' },
+    language: { type: 'string', short: 'l' },
+    apply: { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Top-level directory of the git checkout containing a directory, or the directory itself
+ * @param {string} dir - Starting directory
+ * @returns {Promise<string>} Checkout root
+ */
+export async function findCheckoutRoot(dir) {
+    try {
+        const { stdout } = await execFileAsync('git', ['rev-parse', '--show-toplevel'], { cwd: dir });
+        return stdout.trim() || dir;
+    } catch {
+        return dir;
+    }
+}
+
+/**
+ * Read the build log from a file, or from stdin for "-"
+ * @param {string} logPath - Log path or "-"
+ * @param {object} stdin - Input stream
+ * @returns {Promise<string>} Log text
+ */
+async function readLog(logPath, stdin) {
+    if (logPath !== '-') {
+        return readFile(logPath, 'utf-8');
+    }
+
+    const chunks = [];
+    for await (const chunk of stdin) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Keep stdout for the patch: log quietly, and to stderr
+ * @param {boolean} verbose - Show info and debug logs
+ */
+function routeLogsToStderr(verbose) {
+    logger.level = verbose ? 'debug' : (process.env.LOG_LEVEL || 'warn');
+    const allLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    for (const transport of logger.transports) {
+        transport.stderrLevels = allLevels;
+    }
+}
+
+/**
+ * Describe the diagnosis in one line
+ * @param {object} diagnosis - Diagnosis from analyzeFailure
+ * @returns {string} Summary
+ */
+function formatDiagnosis(diagnosis) {
+    const location = diagnosis.filePath
+        ? `${diagnosis.filePath}${diagnosis.lineNumber ? `:${diagnosis.lineNumber}` : ''}`
+        : 'unknown file';
+    return `${diagnosis.errorType || 'Error'} in ${location}: ${diagnosis.errorMessage || 'no message'}`;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments (without node and the script)
+ * @param {object} io - { stdout, stderr, stdin, cwd }
+ * @returns {Promise<number>} Exit status
+ */
+export async function main(argv, {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    stdin = process.stdin,
+    cwd = process.cwd(),
+} = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, logPath] = positionals;
+
+    if (values.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    if (command !== 'analyze' || !logPath || positionals.length > 2) {
+        stderr.write(`${USAGE}\n`);
+        return 2;
+    }
+
+    routeLogsToStderr(values.verbose);
+
+    try {
+        const log = await readLog(logPath === '-' ? '-' : path.resolve(cwd, logPath), stdin);
+        const source = createLocalSource(await findCheckoutRoot(path.resolve(cwd, values.dir || '.')));
+
+        const result = await analyzeFailure({
+            log,
+            readFile: async (filePath) => {
+                try {
+                    return await source.getFileContent(filePath);
+                } catch (error) {
+                    logger.warn('Could not read file for analysis', { filePath, error: error.message });
+                    return null;
+                }
+            },
+            languageHint: values.language || null,
+        });
+
+        const fixed = Boolean(result.fix?.success);
+
+        if (values.apply && fixed) {
+            const written = await source.applyFiles(result.fix.files);
+            result.applied = written;
+        }
+
+        if (values.json) {
+            stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+            return fixed ? 0 : 1;
+        }
+
+        stderr.write(`${formatDiagnosis(result.diagnosis)}\n`);
+
+        if (!fixed) {
+            stderr.write(`No fix: ${result.reason}\n`);
+            return 1;
+        }
+
+        if (values.apply) {
+            stderr.write(`Applied fix to ${result.applied.join(', ')} (confidence ${result.confidence})\n`);
+        } else {
+            stdout.write(result.fix.diff.endsWith('\n') ? result.fix.diff : `${result.fix.diff}\n`);
+            stderr.write(`Confidence ${result.confidence}. Apply with --apply, or pipe the patch to \`git apply\`.\n`);
+        }
+
+        return 0;
+    } catch (error) {
+        logger.debug('Analysis failed', { stack: error.stack });
+        stderr.write(`codeautopsy: ${error.message}\n`);
+        return 2;
+    }
+}
+
+export default {
+    USAGE,
+    findCheckoutRoot,
+    main,
+};
@@ -1,104 +1,148 @@
 /**
  * AI Provider Configuration
- * Supports multiple AI providers: OpenRouter, Gemini, Groq
+ * Routes agent prompts through an ordered chain of LLM providers (see config/providers)
  */
 
 import logger from '../utils/logger.js';
+import { CircuitBreaker } from '../utils/circuit-breaker.js';
+import { recordLlmUsage } from '../utils/usage-tracker.js';
+import { getFixtureMode, recordFixture, replayFixture } from './llm-fixtures.js';
+import { isRetryableError, normalizeTier } from './providers/base.js';
+import { getProvider, getProviderForAgent, getProviderNameForAgent } from './providers/index.js';
+import { formatSchemaIssues, getJsonRepairPrompt } from '../prompts/response-schemas.js';
 
-// Get AI provider from environment
-const AI_PROVIDER = process.env.AI_PROVIDER || 'openrouter';
+// Global provider (agents can override it with AI_PROVIDER_<AGENT>)
+const AI_PROVIDER = getProviderNameForAgent();
 
-// OpenRouter Configuration
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+// Agents that call a provider; each can be routed on its own with AI_PROVIDER_<AGENT>
+export const AI_AGENTS = ['scout', 'surgeon', 'operator'];
 
-// Gemini Configuration (fallback)
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-// Model configurations for OpenRouter
-export const OpenRouterModels = {
-    // Free models on OpenRouter
-    FAST: 'google/gemini-2.0-flash-exp:free',       // Fast, free
-    PRO: 'google/gemini-2.0-flash-exp:free',        // For complex tasks
-    CODE: 'deepseek/deepseek-chat:free',            // Good for code
-    LLAMA: 'meta-llama/llama-3.3-70b-instruct:free', // Llama 3.3 70B free
-};
+// One breaker per provider, so an outage of one provider does not block the rest of the chain
+const breakers = new Map();
 
 /**
- * Generate content using OpenRouter API
- * @param {string} prompt - The prompt to send
- * @param {string} modelType - 'FAST', 'PRO', 'CODE', or 'LLAMA'
- * @returns {Promise<{text: string, usage: object, latency: number}>}
+ * Get the circuit breaker of a provider
+ * @param {string} name - Provider name
+ * @returns {CircuitBreaker} Breaker
  */
-export async function generateContent(prompt, modelType = 'FAST') {
-    if (AI_PROVIDER === 'gemini' && GEMINI_API_KEY) {
-        // Fall back to Gemini
-        const gemini = await import('./gemini.js');
-        return gemini.generateContent(prompt, modelType === 'FAST' ? 'FLASH' : 'PRO');
+function getBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name, {
+            failureThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 5,
+            cooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 60000,
+        }));
     }
 
-    // Use OpenRouter
-    const model = OpenRouterModels[modelType] || OpenRouterModels.FAST;
+    return breakers.get(name);
+}
+
+/**
+ * Close all circuit breakers (tests, manual recovery)
+ */
+export function resetCircuitBreakers() {
+    breakers.clear();
+}
+
+/**
+ * Parse a fallback chain such as "anthropic,openrouter:deepseek/deepseek-chat:free"
+ * (the model is everything after the first colon and overrides the tier's default model)
+ * @param {string} value - Comma-separated provider[:model] entries
+ * @returns {Array<{provider: string, model: string|null}>} Chain entries
+ */
+export function parseFallbackChain(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return separator === -1
+                ? { provider: entry, model: null }
+                : { provider: entry.substring(0, separator), model: entry.substring(separator + 1) || null };
+        });
+}
+
+/**
+ * Ordered providers to try for an agent: its own provider, then AI_FALLBACK_CHAIN_<AGENT>
+ * or AI_FALLBACK_CHAIN
+ * @param {string|null} agent - Agent name
+ * @returns {Array<{provider: string, model: string|null}>} Chain entries without duplicates
+ */
+export function getFallbackChain(agent = null) {
+    const configured = (agent && process.env[`AI_FALLBACK_CHAIN_${agent.toUpperCase()}`])
+        || process.env.AI_FALLBACK_CHAIN;
+
+    const chain = [{ provider: getProviderNameForAgent(agent), model: null }, ...parseFallbackChain(configured)];
+    const seen = new Set();
+
+    return chain.filter((entry) => {
+        const key = `${entry.provider}:${entry.model || ''}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Whether an error says something about the provider's health (as opposed to our request)
+ * @param {Error} error - Provider error
+ * @returns {boolean} Whether the breaker should count it
+ */
+function isProviderFailure(error) {
+    return isRetryableError(error) || error.status === 401 || error.status === 403;
+}
+
+/**
+ * Agents with no usable provider: nothing in their chain is registered and configured
+ * (checked at startup, so a deployment on any provider, local ones included, can run)
+ * @param {string[]} agents - Agent names
+ * @returns {string[]} Agents that could not make a single request
+ */
+export function getUnconfiguredAgents(agents = AI_AGENTS) {
+    return agents.filter(agent => !getFallbackChain(agent).some((entry) => {
+        try {
+            return getProvider(entry.provider).isConfigured();
+        } catch {
+            return false;
+        }
+    }));
+}
+
+/**
+ * Call a provider, retrying rate limits and transient failures
+ * @param {object} provider - Provider from the registry
+ * @param {string} prompt - The prompt to send
+ * @param {object} options - { tier, model, json, agent }
+ * @returns {Promise<object>} Provider result
+ */
+async function generateWithRetries(provider, prompt, { tier, model, json, agent }) {
     const maxRetries = 3;
     let lastError;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            const startTime = Date.now();
-
-            const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'https://codeautospy.local',
-                    'X-Title': 'CodeAutoSpy',
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: prompt,
-                        },
-                    ],
-                    temperature: 0.1,
-                    max_tokens: 8192,
-                }),
-            });
-
-            if (!response.ok) {
-                const errorData = await response.text();
-                throw new Error(`OpenRouter API error: ${response.status} - ${errorData}`);
-            }
+            const result = await provider.generate(prompt, { tier, model, json });
 
-            const data = await response.json();
-            const text = data.choices[0]?.message?.content || '';
-            const latency = Date.now() - startTime;
-
-            const usage = {
-                promptTokens: data.usage?.prompt_tokens || 0,
-                responseTokens: data.usage?.completion_tokens || 0,
-                totalTokens: data.usage?.total_tokens || 0,
-            };
-
-            logger.debug('OpenRouter response generated', {
-                model: model,
-                latency: `${latency}ms`,
-                tokens: usage.totalTokens,
+            logger.debug('AI response generated', {
+                provider: provider.name,
+                model: result.model,
+                agent,
+                latency: `${result.latency}ms`,
+                tokens: result.usage.totalTokens,
             });
 
-            return { text, usage, latency };
+            return { ...result, provider: provider.name };
         } catch (error) {
             lastError = error;
 
-            logger.warn(`OpenRouter API error (attempt ${attempt}/${maxRetries})`, {
+            logger.warn(`AI provider error (attempt ${attempt}/${maxRetries})`, {
+                provider: provider.name,
+                tier,
+                agent,
                 error: error.message,
-                model: model,
             });
 
-            // Check if error is retryable
-            if (error.message.includes('429') || error.message.includes('5')) {
+            if (isRetryableError(error) && attempt < maxRetries) {
                 await new Promise((resolve) =>
                     setTimeout(resolve, 1000 * Math.pow(2, attempt))
                 );
@@ -112,6 +156,194 @@ export async function generateContent(prompt, modelType = 'FAST') {
     throw lastError;
 }
 
+/**
+ * Generate content, walking the agent's fallback chain until a provider answers
+ * @param {string} prompt - The prompt to send
+ * @param {string} modelType - 'FLASH' or 'PRO' (legacy 'FAST', 'CODE' and 'LLAMA' are mapped)
+ * @param {object} options - Request options
+ * @param {string|null} options.agent - Calling agent, selects AI_PROVIDER_<AGENT> and AI_FALLBACK_CHAIN_<AGENT>
+ * @param {boolean} options.json - Ask the provider for a JSON object response
+ * @returns {Promise<{text: string, usage: object, latency: number, provider: string, model: string,
+ *   fallbackReason: string|null}>} fallbackReason explains why earlier chain entries were skipped
+ */
+export async function generateContent(prompt, modelType = 'FLASH', { agent = null, json = false } = {}) {
+    const tier = normalizeTier(modelType);
+    const fixtureMode = getFixtureMode();
+
+    // Replay never touches a provider, so it works offline and without credentials
+    if (fixtureMode === 'replay') {
+        return replayFixture(prompt, { tier, json });
+    }
+
+    const chain = getFallbackChain(agent);
+    const skipped = [];
+    let lastError;
+
+    for (const entry of chain) {
+        const label = entry.model ? `${entry.provider}:${entry.model}` : entry.provider;
+
+        let provider;
+        try {
+            provider = getProvider(entry.provider);
+        } catch (error) {
+            lastError = error;
+            skipped.push(`${label}: ${error.message}`);
+            continue;
+        }
+
+        if (!provider.isConfigured()) {
+            lastError = new Error(`AI provider '${provider.name}' is not configured`);
+            skipped.push(`${label}: not configured`);
+            continue;
+        }
+
+        const breaker = getBreaker(provider.name);
+        if (!breaker.canRequest()) {
+            lastError = new Error(`AI provider '${provider.name}' circuit is open`);
+            skipped.push(`${label}: circuit open`);
+            continue;
+        }
+
+        try {
+            const result = await generateWithRetries(provider, prompt, { tier, model: entry.model, json, agent });
+            breaker.recordSuccess();
+
+            const response = { ...result, fallbackReason: skipped.length > 0 ? skipped.join('; ') : null };
+            if (response.fallbackReason) {
+                logger.warn('AI request served by fallback provider', {
+                    provider: provider.name,
+                    model: response.model,
+                    agent,
+                    fallbackReason: response.fallbackReason,
+                });
+            }
+
+            await recordLlmUsage({
+                agent,
+                provider: response.provider,
+                model: response.model,
+                usage: response.usage,
+                latency: response.latency,
+            });
+
+            if (fixtureMode === 'record') {
+                await recordFixture(prompt, { tier, json }, response);
+            }
+
+            return response;
+        } catch (error) {
+            lastError = error;
+            skipped.push(`${label}: ${error.message.substring(0, 200)}`);
+
+            if (isProviderFailure(error) && breaker.recordFailure()) {
+                logger.warn('AI provider circuit opened', {
+                    provider: provider.name,
+                    failures: breaker.failures,
+                    cooldownMs: breaker.cooldownMs,
+                });
+            }
+        }
+    }
+
+    // With a single provider keep its own error (status, message) for callers
+    if (chain.length === 1) {
+        throw lastError;
+    }
+
+    const error = new Error(`All AI providers failed: ${skipped.join('; ')}`);
+    error.status = lastError?.status;
+    throw error;
+}
+
+/**
+ * Validate a raw response against a schema
+ * @param {string} text - Raw response text
+ * @param {object} schema - zod schema
+ * @returns {{success: boolean, data?: object, problems?: string}} Parsed data or why it was rejected
+ */
+function validateStructured(text, schema) {
+    let parsed;
+    try {
+        parsed = parseJsonResponse(text);
+    } catch (error) {
+        return { success: false, problems: error.message };
+    }
+
+    const result = schema.safeParse(parsed);
+    return result.success
+        ? { success: true, data: result.data }
+        : { success: false, problems: formatSchemaIssues(result.error) };
+}
+
+/**
+ * Generate a JSON response and validate it against a schema (see prompts/response-schemas.js).
+ * A response that does not parse or match gets one repair request before the call fails.
+ * @param {string} prompt - The prompt to send
+ * @param {object} schema - zod schema of the expected response
+ * @param {string} modelType - Model tier
+ * @param {object} options - Request options
+ * @param {string|null} options.agent - Calling agent
+ * @param {string} options.name - Response name for logs and errors
+ * @returns {Promise<{data: object, text: string, usage: object, latency: number, provider: string,
+ *   model: string, fallbackReason: string|null, repaired: boolean}>} usage and latency cover both calls
+ */
+export async function generateStructured(prompt, schema, modelType = 'FLASH', { agent = null, name = 'AI' } = {}) {
+    const first = await generateContent(prompt, modelType, { agent, json: true });
+    const firstResult = validateStructured(first.text, schema);
+
+    if (firstResult.success) {
+        return { ...first, data: firstResult.data, repaired: false };
+    }
+
+    logger.warn('AI response failed schema validation, requesting a repair', {
+        agent,
+        name,
+        provider: first.provider,
+        model: first.model,
+        problems: firstResult.problems,
+    });
+
+    const repairPrompt = getJsonRepairPrompt({ prompt, response: first.text, problems: firstResult.problems });
+    const second = await generateContent(repairPrompt, modelType, { agent, json: true });
+    const secondResult = validateStructured(second.text, schema);
+
+    if (!secondResult.success) {
+        logger.error('AI response still invalid after repair', {
+            agent,
+            name,
+            provider: second.provider,
+            model: second.model,
+            problems: secondResult.problems,
+            rawText: second.text.substring(0, 500),
+        });
+        throw new Error(`Invalid ${name} response: ${secondResult.problems.split('\n').join('; ')}`);
+    }
+
+    return {
+        ...second,
+        data: secondResult.data,
+        usage: {
+            promptTokens: first.usage.promptTokens + second.usage.promptTokens,
+            responseTokens: first.usage.responseTokens + second.usage.responseTokens,
+            totalTokens: first.usage.totalTokens + second.usage.totalTokens,
+        },
+        latency: first.latency + second.latency,
+        repaired: true,
+    };
+}
+
+/**
+ * Count prompt tokens with the provider selected for an agent
+ * @param {string} text - Prompt text
+ * @param {object} options - Options
+ * @param {string|null} options.agent - Calling agent
+ * @param {string} options.modelType - Model tier
+ * @returns {Promise<number>} Token count (estimated when the provider has no tokenizer)
+ */
+export async function countTokens(text, { agent = null, modelType = 'FLASH' } = {}) {
+    return getProviderForAgent(agent).countTokens(text, { tier: normalizeTier(modelType) });
+}
+
 /**
  * Parse JSON from AI response (handles markdown code blocks)
  * @param {string} text - Raw response text
@@ -173,6 +405,11 @@ export function extractCodeFromResponse(text, language = '') {
 
 export default {
     generateContent,
+    generateStructured,
+    countTokens,
+    getFallbackChain,
+    getUnconfiguredAgents,
+    resetCircuitBreakers,
     parseJsonResponse,
     extractCodeFromResponse,
     provider: AI_PROVIDER,
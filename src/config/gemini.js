@@ -33,7 +33,7 @@ const safetySettings = [
 export const ModelConfig = {
     // Fast model for log analysis and file detection
     FLASH: {
-        name: 'gemini-2.5-flash',
+        name: process.env.GEMINI_MODEL_FLASH || 'gemini-2.5-flash',
         config: {
             temperature: 0.1,
             topP: 0.8,
@@ -43,7 +43,7 @@ export const ModelConfig = {
     },
     // Pro model for complex code fixes
     PRO: {
-        name: 'gemini-2.5-flash',
+        name: process.env.GEMINI_MODEL_PRO || 'gemini-2.5-flash',
         config: {
             temperature: 0.2,
             topP: 0.9,
@@ -56,9 +56,11 @@ export const ModelConfig = {
 /**
  * Get a configured Gemini model instance
  * @param {string} modelType - 'FLASH' or 'PRO'
+ * @param {object} generationConfig - Overrides for the tier's generation config
+ * @param {string|null} modelName - Model to use instead of the tier's default
  * @returns {GenerativeModel} Configured model instance
  */
-export function getModel(modelType = 'FLASH') {
+export function getModel(modelType = 'FLASH', generationConfig = {}, modelName = null) {
     const modelConfig = ModelConfig[modelType];
 
     if (!modelConfig) {
@@ -66,9 +68,9 @@ export function getModel(modelType = 'FLASH') {
     }
 
     return genAI.getGenerativeModel({
-        model: modelConfig.name,
+        model: modelName || modelConfig.name,
         safetySettings,
-        generationConfig: modelConfig.config,
+        generationConfig: { ...modelConfig.config, ...generationConfig },
     });
 }
 
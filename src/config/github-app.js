@@ -0,0 +1,229 @@
+/**
+ * GitHub App Authentication
+ * Signs app JWTs and mints, caches and refreshes installation access tokens, so each repository
+ * is accessed through the installation it belongs to instead of a personal token
+ */
+
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { Octokit } from 'octokit';
+import logger from '../utils/logger.js';
+
+// GitHub rejects app JWTs valid for more than 10 minutes; backdate iat for clock drift
+const JWT_LIFETIME_SECONDS = 9 * 60;
+const JWT_CLOCK_DRIFT_SECONDS = 60;
+
+// Installation tokens live one hour; refresh them this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// installationId -> { token, expiresAt, octokit }
+const installationTokens = new Map();
+// installationId -> pending token request, so concurrent jobs mint one token
+const pendingTokens = new Map();
+// owner/repo -> installationId
+const repoInstallations = new Map();
+
+/**
+ * Read the app private key from GITHUB_APP_PRIVATE_KEY (PEM, "\n" escapes allowed) or the file
+ * at GITHUB_APP_PRIVATE_KEY_PATH
+ * @returns {string|null} PEM private key
+ */
+function getPrivateKey() {
+    if (process.env.GITHUB_APP_PRIVATE_KEY) {
+        return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+        return readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8');
+    }
+    return null;
+}
+
+/**
+ * Check if GitHub App credentials are configured
+ * @returns {boolean} Whether GITHUB_APP_ID and a private key are set
+ */
+export function isGitHubAppConfigured() {
+    return Boolean(process.env.GITHUB_APP_ID
+        && (process.env.GITHUB_APP_PRIVATE_KEY || process.env.GITHUB_APP_PRIVATE_KEY_PATH));
+}
+
+/**
+ * Encode a value as base64url
+ * @param {string|Buffer} value - Value
+ * @returns {string} Encoded value
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Sign a JWT authenticating as the app itself (RS256)
+ * @param {object} options - Options
+ * @param {string} options.appId - App ID
+ * @param {string} options.privateKey - PEM private key
+ * @param {number} options.now - Current time in seconds
+ * @returns {string} Signed JWT
+ */
+export function createAppJwt({
+    appId = process.env.GITHUB_APP_ID,
+    privateKey = getPrivateKey(),
+    now = Math.floor(Date.now() / 1000),
+} = {}) {
+    if (!appId || !privateKey) {
+        throw new Error('GitHub App is not configured (GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY)');
+    }
+
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        iat: now - JWT_CLOCK_DRIFT_SECONDS,
+        exp: now + JWT_LIFETIME_SECONDS,
+        iss: String(appId),
+    }));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+
+    return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * Octokit authenticated as the app (for app-level endpoints only)
+ * @returns {Octokit} Client
+ */
+function getAppOctokit() {
+    return new Octokit({
+        auth: createAppJwt(),
+        userAgent: 'CodeAutopsy/1.0.0',
+    });
+}
+
+/**
+ * Get the app authenticated by the configured credentials
+ * @returns {Promise<object>} App data ({ id, slug, name, ... })
+ */
+export async function getAuthenticatedApp() {
+    const { data } = await getAppOctokit().rest.apps.getAuthenticated();
+    return data;
+}
+
+/**
+ * Mint an installation access token
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<{token: string, expiresAt: number, octokit: Octokit}>} Cache entry
+ */
+async function mintInstallationToken(installationId) {
+    try {
+        const { data } = await getAppOctokit().rest.apps.createInstallationAccessToken({
+            installation_id: installationId,
+        });
+
+        logger.info('Installation token minted', { installationId, expiresAt: data.expires_at });
+
+        return {
+            token: data.token,
+            expiresAt: new Date(data.expires_at).getTime(),
+            octokit: new Octokit({
+                auth: data.token,
+                userAgent: 'CodeAutopsy/1.0.0',
+            }),
+        };
+    } catch (error) {
+        logger.error('Failed to mint installation token', {
+            installationId,
+            error: error.message,
+            status: error.status,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Get a valid installation token and client, minting a new one when the cached one is about
+ * to expire
+ * @param {number} installationId - Installation ID
+ * @returns {Promise<{token: string, expiresAt: number, octokit: Octokit}>} Token and client
+ */
+export async function getInstallationAuth(installationId) {
+    const id = Number(installationId);
+    const cached = installationTokens.get(id);
+
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return cached;
+    }
+
+    if (!pendingTokens.has(id)) {
+        pendingTokens.set(id, mintInstallationToken(id)
+            .then(entry => {
+                installationTokens.set(id, entry);
+                return entry;
+            })
+            .finally(() => pendingTokens.delete(id)));
+    }
+
+    return pendingTokens.get(id);
+}
+
+/**
+ * Find the installation a repository belongs to
+ * @param {string} repoFullName - Full repository name (owner/repo)
+ * @returns {Promise<number|null>} Installation ID, or null if the app is not installed there
+ */
+export async function findInstallationId(repoFullName) {
+    if (repoInstallations.has(repoFullName)) {
+        return repoInstallations.get(repoFullName);
+    }
+
+    const [owner, repo] = repoFullName.split('/');
+
+    try {
+        const { data } = await getAppOctokit().rest.apps.getRepoInstallation({ owner, repo });
+        repoInstallations.set(repoFullName, data.id);
+        return data.id;
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        logger.error('Failed to find installation for repository', {
+            repoFullName,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Remember which installation a repository belongs to (from webhook payloads)
+ * @param {string} repoFullName - Full repository name
+ * @param {number} installationId - Installation ID
+ */
+export function rememberInstallation(repoFullName, installationId) {
+    repoInstallations.set(repoFullName, Number(installationId));
+}
+
+/**
+ * Drop cached tokens and repository mappings of an installation (uninstalled, suspended or
+ * with changed permissions)
+ * @param {number} installationId - Installation ID
+ * @param {string[]} repoFullNames - Repositories to forget; all of the installation's when omitted
+ */
+export function forgetInstallation(installationId, repoFullNames = null) {
+    const id = Number(installationId);
+
+    if (!repoFullNames) {
+        installationTokens.delete(id);
+    }
+
+    for (const [repoFullName, repoInstallationId] of repoInstallations) {
+        if (repoInstallationId === id && (!repoFullNames || repoFullNames.includes(repoFullName))) {
+            repoInstallations.delete(repoFullName);
+        }
+    }
+}
+
+export default {
+    isGitHubAppConfigured,
+    createAppJwt,
+    getAuthenticatedApp,
+    getInstallationAuth,
+    findInstallationId,
+    rememberInstallation,
+    forgetInstallation,
+};
@@ -1,12 +1,20 @@
 /**
  * GitHub API Configuration
- * Configures Octokit client for GitHub API interactions
+ * Configures Octokit clients for GitHub API interactions: per-installation GitHub App clients,
+ * with a personal access token (GITHUB_TOKEN) as the fallback
  */
 
 import { Octokit } from 'octokit';
+import {
+    isGitHubAppConfigured,
+    getInstallationAuth,
+    findInstallationId,
+    getAuthenticatedApp,
+} from './github-app.js';
+import { getContext } from '../utils/request-context.js';
 import logger from '../utils/logger.js';
 
-// Initialize Octokit with authentication
+// Initialize Octokit with the personal access token
 const octokit = new Octokit({
     auth: process.env.GITHUB_TOKEN,
     userAgent: 'CodeAutopsy/1.0.0',
@@ -19,11 +27,64 @@ const octokit = new Octokit({
 });
 
 /**
- * Validate GitHub token and permissions
+ * Installation credentials for the repository being processed (request context)
+ * @returns {Promise<object|null>} { token, octokit }, or null to use the personal access token
+ */
+async function getContextInstallation() {
+    if (!isGitHubAppConfigured()) {
+        return null;
+    }
+
+    const context = getContext();
+    const installationId = context?.installationId
+        || (context?.repoFullName ? await findInstallationId(context.repoFullName) : null);
+
+    if (!installationId) {
+        if (process.env.GITHUB_TOKEN) {
+            return null;
+        }
+        throw new Error(`GitHub App is not installed on ${context?.repoFullName || 'this repository'}`);
+    }
+
+    return getInstallationAuth(installationId);
+}
+
+/**
+ * Get the Octokit client for the current job
+ * @returns {Promise<Octokit>} Installation client, or the personal access token client
+ */
+export async function getOctokit() {
+    const installation = await getContextInstallation();
+    return installation ? installation.octokit : octokit;
+}
+
+/**
+ * Get the token for the current job, for requests made outside Octokit (log downloads, git)
+ * @returns {Promise<string|undefined>} Installation token, or GITHUB_TOKEN
+ */
+export async function getAuthToken() {
+    const installation = await getContextInstallation();
+    return installation ? installation.token : process.env.GITHUB_TOKEN;
+}
+
+/**
+ * Validate GitHub App credentials, or the personal access token when no app is configured
  * @returns {Promise<{valid: boolean, user: string, scopes: string[]}>}
  */
 export async function validateToken() {
     try {
+        if (isGitHubAppConfigured()) {
+            const app = await getAuthenticatedApp();
+
+            logger.info('GitHub App validated', { app: app.slug, id: app.id });
+
+            return {
+                valid: true,
+                user: `${app.slug}[bot]`,
+                id: app.id,
+            };
+        }
+
         const { data: user } = await octokit.rest.users.getAuthenticated();
 
         logger.info('GitHub token validated', {
@@ -56,6 +117,8 @@ export async function validateToken() {
  * @returns {Promise<object>} Repository data
  */
 export async function getRepository(owner, repo) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.repos.get({ owner, repo });
         return data;
@@ -78,6 +141,8 @@ export async function getRepository(owner, repo) {
  * @returns {Promise<{content: string, sha: string, encoding: string}>}
  */
 export async function getFileContent(owner, repo, path, ref = 'main') {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.repos.getContent({
             owner,
@@ -117,6 +182,8 @@ export async function getFileContent(owner, repo, path, ref = 'main') {
  * @returns {Promise<string>} Raw log content
  */
 export async function getWorkflowLogs(owner, repo, runId) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.actions.downloadWorkflowRunLogs({
             owner,
@@ -146,6 +213,8 @@ export async function getWorkflowLogs(owner, repo, runId) {
  * @returns {Promise<object>} Job details
  */
 export async function getWorkflowJob(owner, repo, jobId) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.actions.getJobForWorkflowRun({
             owner,
@@ -172,6 +241,8 @@ export async function getWorkflowJob(owner, repo, jobId) {
  * @returns {Promise<object>} Run details
  */
 export async function getWorkflowRun(owner, repo, runId) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.actions.getWorkflowRun({
             owner,
@@ -190,6 +261,126 @@ export async function getWorkflowRun(owner, repo, runId) {
     }
 }
 
+/**
+ * Get a check run (Checks API), including its output title, summary and text
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} checkRunId - Check run ID
+ * @returns {Promise<object>} Check run details
+ */
+export async function getCheckRun(owner, repo, checkRunId) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.checks.get({
+            owner,
+            repo,
+            check_run_id: checkRunId,
+        });
+        return data;
+    } catch (error) {
+        logger.error('Failed to get check run', {
+            owner,
+            repo,
+            checkRunId,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * List the annotations of a check run
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} checkRunId - Check run ID
+ * @returns {Promise<Array<object>>} Annotations ({ path, start_line, end_line, annotation_level, message, ... })
+ */
+export async function listCheckRunAnnotations(owner, repo, checkRunId) {
+    const octokit = await getOctokit();
+
+    try {
+        return await octokit.paginate(octokit.rest.checks.listAnnotations, {
+            owner,
+            repo,
+            check_run_id: checkRunId,
+            per_page: 100,
+        });
+    } catch (error) {
+        logger.error('Failed to list check run annotations', {
+            owner,
+            repo,
+            checkRunId,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Build a log for a check run from what third-party CI reports through the Checks API: the output
+ * title, summary and text, then one compiler-style line per annotation so Scout can locate files
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} checkRunId - Check run ID
+ * @returns {Promise<string>} Log text
+ */
+export async function getCheckRunLog(owner, repo, checkRunId) {
+    const checkRun = await getCheckRun(owner, repo, checkRunId);
+    const annotations = checkRun.output?.annotations_count > 0
+        ? await listCheckRunAnnotations(owner, repo, checkRunId)
+        : [];
+
+    const sections = [
+        `Check run "${checkRun.name}"${checkRun.app?.name ? ` (${checkRun.app.name})` : ''} concluded: ${checkRun.conclusion}`,
+    ];
+
+    if (checkRun.output?.title) sections.push(checkRun.output.title);
+    if (checkRun.output?.summary) sections.push(checkRun.output.summary);
+    if (checkRun.output?.text) sections.push(checkRun.output.text);
+
+    if (annotations.length > 0) {
+        sections.push(annotations.map(a => {
+            const location = `${a.path}:${a.start_line}${a.start_column ? `:${a.start_column}` : ''}`;
+            const details = a.raw_details ? `\n${a.raw_details}` : '';
+            return `${location}: ${a.annotation_level}: ${a.title ? `${a.title}: ` : ''}${a.message}${details}`;
+        }).join('\n'));
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * List the check runs of a check suite
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} checkSuiteId - Check suite ID
+ * @param {object} options - Options
+ * @param {string} options.status - Only return check runs with this status (e.g. completed)
+ * @returns {Promise<Array<object>>} Check runs
+ */
+export async function listCheckRunsForSuite(owner, repo, checkSuiteId, { status } = {}) {
+    const octokit = await getOctokit();
+
+    try {
+        return await octokit.paginate(octokit.rest.checks.listForSuite, {
+            owner,
+            repo,
+            check_suite_id: checkSuiteId,
+            status,
+            per_page: 100,
+        });
+    } catch (error) {
+        logger.error('Failed to list check runs for suite', {
+            owner,
+            repo,
+            checkSuiteId,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
 /**
  * Create a new branch
  * @param {string} owner - Repository owner
@@ -199,6 +390,8 @@ export async function getWorkflowRun(owner, repo, runId) {
  * @returns {Promise<object>} Created reference
  */
 export async function createBranch(owner, repo, branchName, baseSha) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.git.createRef({
             owner,
@@ -236,6 +429,8 @@ export async function createBranch(owner, repo, branchName, baseSha) {
  * @returns {Promise<object>} Commit data
  */
 export async function createOrUpdateFile(owner, repo, path, content, message, branch, sha = null) {
+    const octokit = await getOctokit();
+
     try {
         const params = {
             owner,
@@ -265,6 +460,76 @@ export async function createOrUpdateFile(owner, repo, path, content, message, br
     }
 }
 
+/**
+ * Create a single commit containing several file changes (Git Data API)
+ * The commit is not on any branch yet; point a branch at it with createBranch().
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseSha - Parent commit SHA
+ * @param {Array<{path: string, content: string|null}>} files - File contents (null deletes the file)
+ * @param {string} message - Commit message
+ * @returns {Promise<object>} Created commit data
+ */
+export async function createCommitWithFiles(owner, repo, baseSha, files, message) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data: baseCommit } = await octokit.rest.git.getCommit({
+            owner,
+            repo,
+            commit_sha: baseSha,
+        });
+
+        const tree = [];
+        for (const file of files) {
+            if (file.content === null) {
+                tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+                continue;
+            }
+
+            const { data: blob } = await octokit.rest.git.createBlob({
+                owner,
+                repo,
+                content: Buffer.from(file.content).toString('base64'),
+                encoding: 'base64',
+            });
+
+            tree.push({ path: file.path, mode: file.mode || '100644', type: 'blob', sha: blob.sha });
+        }
+
+        const { data: newTree } = await octokit.rest.git.createTree({
+            owner,
+            repo,
+            base_tree: baseCommit.tree.sha,
+            tree,
+        });
+
+        const { data: commit } = await octokit.rest.git.createCommit({
+            owner,
+            repo,
+            message,
+            tree: newTree.sha,
+            parents: [baseSha],
+        });
+
+        logger.info('Commit created', {
+            owner,
+            repo,
+            sha: commit.sha,
+            files: files.map(f => f.path),
+        });
+        return commit;
+    } catch (error) {
+        logger.error('Failed to create commit', {
+            owner,
+            repo,
+            files: files.map(f => f.path),
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
 /**
  * Create a pull request
  * @param {string} owner - Repository owner
@@ -277,6 +542,8 @@ export async function createOrUpdateFile(owner, repo, path, content, message, br
  * @returns {Promise<object>} Created PR data
  */
 export async function createPullRequest(owner, repo, title, body, head, base, labels = []) {
+    const octokit = await getOctokit();
+
     try {
         // Create the PR
         const { data: pr } = await octokit.rest.pulls.create({
@@ -323,6 +590,71 @@ export async function createPullRequest(owner, repo, title, body, head, base, la
     }
 }
 
+/**
+ * Request reviewers on a pull request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @param {string[]} reviewers - Usernames, or "org/team-slug" for teams
+ * @returns {Promise<object>} Updated PR data
+ */
+export async function requestReviewers(owner, repo, pullNumber, reviewers = []) {
+    const octokit = await getOctokit();
+    const users = reviewers.filter(r => !r.includes('/'));
+    const teams = reviewers.filter(r => r.includes('/')).map(r => r.split('/').pop());
+
+    try {
+        const { data } = await octokit.rest.pulls.requestReviewers({
+            owner,
+            repo,
+            pull_number: pullNumber,
+            reviewers: users,
+            team_reviewers: teams,
+        });
+
+        logger.info('Reviewers requested', { owner, repo, pullNumber, reviewers });
+        return data;
+    } catch (error) {
+        logger.error('Failed to request reviewers', {
+            owner,
+            repo,
+            pullNumber,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Enable auto-merge on a pull request (requires auto-merge to be allowed on the repo)
+ * @param {string} pullRequestNodeId - GraphQL node ID of the PR
+ * @param {string} mergeMethod - MERGE, SQUASH or REBASE
+ * @returns {Promise<object>} GraphQL response
+ */
+export async function enableAutoMerge(pullRequestNodeId, mergeMethod = 'SQUASH') {
+    const octokit = await getOctokit();
+
+    try {
+        const data = await octokit.graphql(
+            `mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+                enablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod }) {
+                    pullRequest { number }
+                }
+            }`,
+            { pullRequestId: pullRequestNodeId, mergeMethod }
+        );
+
+        logger.info('Auto-merge enabled', { pullRequestNodeId, mergeMethod });
+        return data;
+    } catch (error) {
+        logger.error('Failed to enable auto-merge', {
+            pullRequestNodeId,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
 /**
  * Create an issue (for low-confidence fixes)
  * @param {string} owner - Repository owner
@@ -333,6 +665,8 @@ export async function createPullRequest(owner, repo, title, body, head, base, la
  * @returns {Promise<object>} Created issue data
  */
 export async function createIssue(owner, repo, title, body, labels = []) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.issues.create({
             owner,
@@ -360,6 +694,37 @@ export async function createIssue(owner, repo, title, body, labels = []) {
     }
 }
 
+/**
+ * Find an open issue by exact title
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} title - Issue title
+ * @param {string[]} labels - Labels to narrow the search
+ * @returns {Promise<object|null>} Matching issue or null
+ */
+export async function findOpenIssue(owner, repo, title, labels = []) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.issues.listForRepo({
+            owner,
+            repo,
+            state: 'open',
+            labels: labels.join(','),
+            per_page: 100,
+        });
+
+        return data.find(issue => !issue.pull_request && issue.title === title) || null;
+    } catch (error) {
+        logger.warn('Failed to search open issues', {
+            owner,
+            repo,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
 /**
  * Get the default branch for a repository
  * @param {string} owner - Repository owner
@@ -371,6 +736,205 @@ export async function getDefaultBranch(owner, repo) {
     return repoData.default_branch;
 }
 
+/**
+ * Get a branch
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {Promise<object|null>} Branch data, or null if the branch does not exist
+ */
+export async function getBranch(owner, repo, branch) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.repos.getBranch({ owner, repo, branch });
+        return data;
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        logger.error('Failed to get branch', {
+            owner,
+            repo,
+            branch,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Move a branch to a new commit. Fast-forward only: fails with a 422 if the branch has
+ * moved on and the commit does not descend from its current head.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<object>} Updated reference
+ */
+export async function updateBranch(owner, repo, branch, sha) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.git.updateRef({
+            owner,
+            repo,
+            ref: `heads/${branch}`,
+            sha,
+            force: false,
+        });
+
+        logger.info('Branch updated', { owner, repo, branch, sha });
+        return data;
+    } catch (error) {
+        logger.error('Failed to update branch', {
+            owner,
+            repo,
+            branch,
+            error: error.message,
+            status: error.status,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Find the open pull request for a branch
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Head branch name
+ * @param {string} commitSha - A commit on the branch
+ * @param {object} options - Options
+ * @param {boolean} options.includeForks - Also match PRs from forks (which cannot be pushed to)
+ * @returns {Promise<object|null>} Pull request data or null
+ */
+export async function findOpenPullRequest(owner, repo, branch, commitSha, { includeForks = false } = {}) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+            owner,
+            repo,
+            commit_sha: commitSha,
+        });
+
+        return data.find(pr =>
+            pr.state === 'open'
+            && pr.head?.ref === branch
+            && (includeForks || pr.head?.repo?.full_name === `${owner}/${repo}`)
+        ) || null;
+    } catch (error) {
+        logger.warn('Failed to search open pull requests', {
+            owner,
+            repo,
+            branch,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * List the files changed by a pull request, with their patches
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @returns {Promise<Array<object>>} Files ({ filename, status, patch, ... }); patch is missing for
+ *   binary or very large files
+ */
+export async function listPullRequestFiles(owner, repo, pullNumber) {
+    const octokit = await getOctokit();
+
+    try {
+        return await octokit.paginate(octokit.rest.pulls.listFiles, {
+            owner,
+            repo,
+            pull_number: pullNumber,
+            per_page: 100,
+        });
+    } catch (error) {
+        logger.error('Failed to list pull request files', {
+            owner,
+            repo,
+            pullNumber,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Submit a pull request review
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @param {object} review - Review
+ * @param {string} review.commitId - Commit the comments refer to
+ * @param {string} review.body - Review body
+ * @param {Array<object>} review.comments - Line comments ({ path, body, line, side, start_line, start_side })
+ * @param {string} review.event - COMMENT, APPROVE or REQUEST_CHANGES
+ * @returns {Promise<object>} Created review data
+ */
+export async function createReview(owner, repo, pullNumber, { commitId, body, comments = [], event = 'COMMENT' }) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.pulls.createReview({
+            owner,
+            repo,
+            pull_number: pullNumber,
+            commit_id: commitId,
+            body,
+            event,
+            comments,
+        });
+
+        logger.info('Review submitted', { owner, repo, pullNumber, comments: comments.length });
+        return data;
+    } catch (error) {
+        logger.error('Failed to submit review', {
+            owner,
+            repo,
+            pullNumber,
+            error: error.message,
+            status: error.status,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Comment on an issue or pull request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue or PR number
+ * @param {string} body - Comment body
+ * @returns {Promise<object>} Created comment data
+ */
+export async function createIssueComment(owner, repo, issueNumber, body) {
+    const octokit = await getOctokit();
+
+    try {
+        const { data } = await octokit.rest.issues.createComment({
+            owner,
+            repo,
+            issue_number: issueNumber,
+            body,
+        });
+
+        logger.info('Comment created', { owner, repo, issueNumber, url: data.html_url });
+        return data;
+    } catch (error) {
+        logger.error('Failed to create comment', {
+            owner,
+            repo,
+            issueNumber,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
 /**
  * Get commit details
  * @param {string} owner - Repository owner
@@ -379,6 +943,8 @@ export async function getDefaultBranch(owner, repo) {
  * @returns {Promise<object>} Commit data
  */
 export async function getCommit(owner, repo, sha) {
+    const octokit = await getOctokit();
+
     try {
         const { data } = await octokit.rest.repos.getCommit({
             owner,
@@ -0,0 +1,441 @@
+/**
+ * GitLab API Configuration
+ * REST (v4) client for GitLab.com or a self-managed instance (GITLAB_URL), authenticated with
+ * a personal, group or project access token (GITLAB_TOKEN)
+ */
+
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+const gitlabUrl = (process.env.GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+
+const client = axios.create({
+    baseURL: `${gitlabUrl}/api/v4`,
+    headers: {
+        'User-Agent': 'CodeAutopsy/1.0.0',
+    },
+    timeout: 30000,
+});
+
+/**
+ * Get the GitLab web URL (used for clone and web links)
+ * @returns {string} Instance URL without trailing slash
+ */
+export function getGitLabUrl() {
+    return gitlabUrl;
+}
+
+/**
+ * Get the access token
+ * @returns {string|undefined} GITLAB_TOKEN
+ */
+export function getGitLabToken() {
+    return process.env.GITLAB_TOKEN;
+}
+
+/**
+ * Encode a project path for use as a URL id ("group/sub/project" -> "group%2Fsub%2Fproject")
+ * @param {string} owner - Namespace (group path, may contain subgroups)
+ * @param {string} repo - Project path
+ * @returns {string} Encoded project id
+ */
+function projectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+}
+
+/**
+ * Make an API request. Errors carry `status` like Octokit errors, so callers can treat
+ * both providers alike.
+ * @param {string} method - HTTP method
+ * @param {string} url - Path relative to /api/v4
+ * @param {object} options - { params, data, responseType }
+ * @returns {Promise<*>} Response body
+ */
+async function request(method, url, { params, data, responseType } = {}) {
+    const token = getGitLabToken();
+    if (!token) {
+        throw new Error('GITLAB_TOKEN is not set');
+    }
+
+    try {
+        const response = await client.request({
+            method,
+            url,
+            params,
+            data,
+            responseType,
+            headers: { 'PRIVATE-TOKEN': token },
+        });
+        return response.data;
+    } catch (error) {
+        const message = error.response?.data?.message || error.response?.data?.error || error.message;
+        throw Object.assign(
+            new Error(typeof message === 'string' ? message : JSON.stringify(message)),
+            { status: error.response?.status }
+        );
+    }
+}
+
+/**
+ * Validate the access token
+ * @returns {Promise<{valid: boolean, user: string}>}
+ */
+export async function validateToken() {
+    try {
+        const user = await request('get', '/user');
+        logger.info('GitLab token validated', { user: user.username });
+        return { valid: true, user: user.username };
+    } catch (error) {
+        logger.error('GitLab token validation failed', { error: error.message });
+        return { valid: false, error: error.message };
+    }
+}
+
+/**
+ * Get project information
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @returns {Promise<object>} Project data
+ */
+export async function getProject(owner, repo) {
+    try {
+        return await request('get', `/projects/${projectId(owner, repo)}`);
+    } catch (error) {
+        logger.error('Failed to get project', {
+            owner,
+            repo,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Get the default branch of a project
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @returns {Promise<string>} Default branch name
+ */
+export async function getDefaultBranch(owner, repo) {
+    const project = await getProject(owner, repo);
+    return project.default_branch;
+}
+
+/**
+ * Get file content from a project
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} path - File path
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<{content: string, sha: string, encoding: string, size: number, path: string}>}
+ */
+export async function getFileContent(owner, repo, path, ref = 'main') {
+    try {
+        const data = await request('get', `/projects/${projectId(owner, repo)}/repository/files/${encodeURIComponent(path)}`, {
+            params: { ref },
+        });
+
+        return {
+            content: Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8'),
+            sha: data.blob_id,
+            encoding: data.encoding,
+            size: data.size,
+            path: data.file_path,
+        };
+    } catch (error) {
+        if (error.status === 404) {
+            logger.warn('File not found in project', { owner, repo, path, ref });
+            throw new Error(`File not found: ${path}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Get a branch
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} branch - Branch name
+ * @returns {Promise<object|null>} Branch data ({ name, commit: { id } }), or null if it does not exist
+ */
+export async function getBranch(owner, repo, branch) {
+    try {
+        return await request('get', `/projects/${projectId(owner, repo)}/repository/branches/${encodeURIComponent(branch)}`);
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        logger.error('Failed to get branch', {
+            owner,
+            repo,
+            branch,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Create a branch
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} branchName - New branch name
+ * @param {string} ref - Commit SHA or branch to branch from
+ * @returns {Promise<object>} Created branch data
+ */
+export async function createBranch(owner, repo, branchName, ref) {
+    try {
+        const data = await request('post', `/projects/${projectId(owner, repo)}/repository/branches`, {
+            data: { branch: branchName, ref },
+        });
+
+        logger.info('Branch created', { owner, repo, branch: branchName });
+        return data;
+    } catch (error) {
+        logger.error('Failed to create branch', {
+            owner,
+            repo,
+            branch: branchName,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Commit several files at once
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {object} params - Commit parameters
+ * @param {string} params.branch - Branch to commit to (created from startSha when given)
+ * @param {string} params.startSha - Create the branch from this commit
+ * @param {Array<{path: string, content: string}>} params.files - Updated files
+ * @param {string} params.message - Commit message
+ * @returns {Promise<object>} Created commit data ({ id, short_id, web_url, ... })
+ */
+export async function createCommit(owner, repo, { branch, startSha = null, files, message }) {
+    try {
+        const data = await request('post', `/projects/${projectId(owner, repo)}/repository/commits`, {
+            data: {
+                branch,
+                ...(startSha ? { start_sha: startSha } : {}),
+                commit_message: message,
+                actions: files.map(file => ({
+                    action: 'update',
+                    file_path: file.path,
+                    content: file.content,
+                })),
+            },
+        });
+
+        logger.info('Commit created', { owner, repo, branch, sha: data.id, files: files.length });
+        return data;
+    } catch (error) {
+        logger.error('Failed to create commit', {
+            owner,
+            repo,
+            branch,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * List the failed jobs of a pipeline
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {number} pipelineId - Pipeline ID
+ * @returns {Promise<Array<object>>} Jobs
+ */
+export async function listFailedPipelineJobs(owner, repo, pipelineId) {
+    return request('get', `/projects/${projectId(owner, repo)}/pipelines/${pipelineId}/jobs`, {
+        params: { 'scope[]': 'failed', per_page: 100 },
+    });
+}
+
+/**
+ * Get the log (trace) of a job
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {number} jobId - Job ID
+ * @returns {Promise<string>} Raw log
+ */
+export async function getJobLog(owner, repo, jobId) {
+    const data = await request('get', `/projects/${projectId(owner, repo)}/jobs/${jobId}/trace`, {
+        responseType: 'text',
+    });
+    return typeof data === 'string' ? data : String(data);
+}
+
+/**
+ * Create a merge request
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {object} params - Merge request parameters
+ * @param {string} params.title - Title
+ * @param {string} params.description - Description
+ * @param {string} params.sourceBranch - Source branch
+ * @param {string} params.targetBranch - Target branch
+ * @param {string[]} params.labels - Labels
+ * @returns {Promise<object>} Created merge request data ({ iid, web_url, ... })
+ */
+export async function createMergeRequest(owner, repo, { title, description, sourceBranch, targetBranch, labels = [] }) {
+    try {
+        const data = await request('post', `/projects/${projectId(owner, repo)}/merge_requests`, {
+            data: {
+                title,
+                description,
+                source_branch: sourceBranch,
+                target_branch: targetBranch,
+                labels: labels.join(','),
+                remove_source_branch: true,
+            },
+        });
+
+        logger.info('Merge request created', {
+            owner,
+            repo,
+            mrIid: data.iid,
+            url: data.web_url,
+        });
+        return data;
+    } catch (error) {
+        logger.error('Failed to create merge request', {
+            owner,
+            repo,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Find the open merge request for a source branch
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} branch - Source branch
+ * @param {object} options - Options
+ * @param {boolean} options.includeForks - Also match merge requests from forks
+ * @returns {Promise<object|null>} Merge request data or null
+ */
+export async function findOpenMergeRequest(owner, repo, branch, { includeForks = false } = {}) {
+    try {
+        const data = await request('get', `/projects/${projectId(owner, repo)}/merge_requests`, {
+            params: { state: 'opened', source_branch: branch, per_page: 100 },
+        });
+
+        return data.find(mr => includeForks || mr.source_project_id === mr.target_project_id) || null;
+    } catch (error) {
+        logger.warn('Failed to search open merge requests', {
+            owner,
+            repo,
+            branch,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * Create an issue
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} title - Issue title
+ * @param {string} description - Issue description
+ * @param {string[]} labels - Labels
+ * @returns {Promise<object>} Created issue data ({ iid, web_url, ... })
+ */
+export async function createIssue(owner, repo, title, description, labels = []) {
+    try {
+        const data = await request('post', `/projects/${projectId(owner, repo)}/issues`, {
+            data: { title, description, labels: labels.join(',') },
+        });
+
+        logger.info('Issue created', {
+            owner,
+            repo,
+            issueIid: data.iid,
+            url: data.web_url,
+        });
+        return data;
+    } catch (error) {
+        logger.error('Failed to create issue', {
+            owner,
+            repo,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Find an open issue by exact title
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {string} title - Issue title
+ * @param {string[]} labels - Labels to narrow the search
+ * @returns {Promise<object|null>} Matching issue or null
+ */
+export async function findOpenIssue(owner, repo, title, labels = []) {
+    try {
+        const data = await request('get', `/projects/${projectId(owner, repo)}/issues`, {
+            params: { state: 'opened', labels: labels.join(','), search: title, in: 'title', per_page: 100 },
+        });
+
+        return data.find(issue => issue.title === title) || null;
+    } catch (error) {
+        logger.warn('Failed to search open issues', {
+            owner,
+            repo,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * Comment on a merge request
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project path
+ * @param {number} mrIid - Merge request IID
+ * @param {string} body - Comment body
+ * @returns {Promise<object>} Created note data ({ id, ... })
+ */
+export async function createMergeRequestNote(owner, repo, mrIid, body) {
+    try {
+        const data = await request('post', `/projects/${projectId(owner, repo)}/merge_requests/${mrIid}/notes`, {
+            data: { body },
+        });
+
+        logger.info('Comment created', { owner, repo, mrIid, noteId: data.id });
+        return data;
+    } catch (error) {
+        logger.error('Failed to create comment', {
+            owner,
+            repo,
+            mrIid,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+export default {
+    getGitLabUrl,
+    getGitLabToken,
+    validateToken,
+    getProject,
+    getDefaultBranch,
+    getFileContent,
+    getBranch,
+    createBranch,
+    createCommit,
+    listFailedPipelineJobs,
+    getJobLog,
+    createMergeRequest,
+    findOpenMergeRequest,
+    createIssue,
+    findOpenIssue,
+    createMergeRequestNote,
+};
@@ -0,0 +1,119 @@
+/**
+ * LLM Fixtures
+ * Record/replay of LLM responses keyed by a hash of the prompt, for offline prompt regression tests
+ *
+ * LLM_FIXTURE_MODE=record  - call the provider and write each response to LLM_FIXTURE_DIR
+ * LLM_FIXTURE_MODE=replay  - serve responses from LLM_FIXTURE_DIR; a missing fixture is an error
+ */
+
+import crypto from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Current fixture mode
+ * @returns {string} 'off', 'record' or 'replay'
+ */
+export function getFixtureMode() {
+    const mode = (process.env.LLM_FIXTURE_MODE || 'off').toLowerCase();
+
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new Error(`Invalid LLM_FIXTURE_MODE: ${mode}. Use ${FIXTURE_MODES.join(', ')}.`);
+    }
+
+    return mode;
+}
+
+/**
+ * Directory fixtures are read from and written to
+ * @returns {string} Absolute directory path
+ */
+export function getFixtureDir() {
+    return path.resolve(process.env.LLM_FIXTURE_DIR || 'tests/fixtures/llm');
+}
+
+/**
+ * Key for a request; the provider is not part of it so fixtures replay under any provider
+ * @param {string} prompt - Prompt text
+ * @param {object} options - Request options
+ * @param {string} options.tier - Model tier
+ * @param {boolean} options.json - JSON mode
+ * @returns {string} SHA-256 hex digest
+ */
+export function fixtureKey(prompt, { tier, json = false }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ tier, json: Boolean(json), prompt }))
+        .digest('hex');
+}
+
+/**
+ * Serve a recorded response
+ * @param {string} prompt - Prompt text
+ * @param {object} options - { tier, json }
+ * @returns {Promise<object>} Recorded generateContent result
+ */
+export async function replayFixture(prompt, { tier, json = false }) {
+    const key = fixtureKey(prompt, { tier, json });
+    const file = path.join(getFixtureDir(), `${key}.json`);
+
+    let fixture;
+    try {
+        fixture = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(
+                `No LLM fixture for prompt ${key.substring(0, 12)} (tier ${tier}) in ${getFixtureDir()}. ` +
+                'Re-record with LLM_FIXTURE_MODE=record.'
+            );
+        }
+        throw error;
+    }
+
+    logger.debug('LLM fixture replayed', { key: key.substring(0, 12), tier });
+
+    return { ...fixture.response, latency: 0 };
+}
+
+/**
+ * Write a response to disk
+ * @param {string} prompt - Prompt text
+ * @param {object} options - { tier, json }
+ * @param {object} response - generateContent result
+ * @returns {Promise<string>} Fixture key
+ */
+export async function recordFixture(prompt, { tier, json = false }, response) {
+    const key = fixtureKey(prompt, { tier, json });
+    const dir = getFixtureDir();
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, `${key}.json`), JSON.stringify({
+        key,
+        tier,
+        json: Boolean(json),
+        // Stored in full so prompt changes show up in fixture diffs
+        prompt,
+        response: {
+            text: response.text,
+            usage: response.usage,
+            provider: response.provider,
+            model: response.model,
+        },
+        recordedAt: new Date().toISOString(),
+    }, null, 2) + '\n');
+
+    logger.debug('LLM fixture recorded', { key: key.substring(0, 12), tier });
+
+    return key;
+}
+
+export default {
+    getFixtureMode,
+    getFixtureDir,
+    fixtureKey,
+    replayFixture,
+    recordFixture,
+};
@@ -0,0 +1,91 @@
+/**
+ * LLM Pricing
+ * USD per million tokens, used to estimate the cost of each LLM call
+ *
+ * Override or extend the table with LLM_PRICES, a JSON object keyed by model id:
+ *   LLM_PRICES={"qwen2.5-coder:32b": {"input": 0, "output": 0}, "gpt-4o": {"input": 2.5, "output": 10}}
+ */
+
+import logger from '../utils/logger.js';
+
+export const DEFAULT_PRICES = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+    'claude-sonnet-4-0': { input: 3.00, output: 15.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+};
+
+// Providers that run on our own hardware unless the table says otherwise
+const FREE_PROVIDERS = ['openai-compatible'];
+
+// Warn about each unpriced model once, not on every call
+const warnedModels = new Set();
+
+/**
+ * Price table with LLM_PRICES applied
+ * @returns {object} Prices keyed by model id
+ */
+export function getPriceTable() {
+    if (!process.env.LLM_PRICES) {
+        return DEFAULT_PRICES;
+    }
+
+    try {
+        return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+    } catch (error) {
+        logger.warn('Invalid LLM_PRICES, using default prices', { error: error.message });
+        return DEFAULT_PRICES;
+    }
+}
+
+/**
+ * Price of a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model id
+ * @returns {{input: number, output: number}|null} Price per million tokens, or null if unknown
+ */
+export function getModelPrice(provider, model) {
+    const table = getPriceTable();
+
+    if (table[model]) return table[model];
+
+    // OpenRouter ids are "<vendor>/<model>"; free variants end in ":free"
+    if (model?.endsWith(':free') || FREE_PROVIDERS.includes(provider)) {
+        return { input: 0, output: 0 };
+    }
+    const bareModel = model?.split('/').pop();
+    if (table[bareModel]) return table[bareModel];
+
+    return null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {object} params - Call details
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model id
+ * @param {object} params.usage - { promptTokens, responseTokens }
+ * @returns {number} Estimated cost in USD (0 for unpriced models)
+ */
+export function estimateCost({ provider, model, usage }) {
+    const price = getModelPrice(provider, model);
+
+    if (!price) {
+        if (!warnedModels.has(model)) {
+            warnedModels.add(model);
+            logger.warn('No price for model, recording zero cost (set LLM_PRICES)', { provider, model });
+        }
+        return 0;
+    }
+
+    return ((usage.promptTokens || 0) * price.input + (usage.responseTokens || 0) * price.output) / 1e6;
+}
+
+export default {
+    DEFAULT_PRICES,
+    getPriceTable,
+    getModelPrice,
+    estimateCost,
+};
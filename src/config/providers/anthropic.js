@@ -0,0 +1,117 @@
+/**
+ * Anthropic Provider
+ * Messages API via fetch (no SDK dependency)
+ */
+
+import logger from '../../utils/logger.js';
+import { TIER_DEFAULTS, estimateTokens, getRequestTimeoutMs, normalizeTier, providerHttpError } from './base.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create an Anthropic provider
+ * @param {object} options - Provider options
+ * @param {string|null} options.apiKey - Anthropic API key
+ * @param {string} options.baseUrl - API base URL
+ * @param {object} options.models - { FLASH, PRO } model ids
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {object} Provider
+ */
+export function createAnthropicProvider({
+    apiKey,
+    baseUrl = 'https://api.anthropic.com/v1',
+    models,
+    timeoutMs = getRequestTimeoutMs(),
+}) {
+    const url = baseUrl.replace(/\/+$/, '');
+    const headers = {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+    };
+
+    return {
+        name: 'anthropic',
+        models,
+
+        isConfigured() {
+            return Boolean(apiKey);
+        },
+
+        async generate(prompt, { tier = 'FLASH', model: modelOverride, json = false, maxTokens, temperature } = {}) {
+            const canonical = normalizeTier(tier);
+            const model = modelOverride || models[canonical];
+            const defaults = TIER_DEFAULTS[canonical];
+            const startTime = Date.now();
+
+            const messages = [{ role: 'user', content: prompt }];
+
+            // No JSON mode in the Messages API; prefilling "{" keeps the reply a bare object
+            if (json) {
+                messages.push({ role: 'assistant', content: '{' });
+            }
+
+            const response = await fetch(`${url}/messages`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    temperature: temperature ?? defaults.temperature,
+                    max_tokens: maxTokens ?? defaults.maxTokens,
+                }),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+
+            if (!response.ok) {
+                throw providerHttpError('anthropic', response.status, await response.text());
+            }
+
+            const data = await response.json();
+            const content = (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+
+            const promptTokens = data.usage?.input_tokens || 0;
+            const responseTokens = data.usage?.output_tokens || 0;
+
+            return {
+                text: json ? `{${content}` : content,
+                usage: {
+                    promptTokens,
+                    responseTokens,
+                    totalTokens: promptTokens + responseTokens,
+                },
+                latency: Date.now() - startTime,
+                model,
+            };
+        },
+
+        async countTokens(text, { tier = 'FLASH' } = {}) {
+            try {
+                const response = await fetch(`${url}/messages/count_tokens`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: models[normalizeTier(tier)],
+                        messages: [{ role: 'user', content: text }],
+                    }),
+                    signal: AbortSignal.timeout(timeoutMs),
+                });
+
+                if (!response.ok) {
+                    throw providerHttpError('anthropic', response.status, await response.text());
+                }
+
+                const data = await response.json();
+                return data.input_tokens;
+            } catch (error) {
+                logger.debug('Anthropic token count unavailable, estimating', { error: error.message });
+                return estimateTokens(text);
+            }
+        },
+    };
+}
+
+export default createAnthropicProvider;
@@ -0,0 +1,125 @@
+/**
+ * LLM Provider Helpers
+ * Shared pieces of the provider interface used by every adapter
+ *
+ * A provider is a plain object:
+ *   name                     - Registry name
+ *   models                   - { FLASH, PRO } model ids
+ *   isConfigured()           - Whether credentials/endpoint are present
+ *   generate(prompt, opts)   - { text, usage, latency, model }; opts: { tier, model, json, maxTokens, temperature }
+ *                              (model overrides the tier's default model). Requests are aborted
+ *                              after getRequestTimeoutMs().
+ *   countTokens(text, opts)  - Token count for a prompt; opts: { tier }
+ */
+
+// Canonical model tiers; every provider maps both
+export const TIERS = ['FLASH', 'PRO'];
+
+// Older names used by the OpenRouter-only client
+const TIER_ALIASES = {
+    FAST: 'FLASH',
+    CODE: 'PRO',
+    LLAMA: 'PRO',
+};
+
+// Default generation settings per tier
+export const TIER_DEFAULTS = {
+    FLASH: { temperature: 0.1, maxTokens: 8192 },
+    PRO: { temperature: 0.2, maxTokens: 32768 },
+};
+
+// Longest a single provider request may take before it is aborted (and retried)
+export const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+// Socket-level failures behind fetch()'s "fetch failed" TypeError
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT',
+];
+
+/**
+ * Request timeout for provider calls (AI_REQUEST_TIMEOUT_MS)
+ * @returns {number} Timeout in milliseconds
+ */
+export function getRequestTimeoutMs() {
+    return parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || DEFAULT_REQUEST_TIMEOUT_MS;
+}
+
+/**
+ * Map a tier name (including legacy aliases) to FLASH or PRO
+ * @param {string} tier - Requested tier
+ * @returns {string} Canonical tier
+ */
+export function normalizeTier(tier = 'FLASH') {
+    const upper = String(tier).toUpperCase();
+    const canonical = TIER_ALIASES[upper] || upper;
+
+    if (!TIERS.includes(canonical)) {
+        throw new Error(`Unknown model tier: ${tier}. Use 'FLASH' or 'PRO'.`);
+    }
+
+    return canonical;
+}
+
+/**
+ * Rough token estimate for providers without a tokenizer endpoint (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Build an error for a non-2xx provider response
+ * @param {string} provider - Provider name
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body
+ * @returns {Error} Error with status set
+ */
+export function providerHttpError(provider, status, body) {
+    const error = new Error(`${provider} API error: ${status} - ${String(body).substring(0, 500)}`);
+    error.status = status;
+    error.provider = provider;
+    return error;
+}
+
+/**
+ * Whether a provider call is worth retrying (rate limits, server errors, timeouts and network
+ * failures). Any other error, a TypeError from a bug included, is thrown at once.
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} Whether to retry
+ */
+export function isRetryableError(error) {
+    if (error.status) {
+        return error.status === 429 || error.status >= 500;
+    }
+
+    // AbortSignal.timeout() rejects with a TimeoutError, an aborted signal with an AbortError
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        return true;
+    }
+
+    // fetch() rejects with TypeError('fetch failed') and the socket error as its cause
+    return NETWORK_ERROR_CODES.includes(error.cause?.code ?? error.code)
+        || (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+export default {
+    TIERS,
+    TIER_DEFAULTS,
+    DEFAULT_REQUEST_TIMEOUT_MS,
+    getRequestTimeoutMs,
+    normalizeTier,
+    estimateTokens,
+    providerHttpError,
+    isRetryableError,
+};
@@ -0,0 +1,85 @@
+/**
+ * Gemini Provider
+ * Adapter over the Google Generative AI client in config/gemini.js
+ */
+
+import logger from '../../utils/logger.js';
+import { estimateTokens, getRequestTimeoutMs, normalizeTier } from './base.js';
+
+/**
+ * Create a Gemini provider
+ * @param {object} options - Provider options
+ * @param {string|null} options.apiKey - Gemini API key
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {object} Provider
+ */
+export function createGeminiProvider({ apiKey, timeoutMs = getRequestTimeoutMs() }) {
+    // Loaded on first use so other providers work without the Gemini SDK configured
+    let client = null;
+    const loadClient = async () => {
+        client = client || await import('../gemini.js');
+        return client;
+    };
+
+    return {
+        name: 'gemini',
+
+        get models() {
+            return {
+                FLASH: process.env.GEMINI_MODEL_FLASH || 'gemini-2.5-flash',
+                PRO: process.env.GEMINI_MODEL_PRO || 'gemini-2.5-flash',
+            };
+        },
+
+        isConfigured() {
+            return Boolean(apiKey);
+        },
+
+        async generate(prompt, { tier = 'FLASH', model, json = false, maxTokens, temperature } = {}) {
+            const canonical = normalizeTier(tier);
+            const { getModel, ModelConfig } = await loadClient();
+            const startTime = Date.now();
+
+            const overrides = {};
+            if (json) overrides.responseMimeType = 'application/json';
+            if (maxTokens !== undefined) overrides.maxOutputTokens = maxTokens;
+            if (temperature !== undefined) overrides.temperature = temperature;
+
+            // The SDK wraps an abort in a generic error; rethrow the TimeoutError so it is retried
+            const signal = AbortSignal.timeout(timeoutMs);
+            let response;
+            try {
+                const result = await getModel(canonical, overrides, model).generateContent(prompt, { signal });
+                response = await result.response;
+            } catch (error) {
+                throw signal.aborted ? signal.reason : error;
+            }
+
+            return {
+                text: response.text(),
+                usage: {
+                    promptTokens: response.usageMetadata?.promptTokenCount || 0,
+                    responseTokens: response.usageMetadata?.candidatesTokenCount || 0,
+                    totalTokens: response.usageMetadata?.totalTokenCount || 0,
+                },
+                latency: Date.now() - startTime,
+                model: model || ModelConfig[canonical].name,
+            };
+        },
+
+        async countTokens(text, { tier = 'FLASH' } = {}) {
+            try {
+                const { getModel } = await loadClient();
+                const { totalTokens } = await getModel(normalizeTier(tier)).countTokens(text, {
+                    signal: AbortSignal.timeout(timeoutMs),
+                });
+                return totalTokens;
+            } catch (error) {
+                logger.debug('Gemini token count unavailable, estimating', { error: error.message });
+                return estimateTokens(text);
+            }
+        },
+    };
+}
+
+export default createGeminiProvider;
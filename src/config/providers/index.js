@@ -0,0 +1,128 @@
+/**
+ * LLM Provider Registry
+ * Maps provider names to adapters and agents to providers
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// Provider used when neither AI_PROVIDER_<AGENT> nor AI_PROVIDER is set
+export const DEFAULT_PROVIDER = 'openrouter';
+
+// Factories read the environment when the provider is first used
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a provider factory (replaces an existing one with the same name)
+ * @param {string} name - Provider name
+ * @param {Function} factory - () => provider
+ */
+export function registerProvider(name, factory) {
+    factories.set(name, factory);
+    instances.delete(name);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ */
+export function getProvider(name) {
+    if (!instances.has(name)) {
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown AI provider: ${name}. Available: ${listProviders().join(', ')}`);
+        }
+        instances.set(name, factory());
+    }
+
+    return instances.get(name);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]} Provider names
+ */
+export function listProviders() {
+    return [...factories.keys()];
+}
+
+/**
+ * Drop cached provider instances so the next lookup re-reads the environment
+ */
+export function resetProviders() {
+    instances.clear();
+}
+
+/**
+ * Name of the provider an agent should use
+ * @param {string|null} agent - Agent name (e.g. 'surgeon'), or null for the global default
+ * @returns {string} Provider name
+ */
+export function getProviderNameForAgent(agent = null) {
+    const agentOverride = agent ? process.env[`AI_PROVIDER_${agent.toUpperCase()}`] : null;
+    return agentOverride || process.env.AI_PROVIDER || DEFAULT_PROVIDER;
+}
+
+/**
+ * Provider an agent should use
+ * @param {string|null} agent - Agent name
+ * @returns {object} Provider
+ */
+export function getProviderForAgent(agent = null) {
+    return getProvider(getProviderNameForAgent(agent));
+}
+
+// ============================================
+// Built-in providers
+// ============================================
+
+registerProvider('openrouter', () => createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    models: {
+        FLASH: process.env.OPENROUTER_MODEL_FLASH || 'google/gemini-2.0-flash-exp:free',
+        PRO: process.env.OPENROUTER_MODEL_PRO || 'google/gemini-2.0-flash-exp:free',
+    },
+    headers: {
+        'HTTP-Referer': 'https://codeautospy.local',
+        'X-Title': 'CodeAutoSpy',
+    },
+}));
+
+// Any /v1/chat/completions server: OpenAI, vLLM, llama.cpp, Ollama (the default URL)
+registerProvider('openai-compatible', () => createOpenAICompatibleProvider({
+    name: 'openai-compatible',
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || null,
+    models: {
+        FLASH: process.env.OPENAI_COMPATIBLE_MODEL_FLASH,
+        PRO: process.env.OPENAI_COMPATIBLE_MODEL_PRO || process.env.OPENAI_COMPATIBLE_MODEL_FLASH,
+    },
+    requiresApiKey: false,
+}));
+
+registerProvider('anthropic', () => createAnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+    models: {
+        FLASH: process.env.ANTHROPIC_MODEL_FLASH || 'claude-3-5-haiku-latest',
+        PRO: process.env.ANTHROPIC_MODEL_PRO || 'claude-sonnet-4-0',
+    },
+}));
+
+registerProvider('gemini', () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+}));
+
+export default {
+    registerProvider,
+    getProvider,
+    listProviders,
+    resetProviders,
+    getProviderNameForAgent,
+    getProviderForAgent,
+};
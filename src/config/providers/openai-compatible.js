@@ -0,0 +1,91 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat completions API as served by OpenAI, OpenRouter, vLLM, llama.cpp and Ollama
+ */
+
+import { TIER_DEFAULTS, estimateTokens, getRequestTimeoutMs, normalizeTier, providerHttpError } from './base.js';
+
+/**
+ * Create a provider for an OpenAI-compatible endpoint
+ * @param {object} options - Provider options
+ * @param {string} options.name - Registry name
+ * @param {string} options.baseUrl - API base URL (up to and including /v1)
+ * @param {string|null} options.apiKey - Bearer token (optional for local servers)
+ * @param {object} options.models - { FLASH, PRO } model ids
+ * @param {object} options.headers - Extra request headers
+ * @param {boolean} options.requiresApiKey - Whether isConfigured() needs an API key
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {object} Provider
+ */
+export function createOpenAICompatibleProvider({
+    name,
+    baseUrl,
+    apiKey = null,
+    models,
+    headers = {},
+    requiresApiKey = true,
+    timeoutMs = getRequestTimeoutMs(),
+}) {
+    const url = baseUrl.replace(/\/+$/, '');
+
+    return {
+        name,
+        models,
+
+        isConfigured() {
+            return Boolean(url && models.FLASH && models.PRO && (apiKey || !requiresApiKey));
+        },
+
+        async generate(prompt, { tier = 'FLASH', model: modelOverride, json = false, maxTokens, temperature } = {}) {
+            const canonical = normalizeTier(tier);
+            const model = modelOverride || models[canonical];
+            const defaults = TIER_DEFAULTS[canonical];
+            const startTime = Date.now();
+
+            const body = {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: temperature ?? defaults.temperature,
+                max_tokens: maxTokens ?? defaults.maxTokens,
+            };
+            if (json) {
+                body.response_format = { type: 'json_object' };
+            }
+
+            const response = await fetch(`${url}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                    ...headers,
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+
+            if (!response.ok) {
+                throw providerHttpError(name, response.status, await response.text());
+            }
+
+            const data = await response.json();
+
+            return {
+                text: data.choices?.[0]?.message?.content || '',
+                usage: {
+                    promptTokens: data.usage?.prompt_tokens || 0,
+                    responseTokens: data.usage?.completion_tokens || 0,
+                    totalTokens: data.usage?.total_tokens || 0,
+                },
+                latency: Date.now() - startTime,
+                model,
+            };
+        },
+
+        // The chat completions API has no tokenizer endpoint
+        async countTokens(text) {
+            return estimateTokens(text);
+        },
+    };
+}
+
+export default createOpenAICompatibleProvider;
@@ -0,0 +1,182 @@
+/**
+ * Repository Configuration API
+ * Admin endpoints under /api/repos: per-repository config, blacklist and their audit trail. Every
+ * route needs an admin token; reads too, since configs and the audit trail name admins and reasons.
+ */
+
+import { Router } from 'express';
+import {
+    repoConfigSchema,
+    getDefaultRepoConfig,
+    mergeRepoConfig,
+    diffRepoConfig,
+    recordConfigAudit,
+} from './repo-config.js';
+import { requireAdminToken } from '../utils/api-auth.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+
+// Get repository config (stored row and effective settings)
+router.get('/:owner/:repo/config', requireAdminToken, async (req, res) => {
+    const repoFullName = `${req.params.owner}/${req.params.repo}`;
+
+    try {
+        const { default: prisma } = await import('./database.js');
+
+        const [config, rateLimit] = await Promise.all([
+            prisma.repoConfig.findUnique({ where: { repoFullName } }),
+            prisma.rateLimit.findUnique({ where: { repoFullName } }),
+        ]);
+
+        res.json({
+            repoFullName,
+            config,
+            effective: mergeRepoConfig(getDefaultRepoConfig(), config),
+            isBlacklisted: rateLimit?.isBlacklisted || false,
+        });
+    } catch (error) {
+        logger.error('Get repo config error', { repoFullName, error: error.message });
+        res.status(500).json({ error: 'Failed to get repository config' });
+    }
+});
+
+// Create or update repository config
+router.put('/:owner/:repo/config', requireAdminToken, async (req, res) => {
+    const repoFullName = `${req.params.owner}/${req.params.repo}`;
+
+    const parsed = repoConfigSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid repository config',
+            details: parsed.error.issues,
+        });
+    }
+
+    try {
+        const { default: prisma } = await import('./database.js');
+
+        const existing = await prisma.repoConfig.findUnique({ where: { repoFullName } });
+        const config = await prisma.repoConfig.upsert({
+            where: { repoFullName },
+            create: { repoFullName, ...parsed.data },
+            update: parsed.data,
+        });
+
+        const changes = diffRepoConfig(existing, config);
+        if (!existing || Object.keys(changes).length > 0) {
+            await recordConfigAudit({
+                repoFullName,
+                action: existing ? 'CONFIG_UPDATED' : 'CONFIG_CREATED',
+                actor: req.actor,
+                changes,
+            });
+        }
+
+        res.status(existing ? 200 : 201).json(config);
+    } catch (error) {
+        logger.error('Update repo config error', { repoFullName, error: error.message });
+        res.status(500).json({ error: 'Failed to update repository config' });
+    }
+});
+
+// Delete repository config (repository falls back to global defaults)
+router.delete('/:owner/:repo/config', requireAdminToken, async (req, res) => {
+    const repoFullName = `${req.params.owner}/${req.params.repo}`;
+
+    try {
+        const { default: prisma } = await import('./database.js');
+
+        const existing = await prisma.repoConfig.findUnique({ where: { repoFullName } });
+        if (!existing) {
+            return res.status(404).json({ error: 'Repository config not found' });
+        }
+
+        await prisma.repoConfig.delete({ where: { repoFullName } });
+        await recordConfigAudit({
+            repoFullName,
+            action: 'CONFIG_DELETED',
+            actor: req.actor,
+            changes: diffRepoConfig(existing, null),
+        });
+
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Delete repo config error', { repoFullName, error: error.message });
+        res.status(500).json({ error: 'Failed to delete repository config' });
+    }
+});
+
+/**
+ * Set the blacklist flag for a repository
+ */
+async function setBlacklisted(req, res, isBlacklisted) {
+    const repoFullName = `${req.params.owner}/${req.params.repo}`;
+
+    try {
+        const { default: prisma } = await import('./database.js');
+
+        const rateLimit = await prisma.rateLimit.upsert({
+            where: { repoFullName },
+            create: {
+                repoFullName,
+                isBlacklisted,
+                hourlyResetAt: new Date(Date.now() + 60 * 60 * 1000),
+            },
+            update: { isBlacklisted },
+        });
+
+        await recordConfigAudit({
+            repoFullName,
+            action: isBlacklisted ? 'BLACKLISTED' : 'UNBLACKLISTED',
+            actor: req.actor,
+            changes: req.body?.reason ? { reason: req.body.reason } : null,
+        });
+
+        res.json({ repoFullName, isBlacklisted: rateLimit.isBlacklisted });
+    } catch (error) {
+        logger.error('Blacklist update error', { repoFullName, error: error.message });
+        res.status(500).json({ error: 'Failed to update blacklist' });
+    }
+}
+
+// Blacklist / unblacklist a repository
+router.post('/:owner/:repo/blacklist', requireAdminToken, (req, res) => setBlacklisted(req, res, true));
+router.delete('/:owner/:repo/blacklist', requireAdminToken, (req, res) => setBlacklisted(req, res, false));
+
+// Audit trail for a repository (admin names and blacklist reasons)
+router.get('/:owner/:repo/audit', requireAdminToken, async (req, res) => {
+    const repoFullName = `${req.params.owner}/${req.params.repo}`;
+
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const { default: prisma } = await import('./database.js');
+
+        const [entries, total] = await Promise.all([
+            prisma.configAuditLog.findMany({
+                where: { repoFullName },
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit),
+            }),
+            prisma.configAuditLog.count({ where: { repoFullName } }),
+        ]);
+
+        res.json({
+            entries,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit)),
+            },
+        });
+    } catch (error) {
+        logger.error('Get audit log error', { repoFullName, error: error.message });
+        res.status(500).json({ error: 'Failed to get audit log' });
+    }
+});
+
+export default router;
@@ -0,0 +1,378 @@
+/**
+ * Repository Configuration
+ * Resolves per-repository settings: env defaults < RepoConfig table < in-repo .codeautopsy.yml
+ */
+
+import { z } from 'zod';
+import { parse as parseYaml } from 'yaml';
+import prisma from './database.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_PROTECTED_PATHS = 'config,secrets,.github/workflows,.env';
+
+// In-repo config file names, checked in order
+export const CONFIG_FILE_PATHS = ['.codeautopsy.yml', '.codeautopsy.yaml'];
+
+const DEFAULT_PR_LABELS = ['autopsy-fix', 'automated-pr'];
+const DEFAULT_ISSUE_LABELS = ['autopsy-analysis', 'needs-review', 'bug'];
+
+// Where fixes go: a PR into the failing branch, a PR into the default branch, a commit pushed to
+// the author's open PR for the failing branch, or review suggestions on that PR (the last two fall
+// back to 'failing-branch' when there is no open PR)
+export const FIX_TARGETS = ['failing-branch', 'default-branch', 'pull-request', 'review-suggestions'];
+
+/**
+ * Writable RepoConfig fields accepted by the configuration API.
+ * All fields are optional; omitted fields keep their current (or schema default) value.
+ */
+export const repoConfigSchema = z.object({
+    autoFixEnabled: z.boolean(),
+    autoMergeEnabled: z.boolean(),
+    notifyDiscord: z.boolean(),
+    notifySlack: z.boolean(),
+    requiredReviewers: z.array(z.string().trim().min(1).max(100)).max(15),
+    protectedPaths: z.array(z.string().trim().min(1).max(255)).max(100),
+    maxConfidenceThreshold: z.number().min(0).max(1),
+    dailyBudgetUsd: z.number().min(0).nullable(),
+    fixTarget: z.enum(FIX_TARGETS).nullable(),
+    dryRun: z.boolean().nullable(),
+    verifyCommand: z.string().trim().min(1).max(1000).nullable(),
+    verifyTimeoutSeconds: z.number().int().min(1).max(1800).nullable(),
+}).partial().strict();
+
+const stringList = z.array(z.string().trim().min(1).max(255)).max(100);
+
+/**
+ * Schema for the in-repo .codeautopsy.yml file. Unknown keys are rejected so typos
+ * surface as errors instead of being silently ignored. Descriptions are shown to users in the
+ * invalid-configuration issue (formatRepoConfigFileKeys).
+ */
+export const repoConfigFileSchema = z.object({
+    autoFix: z.boolean().describe('false pauses auto-fix PRs'),
+    autoMerge: z.boolean().describe('false turns off GitHub auto-merge of fix PRs'),
+    minConfidence: z.number().min(0).max(1).describe('minimum confidence (0-1) for opening a PR; can only be raised'),
+    multiError: z.boolean().describe('fix every failing file of a build in one PR'),
+    protectedPaths: stringList.describe('extra path fragments that are never modified'),
+    ignoredWorkflows: stringList.describe('workflow names to ignore'),
+    allowedLanguages: stringList.describe('only fix these languages (empty = all)'),
+    reviewers: z.array(z.string().trim().min(1).max(100)).max(15).describe('usernames or org/team-slug, added to the operator\'s'),
+    labels: z.object({
+        pr: stringList.describe('labels of fix PRs'),
+        issue: stringList.describe('labels of analysis issues'),
+    }).partial().strict(),
+    notify: z.object({
+        discord: z.boolean().describe('Discord notifications'),
+        slack: z.boolean().describe('Slack notifications'),
+    }).partial().strict(),
+    // No `command` or timeout: the check runs on the server, so only operators set them (env or
+    // RepoConfig). No `fixTarget` either: 'pull-request' pushes commits into contributors' branches.
+    verify: z.object({
+        enabled: z.boolean().describe('true turns on checking fixes in a fresh checkout before opening a PR'),
+    }).partial().strict(),
+}).partial().strict();
+
+/**
+ * List the keys a .codeautopsy.yml file accepts, as commented YAML generated from the schema so
+ * it never falls out of step with what parseRepoConfigFile() accepts
+ * @param {object} schema - zod object schema
+ * @param {string} indent - Indentation of nested keys
+ * @returns {string} One line per key
+ */
+export function formatRepoConfigFileKeys(schema = repoConfigFileSchema, indent = '') {
+    return Object.entries(schema.shape).map(([key, field]) => {
+        const inner = field instanceof z.ZodOptional ? field.unwrap() : field;
+
+        if (inner instanceof z.ZodObject) {
+            return `${indent}${key}:\n${formatRepoConfigFileKeys(inner, `${indent}  `)}`;
+        }
+
+        let type = 'boolean';
+        if (inner instanceof z.ZodNumber) type = 'number';
+        if (inner instanceof z.ZodEnum) type = inner.options.join(' | ');
+        if (inner instanceof z.ZodArray) type = '[list]';
+
+        const description = inner.description || field.description;
+        return `${indent}${key}: ${type}${description ? `  # ${description}` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Split a comma-separated env value into a trimmed list
+ * @param {string} value - Comma-separated value
+ * @returns {string[]} List of non-empty entries
+ */
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Get the global defaults used when a repository has no RepoConfig row
+ * @returns {object} Resolved repository configuration
+ */
+export function getDefaultRepoConfig() {
+    return {
+        autoFixEnabled: true,
+        autoMergeEnabled: false,
+        notifyDiscord: Boolean(process.env.DISCORD_WEBHOOK_URL),
+        notifySlack: Boolean(process.env.SLACK_WEBHOOK_URL),
+        requiredReviewers: [],
+        protectedPaths: parseList(process.env.PROTECTED_PATHS || DEFAULT_PROTECTED_PATHS),
+        minConfidence: parseFloat(process.env.MIN_CONFIDENCE_FOR_PR) || 0.85,
+        multiErrorEnabled: process.env.MULTI_ERROR_MODE !== 'false',
+        // Set by operators only (env or RepoConfig), never by the repository's own config file
+        dailyBudgetUsd: process.env.DAILY_BUDGET_USD ? parseFloat(process.env.DAILY_BUDGET_USD) : null,
+        fixTarget: FIX_TARGETS.includes(process.env.FIX_TARGET) ? process.env.FIX_TARGET : 'failing-branch',
+        // Shadow mode: fixes are generated and stored but nothing is written to the repository.
+        // Operator-only like the budget, so a repository cannot grant itself write access.
+        dryRun: process.env.DRY_RUN === 'true',
+        ignoredWorkflows: [],
+        allowedLanguages: [],
+        labels: {
+            pr: DEFAULT_PR_LABELS,
+            issue: DEFAULT_ISSUE_LABELS,
+        },
+        verify: {
+            enabled: process.env.SANDBOX_VERIFY !== 'false',
+            command: process.env.SANDBOX_COMMAND || null,
+            timeoutMs: parseInt(process.env.SANDBOX_TIMEOUT_MS, 10) || 120000,
+        },
+        source: 'defaults',
+    };
+}
+
+/**
+ * Merge a RepoConfig row over the global defaults
+ * @param {object} defaults - Defaults from getDefaultRepoConfig()
+ * @param {object} row - RepoConfig database row
+ * @returns {object} Resolved repository configuration
+ */
+export function mergeRepoConfig(defaults, row) {
+    if (!row) {
+        return defaults;
+    }
+
+    return {
+        ...defaults,
+        autoFixEnabled: row.autoFixEnabled,
+        autoMergeEnabled: row.autoMergeEnabled,
+        notifyDiscord: row.notifyDiscord,
+        notifySlack: row.notifySlack,
+        requiredReviewers: row.requiredReviewers || [],
+        // An empty list means "use the global list", not "protect nothing"
+        protectedPaths: row.protectedPaths?.length > 0 ? row.protectedPaths : defaults.protectedPaths,
+        // maxConfidenceThreshold is the minimum confidence required to open a PR
+        minConfidence: row.maxConfidenceThreshold ?? defaults.minConfidence,
+        dailyBudgetUsd: row.dailyBudgetUsd ?? defaults.dailyBudgetUsd,
+        fixTarget: row.fixTarget ?? defaults.fixTarget,
+        dryRun: row.dryRun ?? defaults.dryRun,
+        verify: {
+            ...defaults.verify,
+            command: row.verifyCommand ?? defaults.verify.command,
+            timeoutMs: row.verifyTimeoutSeconds ? row.verifyTimeoutSeconds * 1000 : defaults.verify.timeoutMs,
+        },
+        source: 'database',
+    };
+}
+
+/**
+ * Parse and validate the contents of a .codeautopsy.yml file
+ * @param {string} text - Raw file content
+ * @returns {{valid: boolean, config: object|null, errors: string[]}} Parse result
+ */
+export function parseRepoConfigFile(text) {
+    let raw;
+    try {
+        raw = parseYaml(text);
+    } catch (error) {
+        return { valid: false, config: null, errors: [`YAML syntax error: ${error.message}`] };
+    }
+
+    // An empty file is valid and changes nothing
+    if (raw === null || raw === undefined) {
+        return { valid: true, config: {}, errors: [] };
+    }
+
+    const parsed = repoConfigFileSchema.safeParse(raw);
+    if (!parsed.success) {
+        return {
+            valid: false,
+            config: null,
+            errors: parsed.error.issues.map(issue =>
+                `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`
+            ),
+        };
+    }
+
+    return { valid: true, config: parsed.data, errors: [] };
+}
+
+/**
+ * Apply a validated .codeautopsy.yml config over an already-resolved config. Anyone who can push
+ * can edit the file, so it may only tighten what the operator allows: auto-fix and auto-merge can
+ * be turned off but not on, sandbox verification on but not off, the confidence floor raised but
+ * not lowered, and protected paths and required reviewers added to but not removed.
+ * @param {object} resolved - Config from getRepoConfig()
+ * @param {object} fileConfig - Validated file config
+ * @returns {object} Resolved repository configuration
+ */
+export function applyRepoConfigFile(resolved, fileConfig) {
+    if (!fileConfig || Object.keys(fileConfig).length === 0) {
+        return resolved;
+    }
+
+    return {
+        ...resolved,
+        autoFixEnabled: resolved.autoFixEnabled && fileConfig.autoFix !== false,
+        autoMergeEnabled: resolved.autoMergeEnabled && fileConfig.autoMerge !== false,
+        minConfidence: Math.max(resolved.minConfidence, fileConfig.minConfidence ?? 0),
+        multiErrorEnabled: fileConfig.multiError ?? resolved.multiErrorEnabled,
+        protectedPaths: [...new Set([...resolved.protectedPaths, ...(fileConfig.protectedPaths || [])])],
+        ignoredWorkflows: fileConfig.ignoredWorkflows ?? resolved.ignoredWorkflows,
+        allowedLanguages: fileConfig.allowedLanguages ?? resolved.allowedLanguages,
+        requiredReviewers: [...new Set([...resolved.requiredReviewers, ...(fileConfig.reviewers || [])])],
+        notifyDiscord: fileConfig.notify?.discord ?? resolved.notifyDiscord,
+        notifySlack: fileConfig.notify?.slack ?? resolved.notifySlack,
+        labels: {
+            pr: fileConfig.labels?.pr ?? resolved.labels.pr,
+            issue: fileConfig.labels?.issue ?? resolved.labels.issue,
+        },
+        verify: {
+            ...resolved.verify,
+            enabled: resolved.verify.enabled || fileConfig.verify?.enabled === true,
+        },
+        source: 'file',
+    };
+}
+
+/**
+ * Check if a workflow is ignored by the repository config
+ * @param {string} workflowName - Workflow name
+ * @param {string[]} ignoredWorkflows - Ignored workflow names (case-insensitive)
+ * @returns {boolean} Whether the workflow is ignored
+ */
+export function isIgnoredWorkflow(workflowName, ignoredWorkflows = []) {
+    if (!workflowName) return false;
+    const lowerName = workflowName.toLowerCase();
+    return ignoredWorkflows.some(w => w.toLowerCase() === lowerName);
+}
+
+/**
+ * Check if a language is allowed by the repository config (empty list allows all)
+ * @param {string} language - Detected language
+ * @param {string[]} allowedLanguages - Allowed languages
+ * @returns {boolean} Whether the language is allowed
+ */
+export function isAllowedLanguage(language, allowedLanguages = []) {
+    if (allowedLanguages.length === 0) return true;
+    if (!language) return false;
+    return allowedLanguages.some(l => l.toLowerCase() === language.toLowerCase());
+}
+
+/**
+ * Load the resolved configuration for a repository
+ * @param {string} repoFullName - Full repository name (owner/repo)
+ * @returns {Promise<object>} Resolved repository configuration
+ */
+export async function getRepoConfig(repoFullName) {
+    const defaults = getDefaultRepoConfig();
+
+    try {
+        const row = await prisma.repoConfig.findUnique({
+            where: { repoFullName },
+        });
+
+        return mergeRepoConfig(defaults, row);
+    } catch (error) {
+        logger.error('Failed to load repository config, using defaults', {
+            repoFullName,
+            error: error.message,
+        });
+        return defaults;
+    }
+}
+
+/**
+ * Check if path is protected
+ * @param {string} filePath - File path to check
+ * @param {string[]} protectedPaths - Protected path fragments
+ * @returns {boolean} Whether path is protected
+ */
+export function isProtectedPath(filePath, protectedPaths = getDefaultRepoConfig().protectedPaths) {
+    if (!filePath) return false;
+
+    const lowerPath = filePath.toLowerCase();
+    return protectedPaths
+        .map(p => p.trim().toLowerCase())
+        .filter(Boolean)
+        .some(p => lowerPath.includes(p));
+}
+
+/**
+ * Compute the field-level changes between two RepoConfig states
+ * @param {object|null} before - Previous row (null when creating)
+ * @param {object|null} after - New row (null when deleting)
+ * @returns {object} Map of field -> { from, to } for changed fields
+ */
+export function diffRepoConfig(before, after) {
+    const changes = {};
+    const fields = Object.keys(repoConfigSchema.shape);
+
+    for (const field of fields) {
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Record a configuration change in the audit trail
+ * @param {object} params - Audit parameters
+ * @param {string} params.repoFullName - Full repository name
+ * @param {string} params.action - AuditAction enum value
+ * @param {string} params.actor - Who made the change
+ * @param {object} params.changes - Change details
+ * @returns {Promise<object|null>} Created audit row, or null if it could not be written
+ */
+export async function recordConfigAudit({ repoFullName, action, actor, changes = null }) {
+    try {
+        return await prisma.configAuditLog.create({
+            data: {
+                repoFullName,
+                action,
+                actor,
+                changes,
+            },
+        });
+    } catch (error) {
+        logger.error('Failed to record config audit entry', {
+            repoFullName,
+            action,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+export default {
+    getRepoConfig,
+    getDefaultRepoConfig,
+    mergeRepoConfig,
+    isProtectedPath,
+    diffRepoConfig,
+    recordConfigAudit,
+    parseRepoConfigFile,
+    applyRepoConfigFile,
+    isIgnoredWorkflow,
+    isAllowedLanguage,
+    repoConfigSchema,
+    repoConfigFileSchema,
+    FIX_TARGETS,
+};
@@ -4,6 +4,7 @@
  */
 
 import axios from 'axios';
+import { truncateDiff } from '../utils/diff.js';
 import logger from '../utils/logger.js';
 
 // Notification types and their colors
@@ -21,6 +22,9 @@ const COLORS = {
     info: 0x0099ff,   // Blue
 };
 
+// Embed descriptions are capped at 4096 characters
+const MAX_DIFF_LENGTH = 1500;
+
 const EMOJIS = {
     success: '✅',
     error: '❌',
@@ -130,6 +134,14 @@ function buildPREmbed(data, color, emoji) {
         });
     }
 
+    if (data.diffStats) {
+        fields.push({
+            name: '🧩 Changes',
+            value: `+${data.diffStats.additions} −${data.diffStats.deletions}`,
+            inline: true,
+        });
+    }
+
     fields.push({
         name: '🔗 Pull Request',
         value: `[View PR #${data.prNumber}](${data.prUrl})`,
@@ -138,6 +150,7 @@ function buildPREmbed(data, color, emoji) {
 
     return {
         title: `${emoji} CodeAutopsy: Fix Deployed`,
+        description: data.diff ? `\`\`\`diff\n${truncateDiff(data.diff, MAX_DIFF_LENGTH)}\n\`\`\`` : undefined,
         color,
         fields,
         timestamp: new Date().toISOString(),
@@ -4,6 +4,7 @@
  */
 
 import axios from 'axios';
+import { truncateDiff } from '../utils/diff.js';
 import logger from '../utils/logger.js';
 
 // Block Kit color attachments
@@ -14,6 +15,9 @@ const COLORS = {
     info: '#3aa3e3',
 };
 
+// Section text is capped at 3000 characters
+const MAX_DIFF_LENGTH = 2500;
+
 /**
  * Send a notification to Slack webhook
  * @param {object} data - Notification data
@@ -122,6 +126,13 @@ function buildPRMessage(data, color) {
                             text: `*File Fixed:*\n\`${data.filePath}\``,
                         },
                     },
+                    ...(data.diff ? [{
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `*Changes:* +${data.diffStats?.additions ?? 0} −${data.diffStats?.deletions ?? 0}\n\`\`\`${truncateDiff(data.diff, MAX_DIFF_LENGTH)}\`\`\``,
+                        },
+                    }] : []),
                     {
                         type: 'actions',
                         elements: [
@@ -0,0 +1,119 @@
+/**
+ * Analyze-Only Pipeline
+ * Runs Scout and the Surgeon on a build log without touching the repository: no branch, commit,
+ * PR or issue. Used by /api/analyze and the command-line tool; source files come from whatever
+ * `readFile` the caller provides.
+ */
+
+import { scout } from '../agents/scout.js';
+import { surgeon } from '../agents/surgeon.js';
+import languageDetector from '../utils/language-detector.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Normalize the failing file path reported by Scout to a repository-relative path: strips
+ * GitHub Actions runner prefixes and duplicate repo names ("repo/repo/src" -> "src")
+ * @param {string} filePath - Path from Scout
+ * @returns {string} Repository-relative path
+ */
+export function normalizeFailurePath(filePath) {
+    let normalized = filePath
+        .replace(/\\/g, '/')
+        .replace(/^\/+/, '');
+
+    // Remove GitHub Actions runner path patterns
+    const runnerPatterns = [
+        /^\/home\/runner\/work\/[^/]+\/[^/]+\//i,
+        /^home\/runner\/work\/[^/]+\/[^/]+\//i,
+    ];
+    for (const pattern of runnerPatterns) {
+        normalized = normalized.replace(pattern, '');
+    }
+
+    // Remove duplicate repo name prefix (repo-name/repo-name/src -> src)
+    const duplicatePattern = /^([^/]+)\/\1\//;
+    if (duplicatePattern.test(normalized)) {
+        normalized = normalized.replace(duplicatePattern, '');
+    }
+
+    return normalized;
+}
+
+/**
+ * Diagnose a build log and propose a fix
+ * @param {object} params - Analysis parameters
+ * @param {string} params.log - Build log
+ * @param {Function} params.readFile - async (path) => { content, language? } or null when the
+ *   file is not available
+ * @param {Array<{path: string, content: string}>} params.relatedFiles - Extra context for the Surgeon
+ * @param {string|null} params.languageHint - Language to assume when the log does not reveal it
+ * @returns {Promise<object>} { diagnosis, fix, confidence, reason }; fix is null (with a reason)
+ *   when no failing file was found or its contents are unavailable
+ */
+export async function analyzeFailure({ log, readFile, relatedFiles = [], languageHint = null }) {
+    const scoutResult = await scout.analyze(log, { languageHint });
+
+    const diagnosis = {
+        filePath: scoutResult.filePath ? normalizeFailurePath(scoutResult.filePath) : null,
+        lineNumber: scoutResult.lineNumber,
+        errorType: scoutResult.errorType,
+        errorMessage: scoutResult.errorMessage,
+        language: scoutResult.language,
+        confidence: scoutResult.confidence,
+        suggestedFix: scoutResult.suggestedFix || null,
+    };
+
+    if (!diagnosis.filePath) {
+        return { diagnosis, fix: null, confidence: 0, reason: 'Could not identify failing file from logs' };
+    }
+
+    const file = await readFile(diagnosis.filePath);
+    if (!file) {
+        return { diagnosis, fix: null, confidence: 0, reason: `Contents of ${diagnosis.filePath} not available` };
+    }
+
+    const language = diagnosis.language
+        || file.language
+        || languageDetector.detectFromPath(diagnosis.filePath);
+
+    const fixResult = await surgeon.generateFixWithRepair({
+        filePath: diagnosis.filePath,
+        lineNumber: diagnosis.lineNumber,
+        errorType: diagnosis.errorType,
+        errorMessage: diagnosis.errorMessage,
+        language,
+        originalCode: file.content,
+        relevantLogSection: log.substring(0, 5000),
+        relatedFiles: relatedFiles.filter(f => f.path !== diagnosis.filePath),
+        patterns: [],
+    });
+
+    logger.info('Analysis complete', {
+        filePath: diagnosis.filePath,
+        success: fixResult.success,
+        confidence: fixResult.confidence,
+        iterations: fixResult.iteration,
+    });
+
+    return {
+        diagnosis,
+        fix: {
+            success: fixResult.success,
+            files: fixResult.files,
+            diff: fixResult.diff || null,
+            diffStats: fixResult.diffStats || null,
+            diffSummary: fixResult.diffSummary,
+            validation: fixResult.validation,
+            iterations: fixResult.iteration,
+            model: fixResult.model,
+            provider: fixResult.provider,
+        },
+        confidence: fixResult.confidence,
+        reason: fixResult.success ? null : fixResult.validation?.reason || 'No valid fix generated',
+    };
+}
+
+export default {
+    normalizeFailurePath,
+    analyzeFailure,
+};
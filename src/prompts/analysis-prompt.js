@@ -145,7 +145,10 @@ Create a PR description that is:
 4. Warns reviewers appropriately
 
 ## Response Format
-Return a markdown-formatted PR body (just the content, no JSON wrapper):`;
+Respond ONLY with a valid JSON object whose "body" is the markdown-formatted PR body:
+{
+  "body": "## Summary\\n..."
+}`;
 }
 
 /**
@@ -0,0 +1,148 @@
+/**
+ * Response Schemas
+ * zod schemas for the JSON each prompt asks the model to return, plus the prompt used to
+ * repair a response that does not match
+ */
+
+import { z } from 'zod';
+
+const confidence = z.number().min(0).max(1);
+const lineNumber = z.number().int().min(0).nullable();
+const stringList = z.array(z.string());
+
+const errorLocation = {
+    filePath: z.string().nullable(),
+    lineNumber,
+    errorType: z.string().min(1),
+    errorMessage: z.string(),
+};
+
+/**
+ * Response to getScoutPrompt()
+ */
+export const scoutResponseSchema = z.object({
+    ...errorLocation,
+    language: z.string().nullable().optional(),
+    confidence,
+    additionalContext: z.string().nullable().optional(),
+});
+
+/**
+ * Response to getFocusedScoutPrompt()
+ */
+export const focusedScoutResponseSchema = z.object({
+    ...errorLocation,
+    language: z.string().nullable().optional(),
+    confidence,
+    suggestedFix: z.string().nullable().optional(),
+});
+
+/**
+ * Response to getMultiErrorPrompt()
+ */
+export const multiErrorResponseSchema = z.object({
+    primaryError: z.object({
+        ...errorLocation,
+        confidence: confidence.optional(),
+    }).nullable(),
+    secondaryErrors: z.array(z.object({
+        ...errorLocation,
+        isCausedByPrimary: z.boolean().optional(),
+    })).default([]),
+    totalErrors: z.number().int().min(0).optional(),
+    recommendation: z.string().nullable().optional(),
+});
+
+/**
+ * Response to getComplexFixPrompt()
+ */
+export const complexFixResponseSchema = z.object({
+    fixedCode: z.string().min(1),
+    changesDescription: z.array(z.object({
+        line: lineNumber.optional(),
+        change: z.string(),
+    })).default([]),
+    confidence,
+});
+
+/**
+ * Response to getImportFixPrompt()
+ */
+export const importFixResponseSchema = z.object({
+    fixType: z.enum(['typo', 'wrong_path', 'wrong_syntax', 'missing_dependency']),
+    correctedImport: z.string().nullable(),
+    fixedCode: z.string().min(1),
+    needsPackageUpdate: z.boolean(),
+    packageInstallCommand: z.string().nullable(),
+    confidence,
+});
+
+/**
+ * Response to getValidationPrompt()
+ */
+export const validationResponseSchema = z.object({
+    isValid: z.boolean(),
+    addressesError: z.boolean(),
+    syntaxValid: z.boolean(),
+    introducesNewIssues: z.boolean(),
+    changesAreMinimal: z.boolean(),
+    potentialSideEffects: stringList.default([]),
+    confidence,
+    recommendation: z.enum(['APPROVE', 'MODIFY', 'REJECT']),
+    modificationSuggestion: z.string().nullable().optional(),
+});
+
+/**
+ * Response to getPRDescriptionPrompt()
+ */
+export const prDescriptionResponseSchema = z.object({
+    body: z.string().trim().min(1),
+});
+
+/**
+ * Flatten zod issues into one line per problem
+ * @param {z.ZodError} error - Validation error
+ * @returns {string} Issues such as "confidence: Expected number, received string"
+ */
+export function formatSchemaIssues(error) {
+    return error.issues
+        .map(issue => `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+        .join('\n');
+}
+
+/**
+ * Generate a prompt asking the model to fix its own malformed JSON
+ * @param {object} params - Repair parameters
+ * @param {string} params.prompt - The original prompt
+ * @param {string} params.response - The rejected response
+ * @param {string} params.problems - Why it was rejected (parse error or schema issues)
+ * @returns {string} The formatted prompt
+ */
+export function getJsonRepairPrompt({ prompt, response, problems }) {
+    return `${prompt}
+
+## Your Previous Response
+\`\`\`
+${response.substring(0, 20000)}
+\`\`\`
+
+## Problems
+Your previous response was rejected because it did not match the required JSON format:
+${problems}
+
+## Task
+Repair your JSON. Respond ONLY with a single valid JSON object in the format above:
+no markdown, no comments, no trailing commas, every required field present with the right type.`;
+}
+
+export default {
+    scoutResponseSchema,
+    focusedScoutResponseSchema,
+    multiErrorResponseSchema,
+    complexFixResponseSchema,
+    importFixResponseSchema,
+    validationResponseSchema,
+    prDescriptionResponseSchema,
+    formatSchemaIssues,
+    getJsonRepairPrompt,
+};
@@ -17,6 +17,7 @@ export function getSurgeonPrompt({
     originalCode,
     relevantLogSection,
     additionalContext = '',
+    patterns = [],
 }) {
     const languageSpecificRules = getLanguageRules(language);
 
@@ -42,9 +43,9 @@ ${relevantLogSection || 'No log section available'}
 
 ## Language-Specific Rules
 ${languageSpecificRules}
-
+${formatPatternExamples(patterns)}
 ## Your Task
-Generate the COMPLETE corrected version of this file. Follow these rules STRICTLY:
+Generate the edits that fix this file. Follow these rules STRICTLY:
 
 1. **MINIMAL CHANGES ONLY**: Fix ONLY the specific error mentioned. Do NOT refactor, optimize, or "improve" other parts of the code.
 
@@ -52,18 +53,55 @@ Generate the COMPLETE corrected version of this file. Follow these rules STRICTL
 
 3. **NO EXPLANATORY COMMENTS**: Do not add comments explaining the fix.
 
-4. **COMPLETE FILE**: Output the entire file content, not just the changed section.
+4. **EDITS ONLY**: Output only the changed sections as search/replace blocks, never the whole file.
 
 5. **SYNTAX VALIDATION**: Ensure the fix results in valid syntax for the language.
 
 6. **CONSERVATIVE APPROACH**: When in doubt, make the smallest possible change that fixes the error.
 
-## Response Format
-Output ONLY the fixed code, wrapped in a code block with the appropriate language tag. No explanations, no markdown headers, just the code:
+${getEditFormatInstructions()}`;
+}
 
-\`\`\`${language}
-// Your fixed code here
-\`\`\``;
+/**
+ * Response format for patch-based fixes (parsed by utils/patch.js)
+ * @returns {string} Prompt section
+ */
+function getEditFormatInstructions() {
+    return `## Response Format
+Output ONLY search/replace blocks. No explanations, no markdown headers:
+
+<<<<<<< SEARCH
+exact lines copied from the original code
+=======
+the same lines with the fix applied
+>>>>>>> REPLACE
+
+- SEARCH must copy the original lines exactly, including indentation and comments
+- Include 2-3 unchanged lines around the change so SEARCH matches only one place in the file
+- Use one block per separate change, in file order
+- To delete lines, leave the REPLACE section empty`;
+}
+
+/**
+ * Format previously merged fixes as few-shot examples
+ * @param {Array<object>} patterns - SuccessPattern rows
+ * @returns {string} Prompt section, or an empty string when there are none
+ */
+function formatPatternExamples(patterns) {
+    if (!patterns || patterns.length === 0) {
+        return '';
+    }
+
+    return `
+## Similar Fixes That Were Merged
+These fixes resolved the same kind of error in the past. Use them as guidance, not as code to copy.
+${patterns.map((p, i) => `
+### Example ${i + 1} (${p.errorType}, merged ${(p.successRate * 100).toFixed(0)}% of ${p.occurrences} times)
+Error: ${p.errorPattern}
+\`\`\`diff
+${p.fixPattern}
+\`\`\`
+`).join('')}`;
 }
 
 /**
@@ -206,6 +244,141 @@ Respond with a JSON object containing the fix:
 \`\`\``;
 }
 
+/**
+ * Generate a prompt for fixes that may span several files
+ * @param {object} params - Parameters for the prompt
+ * @returns {string} The formatted prompt
+ */
+export function getMultiFileFixPrompt({
+    filePath,
+    lineNumber,
+    errorType,
+    errorMessage,
+    language,
+    files,
+    relevantLogSection,
+    previousAttempt = null,
+    patterns = [],
+}) {
+    const filesSection = files.map(f => `
+### ${f.path}${f.path === filePath ? ' (failing file)' : ''}
+\`\`\`${f.language || ''}
+${f.content}
+\`\`\`
+`).join('\n');
+
+    return `You are an expert software engineer fixing a CI/CD failure whose fix may need changes in more than one file (for example a source file plus its import, test or package manifest).
+
+## Error Context
+- **Failing File:** \`${filePath}\`
+- **Line:** ${lineNumber || 'Unknown'}
+- **Error Type:** ${errorType}
+- **Error Message:** ${errorMessage}
+- **Language:** ${language}
+
+## Files
+${filesSection}
+
+## Build Log Excerpt
+\`\`\`
+${relevantLogSection || 'No log section available'}
+\`\`\`
+${formatPatternExamples(patterns)}${previousAttempt ? `
+## Previous Attempt (REJECTED)
+Your previous fix changed ${previousAttempt.files.map(f => `\`${f.path}\``).join(', ') || 'no files'} and was rejected:
+\`\`\`
+${previousAttempt.feedback}
+\`\`\`
+Start again from the ORIGINAL files above and address this feedback.
+` : ''}
+## Task
+1. Decide which of the files above must change to fix the error
+2. Make the MINIMUM necessary changes, preserving style, comments and formatting
+3. Only edit files listed above; do not invent new paths
+4. Output only the changed sections as search/replace blocks, never whole files, and omit files you leave untouched
+
+## Response Format
+Output one section per file you change: a \`FILE:\` line with the path exactly as listed above,
+followed by that file's search/replace blocks. No explanations, no markdown headers:
+
+FILE: src/app.js
+<<<<<<< SEARCH
+exact lines copied from the original file
+=======
+the same lines with the fix applied
+>>>>>>> REPLACE
+
+FILE: src/utils/format.js
+<<<<<<< SEARCH
+exact lines copied from the original file
+=======
+the same lines with the fix applied
+>>>>>>> REPLACE
+
+- SEARCH must copy the original lines exactly, including indentation and comments
+- Include 2-3 unchanged lines around the change so SEARCH matches only one place in its file
+- Use one block per separate change, in file order
+- To delete lines, leave the REPLACE section empty`;
+}
+
+/**
+ * Generate a prompt that asks the model to repair its own rejected fix
+ * @param {object} params - Parameters for the prompt
+ * @param {string} params.previousCode - The rejected fix
+ * @param {string|null} params.previousPatch - The rejected edits, when the model answered with a patch
+ * @param {string} params.feedback - Why it was rejected (validation reason, parser errors, sandbox output)
+ * @returns {string} The formatted prompt
+ */
+export function getRepairPrompt({
+    filePath,
+    lineNumber,
+    errorType,
+    errorMessage,
+    language,
+    originalCode,
+    previousCode,
+    previousPatch = null,
+    feedback,
+    attempt,
+}) {
+    return `You are an expert software engineer. Your previous fix for a CI/CD failure was rejected (attempt ${attempt}). Produce a corrected fix.
+
+## Error Context
+- **File:** \`${filePath}\`
+- **Line:** ${lineNumber || 'Unknown'}
+- **Error Type:** ${errorType}
+- **Error Message:** ${errorMessage}
+- **Language:** ${language}
+
+## Original Code
+\`\`\`${language}
+${originalCode}
+\`\`\`
+
+${previousPatch
+        ? `## Your Previous Edits (REJECTED)
+\`\`\`
+${previousPatch}
+\`\`\``
+        : `## Your Previous Fix (REJECTED)
+\`\`\`${language}
+${previousCode}
+\`\`\``}
+
+## Why It Was Rejected
+\`\`\`
+${feedback}
+\`\`\`
+
+## Your Task
+1. Start from the ORIGINAL code, not the rejected fix
+2. Fix the original error AND address every point in the rejection above
+3. Make MINIMAL changes and preserve style, comments and formatting
+4. Output edits against the ORIGINAL code, not the whole file
+
+${getEditFormatInstructions()}`;
+}
+
 /**
  * Generate a prompt for import/dependency fixes
  * @param {object} params - Parameters for the prompt
@@ -332,6 +505,8 @@ Output ONLY the complete fixed file, no explanations:
 export default {
     getSurgeonPrompt,
     getComplexFixPrompt,
+    getMultiFileFixPrompt,
+    getRepairPrompt,
     getImportFixPrompt,
     getValidationPrompt,
     getSyntaxFixPrompt,
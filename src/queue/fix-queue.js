@@ -5,14 +5,37 @@
 
 import Queue from 'bull';
 import prisma from '../config/database.js';
+import {
+    getRepoConfig,
+    isProtectedPath,
+    parseRepoConfigFile,
+    applyRepoConfigFile,
+    isIgnoredWorkflow,
+    isAllowedLanguage,
+    CONFIG_FILE_PATHS,
+} from '../config/repo-config.js';
 import { scout } from '../agents/scout.js';
 import { retriever } from '../agents/retriever.js';
 import { surgeon } from '../agents/surgeon.js';
 import { operator } from '../agents/operator.js';
+import { verifier } from '../agents/verifier.js';
 import { sendDiscordNotification, NotificationType } from '../notifications/discord.js';
 import { sendSlackNotification } from '../notifications/slack.js';
+import languageDetector from '../utils/language-detector.js';
+import { categorizeError } from '../utils/error-parser.js';
+import { findMatchingPatterns } from '../utils/pattern-store.js';
+import { normalizeFailurePath } from '../pipeline/analyze.js';
+import { getScmProvider } from '../scm/index.js';
+import { runWithContext } from '../utils/request-context.js';
+import { checkDailyBudget } from '../utils/usage-tracker.js';
 import logger from '../utils/logger.js';
 
+// Error categories whose fix usually spans more than the failing file
+const CROSS_FILE_CATEGORIES = ['import', 'type', 'reference', 'build'];
+
+// Upper bound on files fixed in one multi-error run
+const MAX_ERROR_GROUPS = parseInt(process.env.MAX_ERROR_GROUPS, 10) || 5;
+
 // Initialize Bull queue with Redis
 const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
 
@@ -33,28 +56,95 @@ export const fixQueue = new Queue('codeautopsy-fixes', redisUrl, {
 });
 
 /**
- * Main job processor - orchestrates the entire fix pipeline
+ * Main job processor - runs the pipeline inside a request context, so every LLM call
+ * is accounted to the failure event and repository
+ */
+fixQueue.process('process-failure', (job) => runWithContext({
+    failureEventId: job.data.eventId,
+    repoFullName: `${job.data.owner}/${job.data.repo}`,
+    // GitHub App installation that delivered the webhook (github.js routes API calls through it)
+    installationId: job.data.installationId || null,
+    // Host the agents talk to (see scm/index.js)
+    scm: job.data.scm || 'github',
+}, () => processFailure(job)));
+
+/**
+ * Orchestrates the entire fix pipeline
  */
-fixQueue.process('process-failure', async (job) => {
-    const { eventId, owner, repo, commitSha, runId, logsUrl, branch } = job.data;
+async function processFailure(job) {
+    const { eventId, owner, repo, commitSha, runId, jobId, logsUrl, branch, workflowName, source, checkRunId } = job.data;
     const startTime = Date.now();
+    let repoConfig = null;
 
     logger.info('Processing failure', { eventId, owner, repo, runId });
 
     try {
+        // Resolve per-repository settings (env defaults < RepoConfig row < .codeautopsy.yml)
+        repoConfig = await getRepoConfig(`${owner}/${repo}`);
+
+        const configFile = await retriever.retrieveOptionalFile({
+            owner,
+            repo,
+            paths: CONFIG_FILE_PATHS,
+            ref: commitSha,
+        });
+
+        if (configFile) {
+            const parsedFile = parseRepoConfigFile(configFile.content);
+
+            if (!parsedFile.valid) {
+                logger.warn('Invalid repository config file', {
+                    path: configFile.path,
+                    errors: parsedFile.errors,
+                });
+                if (!repoConfig.dryRun) {
+                    await operator.reportInvalidConfig({
+                        owner,
+                        repo,
+                        configPath: configFile.path,
+                        errors: parsedFile.errors,
+                        commitSha,
+                    });
+                }
+                const reason = `Invalid ${configFile.path}: ${parsedFile.errors.join('; ')}`;
+                await updateEventStatus(eventId, 'SKIPPED', reason);
+                return { status: 'skipped', reason };
+            }
+
+            repoConfig = applyRepoConfigFile(repoConfig, parsedFile.config);
+        }
+
+        if (!repoConfig.autoFixEnabled) {
+            await updateEventStatus(eventId, 'SKIPPED', 'Auto-fix disabled for repository');
+            return { status: 'skipped', reason: 'Auto-fix disabled for repository' };
+        }
+
+        if (isIgnoredWorkflow(workflowName, repoConfig.ignoredWorkflows)) {
+            await updateEventStatus(eventId, 'SKIPPED', `Workflow "${workflowName}" is ignored`);
+            return { status: 'skipped', reason: 'Ignored workflow' };
+        }
+
         // Update status to ANALYZING
         await updateEventStatus(eventId, 'ANALYZING');
         job.progress(10);
 
-        // Step 1: Fetch build logs
+        // Step 1: Fetch build logs (ingested failures brought their own)
         logger.debug('Fetching build logs');
-        const buildLog = await fetchBuildLogs(owner, repo, runId);
+        const buildLog = source === 'ingest'
+            ? await loadIngestedLog(eventId)
+            : await fetchBuildLogs(owner, repo, { runId, jobId, checkRunId });
 
         if (!buildLog) {
             throw new Error('Could not fetch build logs');
         }
         job.progress(20);
 
+        // Once the repository's daily LLM budget is spent, report the failure without AI work
+        const budget = await checkDailyBudget(`${owner}/${repo}`, repoConfig.dailyBudgetUsd);
+        if (budget.exhausted) {
+            return await reportWithoutAI({ eventId, owner, repo, runId, logsUrl, buildLog, source, repoConfig, budget });
+        }
+
         // Step 2: Scout - Analyze logs to find broken file
         logger.debug('Analyzing logs with Scout agent');
         const scoutResult = await scout.analyze(buildLog);
@@ -67,7 +157,7 @@ fixQueue.process('process-failure', async (job) => {
                 errorType: scoutResult.errorType,
                 errorMessage: scoutResult.errorMessage,
                 language: scoutResult.language,
-                rawLog: buildLog.substring(0, 10000), // Store first 10KB
+                ...storedLog(source, buildLog),
             },
         });
 
@@ -77,27 +167,7 @@ fixQueue.process('process-failure', async (job) => {
 
         // Normalize the file path to remove GitHub Actions runner prefixes
         // and duplicate repo names (e.g., "repo/repo/src" -> "src")
-        let normalizedFilePath = scoutResult.filePath
-            .replace(/\\/g, '/')
-            .replace(/^\/+/, '');
-
-        // Remove GitHub Actions runner path patterns
-        const runnerPatterns = [
-            /^\/home\/runner\/work\/[^/]+\/[^/]+\//i,
-            /^home\/runner\/work\/[^/]+\/[^/]+\//i,
-        ];
-        for (const pattern of runnerPatterns) {
-            normalizedFilePath = normalizedFilePath.replace(pattern, '');
-        }
-
-        // Remove duplicate repo name prefix (repo-name/repo-name/src -> src)
-        const duplicatePattern = /^([^/]+)\/\1\//;
-        if (duplicatePattern.test(normalizedFilePath)) {
-            normalizedFilePath = normalizedFilePath.replace(duplicatePattern, '');
-        }
-
-        // Update scoutResult with normalized path
-        scoutResult.filePath = normalizedFilePath;
+        scoutResult.filePath = normalizeFailurePath(scoutResult.filePath);
 
         logger.info('Scout found error', {
             filePath: scoutResult.filePath,
@@ -107,59 +177,113 @@ fixQueue.process('process-failure', async (job) => {
         job.progress(35);
 
         // Check if file is protected
-        if (isProtectedPath(scoutResult.filePath)) {
+        if (isProtectedPath(scoutResult.filePath, repoConfig.protectedPaths)) {
             await updateEventStatus(eventId, 'SKIPPED', 'Protected file path');
             return { status: 'skipped', reason: 'Protected file path' };
         }
 
+        // Check if language is allowed
+        const detectedLanguage = languageDetector.detectFromPath(scoutResult.filePath) || scoutResult.language;
+        if (!isAllowedLanguage(detectedLanguage, repoConfig.allowedLanguages)) {
+            await updateEventStatus(eventId, 'SKIPPED', `Language "${detectedLanguage || 'unknown'}" is not allowed`);
+            return { status: 'skipped', reason: 'Language not allowed' };
+        }
+
+        // Errors spread over several files are fixed per file and shipped as one PR
+        const errorGroups = repoConfig.multiErrorEnabled
+            ? (await scout.analyzeAll(buildLog)).groups
+            : [];
+        const multiError = errorGroups.length > 1;
+
         // Step 3: Retriever - Fetch source code
         await updateEventStatus(eventId, 'RETRIEVING');
-        logger.debug('Retrieving source code with Retriever agent');
 
-        const fileData = await retriever.retrieveWithContext({
-            owner,
-            repo,
-            filePath: scoutResult.filePath,
-            lineNumber: scoutResult.lineNumber,
-            ref: commitSha,
-        });
-        job.progress(50);
+        let fixResult;
+        const appliedAttemptIds = [];
+        const recordAttempt = async (result) => {
+            const attempt = await recordFixAttempt(eventId, result);
+            if (result.success) {
+                appliedAttemptIds.push(attempt.id);
+            }
+        };
 
-        // Step 4: Surgeon - Generate fix
-        await updateEventStatus(eventId, 'FIXING');
-        logger.debug('Generating fix with Surgeon agent');
+        if (multiError) {
+            logger.info('Multi-error mode', { files: errorGroups.map(g => g.filePath) });
+            await updateEventStatus(eventId, 'FIXING');
 
-        const fixResult = await surgeon.generateFix({
-            filePath: scoutResult.filePath,
-            lineNumber: scoutResult.lineNumber,
-            errorType: scoutResult.errorType,
-            errorMessage: scoutResult.errorMessage,
-            language: scoutResult.language || fileData.language,
-            originalCode: fileData.content,
-            relevantLogSection: buildLog.substring(0, 5000),
-        });
+            fixResult = await fixErrorGroups({
+                owner,
+                repo,
+                commitSha,
+                groups: errorGroups,
+                primaryFilePath: scoutResult.filePath,
+                buildLog,
+                repoConfig,
+                onAttempt: recordAttempt,
+            });
+        } else {
+            logger.debug('Retrieving source code with Retriever agent');
 
-        if (!fixResult.success) {
-            throw new Error('Surgeon failed to generate fix');
-        }
+            const fileData = await retriever.retrieveWithContext({
+                owner,
+                repo,
+                filePath: scoutResult.filePath,
+                lineNumber: scoutResult.lineNumber,
+                ref: commitSha,
+            });
 
-        // Store fix attempt
-        await prisma.fixAttempt.create({
-            data: {
-                failureEventId: eventId,
+            // Cross-file errors also get the failing file's imports and manifest
+            let relatedFiles = [];
+            if (CROSS_FILE_CATEGORIES.includes(categorizeError(scoutResult.errorType))) {
+                relatedFiles = await fetchRelatedFiles(owner, repo, scoutResult.filePath, commitSha, repoConfig);
+            }
+            job.progress(50);
+
+            // Step 4: Surgeon - Generate fix, repairing rejected attempts (sandbox included)
+            await updateEventStatus(eventId, 'FIXING');
+            logger.debug('Generating fix with Surgeon agent');
+
+            // Previously merged fixes for the same kind of error become few-shot examples
+            const patterns = await findMatchingPatterns({
+                errorType: scoutResult.errorType,
+                language: scoutResult.language || fileData.language,
+                errorMessage: scoutResult.errorMessage,
+            });
+
+            fixResult = await surgeon.generateFixWithRepair({
+                filePath: scoutResult.filePath,
+                lineNumber: scoutResult.lineNumber,
+                errorType: scoutResult.errorType,
+                errorMessage: scoutResult.errorMessage,
+                language: scoutResult.language || fileData.language,
                 originalCode: fileData.content,
-                fixedCode: fixResult.fixedCode,
-                diffSummary: fixResult.diffSummary,
-                confidence: fixResult.confidence,
-                validationPassed: fixResult.validation.isValid,
-                geminiModel: fixResult.model,
-                latencyMs: fixResult.latency,
-            },
-        });
+                relevantLogSection: buildLog.substring(0, 5000),
+                relatedFiles,
+                patterns,
+            }, {
+                verify: repoConfig.verify.enabled
+                    ? async (result) => {
+                        await updateEventStatus(eventId, 'VERIFYING');
+                        return verifier.verify({
+                            owner,
+                            repo,
+                            commitSha,
+                            files: result.files,
+                            command: repoConfig.verify.command,
+                            timeoutMs: repoConfig.verify.timeoutMs,
+                        });
+                    }
+                    : null,
+                onAttempt: recordAttempt,
+            });
+        }
 
         logger.info('Fix generated', {
+            success: fixResult.success,
             confidence: fixResult.confidence,
             model: fixResult.model,
+            provider: fixResult.provider,
+            iterations: fixResult.iteration,
         });
         job.progress(70);
 
@@ -167,27 +291,100 @@ fixQueue.process('process-failure', async (job) => {
         await updateEventStatus(eventId, 'VALIDATING');
         job.progress(80);
 
-        const minConfidence = parseFloat(process.env.MIN_CONFIDENCE_FOR_PR) || 0.85;
+        // Step 5b: Verifier - Multi-error fixes can only be checked once all files are combined
+        let sandbox = fixResult.sandbox || null;
+        if (repoConfig.verify.enabled && multiError && fixResult.success) {
+            await updateEventStatus(eventId, 'VERIFYING');
+
+            sandbox = await verifier.verify({
+                owner,
+                repo,
+                commitSha,
+                files: fixResult.files,
+                command: repoConfig.verify.command,
+                timeoutMs: repoConfig.verify.timeoutMs,
+            });
+
+            fixResult.confidence = surgeon.rescoreWithSandbox(fixResult, sandbox, scoutResult);
+
+            await prisma.fixAttempt.updateMany({
+                where: { id: { in: appliedAttemptIds } },
+                data: {
+                    sandboxPassed: sandbox.passed,
+                    sandboxOutput: sandbox.output || sandbox.reason || null,
+                },
+            });
+
+            logger.info('Sandbox verification complete', {
+                passed: sandbox.passed,
+                command: sandbox.command,
+                reason: sandbox.reason,
+                confidence: fixResult.confidence,
+            });
+        }
+        job.progress(85);
+
+        const minConfidence = repoConfig.minConfidence;
+
+        // Never commit to a protected path, even as a side edit
+        const protectedEdits = fixResult.files
+            .map(f => f.path)
+            .filter(path => isProtectedPath(path, repoConfig.protectedPaths));
+
+        const reviewReasons = [];
+        if (!fixResult.success && !multiError) {
+            reviewReasons.push(`No valid fix after ${fixResult.iteration} attempt(s): ${fixResult.validation.reason || 'validation failed'}`);
+        }
+        if (protectedEdits.length > 0) {
+            reviewReasons.push(`Fix modifies protected paths: ${protectedEdits.join(', ')}`);
+        }
+        if (fixResult.unfixedGroups?.length > 0) {
+            reviewReasons.push(`Could not fix errors in: ${fixResult.unfixedGroups.map(g => `${g.filePath} (${g.reason})`).join(', ')}`);
+        }
+        if (sandbox?.passed === false && multiError) {
+            reviewReasons.push(`Sandbox check \`${sandbox.command}\` failed${sandbox.reason ? ` (${sandbox.reason})` : ` with exit code ${sandbox.exitCode}`}`);
+        }
+        if (fixResult.confidence < minConfidence) {
+            reviewReasons.push(`Confidence score (${(fixResult.confidence * 100).toFixed(0)}%) below threshold (${(minConfidence * 100).toFixed(0)}%)`);
+        }
+
+        // Multi-error PRs describe the whole failed build rather than the primary error
+        const errorInfo = multiError
+            ? { ...scoutResult, errorMessage: `${fixResult.totalErrors} errors across ${errorGroups.length} files` }
+            : scoutResult;
+
+        // Shadow mode: the attempts are stored, the repository is left untouched
+        if (repoConfig.dryRun) {
+            return await finishDryRun({ eventId, fixResult, reviewReasons, startTime });
+        }
 
         let operatorResult;
 
-        if (fixResult.confidence >= minConfidence) {
+        if (reviewReasons.length === 0) {
             // High confidence - create PR
             logger.debug('Creating PR with Operator agent');
             operatorResult = await operator.createFixPR({
                 owner,
                 repo,
                 filePath: scoutResult.filePath,
-                originalCode: fileData.content,
+                originalCode: fixResult.originalCode,
                 fixedCode: fixResult.fixedCode,
+                files: fixResult.files,
                 commitSha,
+                branch,
+                fixTarget: repoConfig.fixTarget,
                 errorInfo: {
-                    ...scoutResult,
+                    ...errorInfo,
                     confidence: fixResult.confidence,
                 },
                 diffSummary: fixResult.diffSummary,
+                diff: fixResult.diff,
+                diffStats: fixResult.diffStats,
                 runId,
                 logsUrl,
+                reviewers: repoConfig.requiredReviewers,
+                autoMerge: repoConfig.autoMergeEnabled,
+                labels: repoConfig.labels.pr,
             });
 
             await prisma.failureEvent.update({
@@ -196,28 +393,33 @@ fixQueue.process('process-failure', async (job) => {
                     status: 'PR_CREATED',
                     prUrl: operatorResult.prUrl,
                     prNumber: operatorResult.prNumber,
+                    baseBranch: operatorResult.baseBranch,
+                    fixTarget: operatorResult.target,
                     confidence: fixResult.confidence,
                 },
             });
 
-            // Update fix attempt as applied
+            // Mark only the attempts that made it into the PR as applied
             await prisma.fixAttempt.updateMany({
-                where: { failureEventId: eventId },
+                where: { id: { in: appliedAttemptIds } },
                 data: { applied: true },
             });
         } else {
             // Low confidence - create issue for manual review
-            logger.debug('Confidence too low, creating issue instead');
+            logger.debug('Fix needs manual review, creating issue instead', { reasons: reviewReasons });
             operatorResult = await operator.createManualReviewIssue({
                 owner,
                 repo,
                 filePath: scoutResult.filePath,
-                errorInfo: scoutResult,
+                errorInfo,
                 buildLog: buildLog.substring(0, 5000),
-                attemptedFix: fixResult.diffSummary,
-                failureReason: `Confidence score (${(fixResult.confidence * 100).toFixed(0)}%) below threshold (${(minConfidence * 100).toFixed(0)}%)`,
+                attemptedFix: sandbox?.passed === false
+                    ? `${fixResult.diffSummary}\n\nSandbox output:\n${sandbox.output.substring(0, 2000)}`
+                    : fixResult.diffSummary,
+                failureReason: reviewReasons.join('; '),
                 runId,
                 logsUrl,
+                labels: repoConfig.labels.issue,
             });
 
             await prisma.failureEvent.update({
@@ -242,10 +444,12 @@ fixQueue.process('process-failure', async (job) => {
             issueUrl: operatorResult.issueUrl,
             issueNumber: operatorResult.issueNumber,
             confidence: fixResult.confidence,
-            isAutoFix: fixResult.confidence >= minConfidence,
+            diff: fixResult.diff,
+            diffStats: fixResult.diffStats,
+            isAutoFix: Boolean(operatorResult.prUrl),
         };
 
-        await sendNotifications(notificationData, eventId);
+        await sendNotifications(notificationData, eventId, repoConfig);
         job.progress(100);
 
         const duration = Date.now() - startTime;
@@ -278,11 +482,11 @@ fixQueue.process('process-failure', async (job) => {
             branch,
             error: error.message,
             isFailure: true,
-        }, eventId);
+        }, eventId, repoConfig);
 
         throw error;
     }
-});
+}
 
 /**
  * Update event status in database
@@ -290,7 +494,8 @@ fixQueue.process('process-failure', async (job) => {
 async function updateEventStatus(eventId, status, errorMessage = null) {
     try {
         const data = { status };
-        if (status === 'FIXED' || status === 'PR_CREATED') {
+        // fixedAt is only set once the fix PR is merged (see the pull_request webhook)
+        if (status === 'FIXED') {
             data.fixedAt = new Date();
         }
         if (errorMessage) {
@@ -307,101 +512,290 @@ async function updateEventStatus(eventId, status, errorMessage = null) {
 }
 
 /**
- * Fetch build logs from GitHub
+ * Fix each file group found by Scout.analyzeAll and combine the edits into one fix.
+ * Every attempt is passed to `onAttempt`; groups that cannot be fixed are
+ * reported in `unfixedGroups` so the caller can fall back to manual review.
  */
-async function fetchBuildLogs(owner, repo, runId) {
-    try {
-        const octokit = (await import('../config/github.js')).default;
-        const axios = (await import('axios')).default;
-
-        // Get jobs for the workflow run
-        const { data: jobs } = await octokit.rest.actions.listJobsForWorkflowRun({
-            owner,
-            repo,
-            run_id: runId,
-        });
-
-        // Find the failed job
-        const failedJob = jobs.jobs.find(job => job.conclusion === 'failure');
-
-        if (!failedJob) {
-            logger.warn('No failed job found', { owner, repo, runId });
-            return null;
+async function fixErrorGroups({ owner, repo, commitSha, groups, primaryFilePath, buildLog, repoConfig, onAttempt }) {
+    const fixed = [];
+    const unfixedGroups = groups.slice(MAX_ERROR_GROUPS).map(g => ({
+        filePath: g.filePath,
+        reason: `over the ${MAX_ERROR_GROUPS} file limit`,
+    }));
+
+    for (const group of groups.slice(0, MAX_ERROR_GROUPS)) {
+        if (isProtectedPath(group.filePath, repoConfig.protectedPaths)) {
+            unfixedGroups.push({ filePath: group.filePath, reason: 'protected path' });
+            continue;
         }
+        if (!isAllowedLanguage(group.language, repoConfig.allowedLanguages)) {
+            unfixedGroups.push({ filePath: group.filePath, reason: 'language not allowed' });
+            continue;
+        }
+
+        const firstError = group.errors[0];
 
-        // Get the job logs
         try {
-            // GitHub API returns a redirect URL for logs, we need to follow it
-            const logUrl = `https://api.github.com/repos/${owner}/${repo}/actions/jobs/${failedJob.id}/logs`;
+            const fileData = await retriever.retrieveWithContext({
+                owner,
+                repo,
+                filePath: group.filePath,
+                lineNumber: firstError.lineNumber,
+                ref: commitSha,
+            });
 
-            const response = await axios.get(logUrl, {
-                headers: {
-                    'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                },
-                maxRedirects: 5,
-                responseType: 'text',
+            const groupLog = group.errors.map(e => e.rawMatch).filter(Boolean).join('\n\n');
+            const errorMessage = group.errors
+                .map(e => `${e.lineNumber ? `Line ${e.lineNumber}: ` : ''}${e.errorType}: ${e.errorMessage}`)
+                .join('\n');
+            const patterns = await findMatchingPatterns({
+                errorType: firstError.errorType,
+                language: group.language || fileData.language,
+                errorMessage: firstError.errorMessage,
             });
 
-            // GitHub returns logs as plain text (not JSON)
-            if (typeof response.data === 'string') {
-                return response.data;
+            const fixResult = await surgeon.generateFixWithRepair({
+                filePath: group.filePath,
+                lineNumber: firstError.lineNumber,
+                errorType: firstError.errorType,
+                errorMessage,
+                language: group.language || fileData.language,
+                originalCode: fileData.content,
+                relevantLogSection: (groupLog || buildLog).substring(0, 5000),
+                patterns,
+            }, { onAttempt });
+
+            if (fixResult.success) {
+                fixed.push({ group, fixResult });
+            } else {
+                unfixedGroups.push({ filePath: group.filePath, reason: fixResult.validation.reason || 'validation failed' });
             }
+        } catch (error) {
+            logger.warn('Could not fix error group', { filePath: group.filePath, error: error.message });
+            unfixedGroups.push({ filePath: group.filePath, reason: error.message });
+        }
+    }
 
-            return String(response.data);
-        } catch (logError) {
-            // If direct log fetch fails, try to extract error info from job steps
-            logger.warn('Could not download job logs directly', {
-                error: logError.message,
-                status: logError.response?.status,
-            });
+    if (fixed.length === 0) {
+        return {
+            success: false,
+            fixedCode: null,
+            originalCode: null,
+            files: [],
+            diffSummary: 'No file could be fixed',
+            confidence: 0,
+            validation: { isValid: false, reason: 'No file could be fixed', source: 'multi_error' },
+            totalErrors: groups.reduce((sum, g) => sum + g.errors.length, 0),
+            unfixedGroups,
+        };
+    }
 
-            // Try to get step annotations and error messages
-            const stepErrors = [];
+    const primary = fixed.find(f => f.group.filePath === primaryFilePath) || fixed[0];
+
+    return {
+        success: true,
+        fixedCode: primary.fixResult.fixedCode,
+        originalCode: primary.fixResult.originalCode,
+        files: fixed.flatMap(f => f.fixResult.files),
+        diffSummary: fixed
+            .map(f => `${f.group.filePath}:\n${f.fixResult.diffSummary}`)
+            .join('\n\n'),
+        ...surgeon.buildDiff(fixed.flatMap(f => f.fixResult.files)),
+        confidence: Math.min(...fixed.map(f => f.fixResult.confidence)),
+        validation: {
+            isValid: true,
+            source: 'multi_error',
+            files: fixed.flatMap(f => f.fixResult.validation.files
+                || f.fixResult.files.map(file => ({ path: file.path, ...f.fixResult.validation }))),
+        },
+        model: primary.fixResult.model,
+        provider: primary.fixResult.provider,
+        fallbackReason: fixed.map(f => f.fixResult.fallbackReason).filter(Boolean).join('; ') || null,
+        usage: {
+            promptTokens: fixed.reduce((sum, f) => sum + (f.fixResult.usage?.promptTokens || 0), 0),
+            responseTokens: fixed.reduce((sum, f) => sum + (f.fixResult.usage?.responseTokens || 0), 0),
+        },
+        latency: fixed.reduce((sum, f) => sum + (f.fixResult.latency || 0), 0),
+        totalErrors: groups.reduce((sum, g) => sum + g.errors.length, 0),
+        unfixedGroups,
+    };
+}
 
-            if (failedJob.steps) {
-                for (const step of failedJob.steps) {
-                    if (step.conclusion === 'failure') {
-                        stepErrors.push(`Step "${step.name}" failed at ${step.completed_at || 'unknown time'}`);
-                    }
-                }
-            }
+/**
+ * Store one Surgeon attempt (one repair-loop iteration) as a FixAttempt row
+ * @returns {Promise<object>} Created FixAttempt
+ */
+async function recordFixAttempt(eventId, fixResult) {
+    return prisma.fixAttempt.create({
+        data: {
+            failureEventId: eventId,
+            iteration: fixResult.iteration || 1,
+            originalCode: fixResult.originalCode,
+            fixedCode: fixResult.fixedCode,
+            files: fixResult.files,
+            diffSummary: fixResult.diffSummary,
+            diff: fixResult.diff || null,
+            additions: fixResult.diffStats?.additions ?? null,
+            deletions: fixResult.diffStats?.deletions ?? null,
+            confidence: fixResult.confidence,
+            validationPassed: fixResult.validation.isValid,
+            sandboxPassed: fixResult.sandbox ? fixResult.sandbox.passed : null,
+            sandboxOutput: fixResult.sandbox ? fixResult.sandbox.output || fixResult.sandbox.reason || null : null,
+            geminiModel: fixResult.model,
+            provider: fixResult.provider,
+            fallbackReason: fixResult.fallbackReason,
+            promptTokens: fixResult.usage?.promptTokens ?? null,
+            responseTokens: fixResult.usage?.responseTokens ?? null,
+            latencyMs: fixResult.latency,
+            errorReason: fixResult.success ? null : surgeon.describeFailure(fixResult),
+        },
+    });
+}
 
-            // Add job-level error if available
-            if (failedJob.conclusion === 'failure') {
-                stepErrors.push(`Job "${failedJob.name}" failed with conclusion: ${failedJob.conclusion}`);
-            }
+/**
+ * Open a plain template issue for a failure, using the regex log parse only (no LLM calls)
+ */
+async function reportWithoutAI({ eventId, owner, repo, runId, logsUrl, buildLog, source, repoConfig, budget }) {
+    const reason = `Daily AI budget exhausted ($${budget.spentUsd.toFixed(2)} of `
+        + `$${budget.budgetUsd.toFixed(2)} spent today)`;
+    logger.warn('Skipping AI work', { eventId, repoFullName: `${owner}/${repo}`, reason });
+
+    const parsed = await scout.analyze(buildLog, { useAI: false });
+
+    await prisma.failureEvent.update({
+        where: { id: eventId },
+        data: {
+            filePath: parsed.filePath,
+            lineNumber: parsed.lineNumber,
+            errorType: parsed.errorType,
+            errorMessage: parsed.errorMessage,
+            language: parsed.language,
+            ...storedLog(source, buildLog),
+        },
+    });
 
-            return stepErrors.length > 0
-                ? stepErrors.join('\n')
-                : 'Build failed but logs unavailable. Check the workflow run in GitHub for details.';
-        }
+    if (repoConfig.dryRun) {
+        await updateEventStatus(eventId, 'SKIPPED', reason);
+        return { status: 'budget_exhausted', reason };
+    }
+
+    const issue = await operator.createManualReviewIssue({
+        owner,
+        repo,
+        filePath: parsed.filePath || 'unknown file',
+        errorInfo: {
+            errorType: parsed.errorType || 'Unknown error',
+            errorMessage: parsed.errorMessage || 'See build log',
+            lineNumber: parsed.lineNumber,
+        },
+        buildLog,
+        failureReason: reason,
+        runId,
+        logsUrl,
+        labels: repoConfig.labels.issue,
+        useAI: false,
+    });
+
+    await updateEventStatus(eventId, 'MANUAL_REVIEW');
+
+    return { status: 'budget_exhausted', issueUrl: issue.issueUrl, reason };
+}
+
+/**
+ * Fetch files related to the failing file, excluding protected paths.
+ * Failures are logged and yield an empty list so the single-file fix still runs.
+ */
+async function fetchRelatedFiles(owner, repo, filePath, ref, repoConfig) {
+    try {
+        const { relatedFiles } = await retriever.retrieveWithRelated({ owner, repo, filePath, ref });
+
+        return relatedFiles
+            .filter(f => !isProtectedPath(f.path, repoConfig.protectedPaths))
+            .map(f => ({ path: f.path, content: f.data.content, language: f.data.language }));
     } catch (error) {
-        logger.error('Failed to fetch build logs', { owner, repo, runId, error: error.message });
-        return null;
+        logger.warn('Could not retrieve related files', { filePath, error: error.message });
+        return [];
     }
 }
 
 /**
- * Check if path is protected
+ * Record a shadow-mode result: what would have been opened, without calling the Operator.
+ * Notifications are skipped too, since they would announce a PR or issue that does not exist.
+ */
+async function finishDryRun({ eventId, fixResult, reviewReasons, startTime }) {
+    const wouldOpen = reviewReasons.length === 0 ? 'pull-request' : 'issue';
+
+    await prisma.failureEvent.update({
+        where: { id: eventId },
+        data: {
+            status: 'DRY_RUN',
+            confidence: fixResult.confidence,
+        },
+    });
+
+    const duration = Date.now() - startTime;
+    logger.info('Dry run complete, repository left untouched', {
+        eventId,
+        wouldOpen,
+        reviewReasons,
+        confidence: fixResult.confidence,
+        duration: `${duration}ms`,
+    });
+
+    return {
+        status: 'dry_run',
+        wouldOpen,
+        reviewReasons,
+        confidence: fixResult.confidence,
+        duration,
+    };
+}
+
+/**
+ * Load the log posted to /api/ingest, which the failure event holds
+ */
+async function loadIngestedLog(eventId) {
+    const event = await prisma.failureEvent.findUnique({
+        where: { id: eventId },
+        select: { rawLog: true },
+    });
+    return event?.rawLog || null;
+}
+
+/**
+ * Log excerpt to store on the failure event. An ingested log is the only copy, so it is kept
+ * whole for retries instead of being cut to the first 10KB.
  */
-function isProtectedPath(filePath) {
-    const protectedPaths = (process.env.PROTECTED_PATHS || 'config,secrets,.github/workflows,.env')
-        .split(',')
-        .map(p => p.trim().toLowerCase());
+function storedLog(source, buildLog) {
+    return source === 'ingest' ? {} : { rawLog: buildLog.substring(0, 10000) };
+}
 
-    const lowerPath = filePath.toLowerCase();
-    return protectedPaths.some(p => lowerPath.includes(p));
+/**
+ * Fetch build logs through the job's SCM provider (Actions job log, check run output or
+ * GitLab job trace)
+ */
+async function fetchBuildLogs(owner, repo, { runId, jobId = null, checkRunId = null }) {
+    try {
+        return await getScmProvider().getBuildLogs(owner, repo, { runId, jobId, checkRunId });
+    } catch (error) {
+        logger.error('Failed to fetch build logs', { owner, repo, runId, checkRunId, error: error.message });
+        return null;
+    }
 }
 
 /**
  * Send notifications about the fix
+ * @param {object} data - Notification data
+ * @param {string} eventId - Failure event ID
+ * @param {object|null} repoConfig - Resolved repository config (null if not loaded yet)
  */
-async function sendNotifications(data, eventId) {
+async function sendNotifications(data, eventId, repoConfig = null) {
     const promises = [];
+    const notifyDiscord = repoConfig ? repoConfig.notifyDiscord : true;
+    const notifySlack = repoConfig ? repoConfig.notifySlack : true;
 
     // Discord notification
-    if (process.env.DISCORD_WEBHOOK_URL) {
+    if (notifyDiscord && process.env.DISCORD_WEBHOOK_URL) {
         promises.push(
             sendDiscordNotification(data, data.isFailure ? NotificationType.ERROR : NotificationType.SUCCESS)
                 .then(result => {
@@ -421,7 +815,7 @@ async function sendNotifications(data, eventId) {
     }
 
     // Slack notification
-    if (process.env.SLACK_WEBHOOK_URL) {
+    if (notifySlack && process.env.SLACK_WEBHOOK_URL) {
         promises.push(
             sendSlackNotification(data, data.isFailure ? 'error' : 'success')
                 .then(result => {
@@ -0,0 +1,142 @@
+/**
+ * GitHub SCM Provider
+ * Adapts the GitHub API client (config/github.js) to the SCM provider interface
+ */
+
+import axios from 'axios';
+import * as github from '../config/github.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Fetch the log of the first failed job of a workflow run. Falls back to a summary of the
+ * failed steps when the log download is refused.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} runId - Workflow run ID
+ * @returns {Promise<string|null>} Log text, or null when no job failed
+ */
+async function getWorkflowRunLogs(owner, repo, runId) {
+    const octokit = await github.getOctokit();
+
+    // Get jobs for the workflow run
+    const { data: jobs } = await octokit.rest.actions.listJobsForWorkflowRun({
+        owner,
+        repo,
+        run_id: runId,
+    });
+
+    // Find the failed job
+    const failedJob = jobs.jobs.find(job => job.conclusion === 'failure');
+
+    if (!failedJob) {
+        logger.warn('No failed job found', { owner, repo, runId });
+        return null;
+    }
+
+    // Get the job logs
+    try {
+        // GitHub API returns a redirect URL for logs, we need to follow it
+        const logUrl = `https://api.github.com/repos/${owner}/${repo}/actions/jobs/${failedJob.id}/logs`;
+
+        const response = await axios.get(logUrl, {
+            headers: {
+                'Authorization': `token ${await github.getAuthToken()}`,
+                'Accept': 'application/vnd.github.v3+json',
+            },
+            maxRedirects: 5,
+            responseType: 'text',
+        });
+
+        // GitHub returns logs as plain text (not JSON)
+        if (typeof response.data === 'string') {
+            return response.data;
+        }
+
+        return String(response.data);
+    } catch (logError) {
+        // If direct log fetch fails, try to extract error info from job steps
+        logger.warn('Could not download job logs directly', {
+            error: logError.message,
+            status: logError.response?.status,
+        });
+
+        // Try to get step annotations and error messages
+        const stepErrors = [];
+
+        if (failedJob.steps) {
+            for (const step of failedJob.steps) {
+                if (step.conclusion === 'failure') {
+                    stepErrors.push(`Step "${step.name}" failed at ${step.completed_at || 'unknown time'}`);
+                }
+            }
+        }
+
+        // Add job-level error if available
+        if (failedJob.conclusion === 'failure') {
+            stepErrors.push(`Job "${failedJob.name}" failed with conclusion: ${failedJob.conclusion}`);
+        }
+
+        return stepErrors.length > 0
+            ? stepErrors.join('\n')
+            : 'Build failed but logs unavailable. Check the workflow run in GitHub for details.';
+    }
+}
+
+const githubProvider = {
+    name: 'github',
+
+    getFileContent: (owner, repo, path, ref) => github.getFileContent(owner, repo, path, ref),
+    getDefaultBranch: (owner, repo) => github.getDefaultBranch(owner, repo),
+    getBranch: (owner, repo, branch) => github.getBranch(owner, repo, branch),
+
+    /**
+     * Third-party check runs carry their log in the check output; Actions runs in the job log
+     */
+    async getBuildLogs(owner, repo, { runId, checkRunId = null }) {
+        return checkRunId
+            ? github.getCheckRunLog(owner, repo, checkRunId)
+            : getWorkflowRunLogs(owner, repo, runId);
+    },
+
+    createBranch: (owner, repo, branchName, sha) => github.createBranch(owner, repo, branchName, sha),
+
+    /**
+     * The commit is built on baseSha before any ref points at it, so a failed commit leaves no
+     * branch behind; an existing branch is only fast-forwarded (422 when it has moved on)
+     */
+    async commitFiles(owner, repo, { branch, baseSha, files, message, newBranch = true }) {
+        const commit = await github.createCommitWithFiles(owner, repo, baseSha, files, message);
+
+        if (newBranch) {
+            await github.createBranch(owner, repo, branch, commit.sha);
+        } else {
+            await github.updateBranch(owner, repo, branch, commit.sha);
+        }
+
+        return commit;
+    },
+
+    createPullRequest: (owner, repo, title, body, head, base, labels) =>
+        github.createPullRequest(owner, repo, title, body, head, base, labels),
+    findOpenPullRequest: (owner, repo, branch, commitSha, options) =>
+        github.findOpenPullRequest(owner, repo, branch, commitSha, options),
+    createIssue: (owner, repo, title, body, labels) => github.createIssue(owner, repo, title, body, labels),
+    findOpenIssue: (owner, repo, title, labels) => github.findOpenIssue(owner, repo, title, labels),
+    createComment: (owner, repo, number, body) => github.createIssueComment(owner, repo, number, body),
+
+    async getGitRemote(owner, repo) {
+        return {
+            url: `https://github.com/${owner}/${repo}.git`,
+            username: 'x-access-token',
+            token: await github.getAuthToken(),
+        };
+    },
+
+    // GitHub-only capabilities
+    requestReviewers: (owner, repo, pullNumber, reviewers) => github.requestReviewers(owner, repo, pullNumber, reviewers),
+    enableAutoMerge: (pullRequestNodeId) => github.enableAutoMerge(pullRequestNodeId),
+    listPullRequestFiles: (owner, repo, pullNumber) => github.listPullRequestFiles(owner, repo, pullNumber),
+    createReview: (owner, repo, pullNumber, review) => github.createReview(owner, repo, pullNumber, review),
+};
+
+export default githubProvider;
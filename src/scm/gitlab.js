@@ -0,0 +1,121 @@
+/**
+ * GitLab SCM Provider
+ * Adapts the GitLab API client (config/gitlab.js) to the SCM provider interface. `owner` is the
+ * project's full namespace (groups and subgroups), `repo` its path.
+ */
+
+import * as gitlab from '../config/gitlab.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Shape a merge request like a GitHub pull request
+ * @param {object} mr - GitLab merge request
+ * @returns {object} { number, html_url, node_id, head: { ref, sha }, base: { ref } }
+ */
+function toPullRequest(mr) {
+    return {
+        number: mr.iid,
+        html_url: mr.web_url,
+        node_id: null,
+        head: { ref: mr.source_branch, sha: mr.sha },
+        base: { ref: mr.target_branch },
+    };
+}
+
+const gitlabProvider = {
+    name: 'gitlab',
+
+    getFileContent: (owner, repo, path, ref) => gitlab.getFileContent(owner, repo, path, ref),
+    getDefaultBranch: (owner, repo) => gitlab.getDefaultBranch(owner, repo),
+    getBranch: (owner, repo, branch) => gitlab.getBranch(owner, repo, branch),
+
+    /**
+     * Log of the failed job the webhook reported, else of the pipeline's first failed job
+     */
+    async getBuildLogs(owner, repo, { runId, jobId = null }) {
+        let failedJobId = jobId;
+
+        if (!failedJobId) {
+            const jobs = await gitlab.listFailedPipelineJobs(owner, repo, runId);
+            const failedJob = jobs.find(job => !job.allow_failure) || jobs[0];
+
+            if (!failedJob) {
+                logger.warn('No failed job found', { owner, repo, pipelineId: runId });
+                return null;
+            }
+            failedJobId = failedJob.id;
+        }
+
+        return gitlab.getJobLog(owner, repo, failedJobId);
+    },
+
+    createBranch: (owner, repo, branchName, sha) => gitlab.createBranch(owner, repo, branchName, sha),
+
+    /**
+     * GitLab creates the branch and the commit in one request (start_sha). Commits to an existing
+     * branch land on its head, so refuse with a 422 when the head is no longer baseSha.
+     */
+    async commitFiles(owner, repo, { branch, baseSha, files, message, newBranch = true }) {
+        if (!newBranch) {
+            const current = await gitlab.getBranch(owner, repo, branch);
+            if (current?.commit?.id !== baseSha) {
+                throw Object.assign(new Error(`Branch ${branch} has moved past ${baseSha.substring(0, 7)}`), {
+                    status: 422,
+                });
+            }
+        }
+
+        const commit = await gitlab.createCommit(owner, repo, {
+            branch,
+            startSha: newBranch ? baseSha : null,
+            files,
+            message,
+        });
+
+        return { sha: commit.id, html_url: commit.web_url };
+    },
+
+    async createPullRequest(owner, repo, title, body, head, base, labels = []) {
+        const mr = await gitlab.createMergeRequest(owner, repo, {
+            title,
+            description: body,
+            sourceBranch: head,
+            targetBranch: base,
+            labels,
+        });
+        return toPullRequest(mr);
+    },
+
+    async findOpenPullRequest(owner, repo, branch, commitSha, { includeForks = false } = {}) {
+        const mr = await gitlab.findOpenMergeRequest(owner, repo, branch, { includeForks });
+        return mr ? toPullRequest(mr) : null;
+    },
+
+    async createIssue(owner, repo, title, body, labels = []) {
+        const issue = await gitlab.createIssue(owner, repo, title, body, labels);
+        return { number: issue.iid, html_url: issue.web_url };
+    },
+
+    async findOpenIssue(owner, repo, title, labels = []) {
+        const issue = await gitlab.findOpenIssue(owner, repo, title, labels);
+        return issue ? { number: issue.iid, html_url: issue.web_url } : null;
+    },
+
+    async createComment(owner, repo, number, body) {
+        const note = await gitlab.createMergeRequestNote(owner, repo, number, body);
+        return {
+            id: note.id,
+            html_url: `${gitlab.getGitLabUrl()}/${owner}/${repo}/-/merge_requests/${number}#note_${note.id}`,
+        };
+    },
+
+    async getGitRemote(owner, repo) {
+        return {
+            url: `${gitlab.getGitLabUrl()}/${owner}/${repo}.git`,
+            username: 'oauth2',
+            token: gitlab.getGitLabToken(),
+        };
+    },
+};
+
+export default gitlabProvider;
@@ -0,0 +1,56 @@
+/**
+ * SCM Providers
+ * Source-control hosts the pipeline works against. Agents ask for the provider of the job being
+ * processed instead of importing a host's API client directly.
+ *
+ * Every provider implements:
+ *   name                                                    - 'github' | 'gitlab'
+ *   getFileContent(owner, repo, path, ref)                  - { content, sha, path, ... }
+ *   getDefaultBranch(owner, repo)                           - branch name
+ *   getBranch(owner, repo, branch)                          - branch data, or null if missing
+ *   getBuildLogs(owner, repo, { runId, jobId, checkRunId }) - log text, or null
+ *   createBranch(owner, repo, branchName, sha)
+ *   commitFiles(owner, repo, { branch, baseSha, files, message, newBranch })
+ *                                                           - { sha }; 422 when an existing branch
+ *                                                             has moved past baseSha
+ *   createPullRequest(owner, repo, title, body, head, base, labels)
+ *   findOpenPullRequest(owner, repo, branch, commitSha, { includeForks })
+ *   createIssue(owner, repo, title, body, labels)
+ *   findOpenIssue(owner, repo, title, labels)
+ *   createComment(owner, repo, number, body)                - comment on a pull/merge request
+ *   getGitRemote(owner, repo)                               - { url, username, token } for git fetch
+ *
+ * Pull requests, issues and comments come back GitHub-shaped ({ number, html_url, head, base })
+ * whatever the host. Optional capabilities (requestReviewers, enableAutoMerge, listPullRequestFiles,
+ * createReview) are only present where the host supports them.
+ */
+
+import githubProvider from './github.js';
+import gitlabProvider from './gitlab.js';
+import { getContext } from '../utils/request-context.js';
+
+const providers = {
+    github: githubProvider,
+    gitlab: gitlabProvider,
+};
+
+export const SCM_PROVIDERS = Object.keys(providers);
+
+/**
+ * Get an SCM provider
+ * @param {string} name - Provider name; defaults to the one of the job being processed
+ *   (request context), then GitHub
+ * @returns {object} Provider
+ */
+export function getScmProvider(name = getContext()?.scm || 'github') {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown SCM provider: ${name}`);
+    }
+    return provider;
+}
+
+export default {
+    SCM_PROVIDERS,
+    getScmProvider,
+};
@@ -0,0 +1,79 @@
+/**
+ * Local File Source
+ * Reads and writes files in a working tree on disk, for the command-line tool. Stands in for a
+ * host's contents API; it is read/write on the checkout only and has no branches, pull requests
+ * or issues, so it is not one of the SCM providers in scm/index.js.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * Create a file source rooted at a directory
+ * @param {string} rootDir - Working tree root (usually the git top-level directory)
+ * @returns {object} { name, root, getFileContent, applyFiles }
+ */
+export function createLocalSource(rootDir) {
+    const root = path.resolve(rootDir);
+
+    /**
+     * Resolve a repository-relative path inside the root
+     * @param {string} filePath - Repository-relative path
+     * @returns {string} Absolute path
+     */
+    function resolveInRoot(filePath) {
+        const absolute = path.resolve(root, filePath);
+        if (absolute !== root && !absolute.startsWith(root + path.sep)) {
+            throw new Error(`Path "${filePath}" is outside ${root}`);
+        }
+        return absolute;
+    }
+
+    return {
+        name: 'local',
+        root,
+
+        /**
+         * Read a file from the working tree (uncommitted changes included)
+         * @param {string} filePath - Repository-relative path
+         * @returns {Promise<object>} { content, path }
+         */
+        async getFileContent(filePath) {
+            try {
+                const content = await readFile(resolveInRoot(filePath), 'utf-8');
+                return { content, path: filePath };
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+                    logger.warn('File not found in working tree', { root, path: filePath });
+                    throw new Error(`File not found: ${filePath}`);
+                }
+                throw error;
+            }
+        },
+
+        /**
+         * Write fixed files back, refusing any file that changed since it was read
+         * @param {Array<{path: string, originalCode: string, fixedCode: string}>} files - Fix files
+         * @returns {Promise<string[]>} Paths written
+         */
+        async applyFiles(files) {
+            for (const file of files) {
+                const current = await readFile(resolveInRoot(file.path), 'utf-8');
+                if (current !== file.originalCode) {
+                    throw new Error(`${file.path} changed since it was analyzed; not applying the fix`);
+                }
+            }
+
+            for (const file of files) {
+                await writeFile(resolveInRoot(file.path), file.fixedCode, 'utf-8');
+            }
+
+            return files.map(f => f.path);
+        },
+    };
+}
+
+export default {
+    createLocalSource,
+};
@@ -3,11 +3,24 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
+import { z } from 'zod';
 import { connectDatabase, disconnectDatabase } from './config/database.js';
 import { validateToken } from './config/github.js';
+import { isGitHubAppConfigured } from './config/github-app.js';
+import { validateToken as validateGitLabToken } from './config/gitlab.js';
+import { getRepoConfig } from './config/repo-config.js';
+import repoConfigRouter from './config/repo-config-routes.js';
 import webhookRouter from './webhooks/github-listener.js';
+import gitlabWebhookRouter from './webhooks/gitlab-listener.js';
+import ingestRouter, { INGEST_MAX_LOG_BYTES } from './webhooks/ingest-listener.js';
+import { SCM_PROVIDERS } from './scm/index.js';
+import { analyzeFailure } from './pipeline/analyze.js';
+import { getUnconfiguredAgents } from './config/ai-provider.js';
+import { runWithContext } from './utils/request-context.js';
+import { requireAdminToken } from './utils/api-auth.js';
 import { fixQueue, closeQueue } from './queue/fix-queue.js';
 import { sendStartupNotification, sendShutdownNotification } from './notifications/discord.js';
+import { USAGE_GROUP_BY, getUsageSummary, getDailySpend } from './utils/usage-tracker.js';
 import logger from './utils/logger.js';
 
 // Handle BigInt serialization for JSON responses
@@ -24,9 +37,14 @@ app.use(helmet({
 
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
 }));
 
+// Build logs are far larger than webhook payloads: parse them before the default JSON limit
+// applies. The ingest router parses its own (JSON, plain text or gzip) bodies.
+app.use('/api/analyze', express.json({ limit: INGEST_MAX_LOG_BYTES }));
+app.use('/api/ingest', ingestRouter);
+
 app.use(express.json({
     verify: (req, res, buf) => {
         req.rawBody = buf.toString();
@@ -58,15 +76,24 @@ app.get('/', (req, res) => {
         status: 'running',
         endpoints: {
             webhooks: '/webhooks/github',
+            gitlabWebhooks: '/webhooks/gitlab',
             health: '/webhooks/health',
             status: '/webhooks/status',
             queue: '/api/queue',
+            repoConfig: '/api/repos/:owner/:repo/config',
+            usage: '/api/usage',
+            fixDiff: '/api/fixes/:id/diff',
+            installations: '/api/installations',
+            ingest: '/api/ingest',
+            analyze: '/api/analyze',
         },
     });
 });
 
 // Webhook routes
 app.use('/webhooks', webhookRouter);
+app.use('/webhooks', gitlabWebhookRouter);
+app.use('/api/repos', repoConfigRouter);
 
 // Queue status API
 app.get('/api/queue', async (req, res) => {
@@ -187,6 +214,9 @@ app.get('/api/events/:id', async (req, res) => {
                 fixAttempts: {
                     orderBy: { createdAt: 'desc' },
                 },
+                reviews: {
+                    orderBy: { submittedAt: 'asc' },
+                },
             },
         });
 
@@ -211,14 +241,20 @@ app.get('/api/stats', async (req, res) => {
             fixedEvents,
             failedEvents,
             pendingEvents,
+            openPrEvents,
+            rejectedPrEvents,
             recentEvents,
             topRepos,
         ] = await Promise.all([
             prisma.failureEvent.count(),
-            // Count both FIXED and PR_CREATED as successful fixes
-            prisma.failureEvent.count({ where: { status: { in: ['FIXED', 'PR_CREATED'] } } }),
+            // Only merged fixes count; an open PR is not a fix yet
+            prisma.failureEvent.count({ where: { status: 'FIXED' } }),
             prisma.failureEvent.count({ where: { status: 'FAILED' } }),
-            prisma.failureEvent.count({ where: { status: { in: ['DETECTED', 'ANALYZING', 'FIXING'] } } }),
+            prisma.failureEvent.count({
+                where: { status: { in: ['DETECTED', 'ANALYZING', 'RETRIEVING', 'FIXING', 'VALIDATING', 'VERIFYING'] } },
+            }),
+            prisma.failureEvent.count({ where: { status: 'PR_CREATED' } }),
+            prisma.failureEvent.count({ where: { status: 'PR_CLOSED' } }),
             prisma.failureEvent.findMany({
                 orderBy: { createdAt: 'desc' },
                 take: 5,
@@ -249,6 +285,8 @@ app.get('/api/stats', async (req, res) => {
             fixedEvents,
             failedEvents,
             pendingEvents,
+            openPrEvents,
+            rejectedPrEvents,
             successRate,
             recentEvents,
             topRepos: topRepos.map(r => ({
@@ -303,6 +341,48 @@ app.get('/api/fixes', async (req, res) => {
     }
 });
 
+// Get the unified diff of a fix attempt (?format=raw for plain text)
+app.get('/api/fixes/:id/diff', async (req, res) => {
+    try {
+        const { default: prisma } = await import('./config/database.js');
+        const { createFilesDiff } = await import('./utils/diff.js');
+
+        const fix = await prisma.fixAttempt.findUnique({
+            where: { id: req.params.id },
+            select: {
+                id: true,
+                failureEventId: true,
+                diff: true,
+                files: true,
+                originalCode: true,
+                fixedCode: true,
+                failureEvent: { select: { filePath: true } },
+            },
+        });
+
+        if (!fix) {
+            return res.status(404).json({ error: 'Fix not found' });
+        }
+
+        // Per-file stats come from the stored contents; attempts recorded before diffs were stored
+        // get their diff rebuilt the same way
+        const files = Array.isArray(fix.files) && fix.files.length > 0
+            ? fix.files
+            : [{ path: fix.failureEvent.filePath || 'file', originalCode: fix.originalCode, fixedCode: fix.fixedCode }];
+        const { diff: rebuilt, ...stats } = createFilesDiff(files);
+        const diff = fix.diff ?? rebuilt;
+
+        if (req.query.format === 'raw') {
+            return res.type('text/x-diff').send(diff);
+        }
+
+        res.json({ id: fix.id, failureEventId: fix.failureEventId, diff, ...stats });
+    } catch (error) {
+        logger.error('Get fix diff error', { error: error.message });
+        res.status(500).json({ error: 'Failed to get fix diff' });
+    }
+});
+
 // Get notifications
 app.get('/api/notifications', async (req, res) => {
     try {
@@ -335,6 +415,66 @@ app.get('/api/notifications', async (req, res) => {
     }
 });
 
+// LLM token and cost usage, aggregated over a time window
+app.get('/api/usage', async (req, res) => {
+    const { repo = null, groupBy = 'repo' } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ error: 'from and to must be ISO dates with from <= to' });
+    }
+    if (!USAGE_GROUP_BY.includes(groupBy)) {
+        return res.status(400).json({ error: `groupBy must be one of: ${USAGE_GROUP_BY.join(', ')}` });
+    }
+
+    try {
+        const summary = await getUsageSummary({ repoFullName: repo, from, to, groupBy });
+
+        let budget;
+        if (repo) {
+            const repoConfig = await getRepoConfig(repo);
+            budget = {
+                dailyBudgetUsd: repoConfig.dailyBudgetUsd,
+                spentTodayUsd: await getDailySpend(repo),
+            };
+        }
+
+        res.json({
+            window: { from: from.toISOString(), to: to.toISOString() },
+            groupBy,
+            repo,
+            ...summary,
+            budget,
+        });
+    } catch (error) {
+        logger.error('Get usage error', { repo, error: error.message });
+        res.status(500).json({ error: 'Failed to get usage' });
+    }
+});
+
+// GitHub App installations and the repositories they cover (onboarded repositories)
+app.get('/api/installations', async (req, res) => {
+    try {
+        const { default: prisma } = await import('./config/database.js');
+
+        const installations = await prisma.gitHubInstallation.findMany({
+            orderBy: { createdAt: 'desc' },
+            include: {
+                repositories: {
+                    select: { repoFullName: true, createdAt: true },
+                    orderBy: { repoFullName: 'asc' },
+                },
+            },
+        });
+
+        res.json({ installations });
+    } catch (error) {
+        logger.error('Get installations error', { error: error.message });
+        res.status(500).json({ error: 'Failed to get installations' });
+    }
+});
+
 // Manual trigger endpoint (for testing)
 app.post('/api/trigger', async (req, res) => {
     const { owner, repo, commitSha, runId, logsUrl, branch } = req.body;
@@ -385,6 +525,93 @@ app.post('/api/trigger', async (req, res) => {
     }
 });
 
+// Analyze-only request: a log, optional file contents, optional repository to read other files from
+const analyzeSchema = z.object({
+    log: z.string().min(1),
+    files: z.union([
+        z.array(z.object({ path: z.string().min(1), content: z.string() })),
+        z.record(z.string()).transform(map => Object.entries(map).map(([path, content]) => ({ path, content }))),
+    ]).default([]),
+    owner: z.string().min(1).optional(),
+    repo: z.string().min(1).optional(),
+    ref: z.string().min(1).optional(),
+    scm: z.enum(SCM_PROVIDERS).default('github'),
+    language: z.string().min(1).optional(),
+}).refine(data => !data.owner === !data.repo, { message: 'owner and repo go together', path: ['repo'] });
+
+/**
+ * Whether a repository is one this instance works on: covered by a GitHub App installation or
+ * configured in RepoConfig
+ * @param {string} repoFullName - owner/repo
+ * @returns {Promise<boolean>} Whether it is served
+ */
+async function isServedRepository(repoFullName) {
+    const { default: prisma } = await import('./config/database.js');
+    const [installed, configured] = await Promise.all([
+        prisma.installationRepository.findUnique({ where: { repoFullName }, select: { id: true } }),
+        prisma.repoConfig.findUnique({ where: { repoFullName }, select: { id: true } }),
+    ]);
+    return Boolean(installed || configured);
+}
+
+// Diagnose a log and propose a fix without any branch, commit, PR or issue
+app.post('/api/analyze', requireAdminToken, async (req, res) => {
+    const parsed = analyzeSchema.safeParse(req.body);
+
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid analyze request',
+            details: parsed.error.issues.map(i => `${i.path.join('.')}: ${i.message}`),
+        });
+    }
+
+    const { log, files, owner, repo, ref, scm, language } = parsed.data;
+    const repoFullName = owner ? `${owner}/${repo}` : null;
+
+    // Scout paths may be shorter or longer than the submitted ones (build directory prefixes)
+    const findSubmitted = (filePath) => files.find(f =>
+        f.path === filePath || f.path.endsWith(`/${filePath}`) || filePath.endsWith(`/${f.path}`));
+
+    const readFile = async (filePath) => {
+        const submitted = findSubmitted(filePath);
+        if (submitted) {
+            return { content: submitted.content };
+        }
+        if (!repoFullName) {
+            return null;
+        }
+
+        // Reads only: the retriever never writes
+        const { retriever } = await import('./agents/retriever.js');
+        try {
+            return await retriever.retrieveFile({ owner, repo, filePath, ref });
+        } catch (error) {
+            logger.warn('Could not retrieve file for analysis', { repoFullName, filePath, error: error.message });
+            return null;
+        }
+    };
+
+    try {
+        // Files are read with the server's credentials, which reach more than the repositories we
+        // serve: only read from repositories covered by an App installation or a RepoConfig row
+        if (repoFullName && !(await isServedRepository(repoFullName))) {
+            return res.status(403).json({ error: `Repository ${repoFullName} is not served by this instance` });
+        }
+
+        const result = await runWithContext({ repoFullName, scm }, () => analyzeFailure({
+            log,
+            readFile,
+            relatedFiles: files,
+            languageHint: language || null,
+        }));
+
+        res.json(result);
+    } catch (error) {
+        logger.error('Analyze error', { error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({
@@ -416,30 +643,57 @@ async function start() {
 
     try {
         // Validate environment
-        const requiredEnvVars = ['GITHUB_TOKEN', 'GEMINI_API_KEY'];
-        const missing = requiredEnvVars.filter(v => !process.env[v]);
+        const missing = [];
+
+        // GitHub access: a GitHub App, a personal access token, or both (the token is the fallback).
+        // GitLab-only deployments need just GITLAB_TOKEN.
+        const githubConfigured = isGitHubAppConfigured() || Boolean(process.env.GITHUB_TOKEN);
+        if (!githubConfigured && !process.env.GITLAB_TOKEN) {
+            missing.push('GITHUB_TOKEN (or GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY, or GITLAB_TOKEN)');
+        }
 
         if (missing.length > 0) {
             logger.error(`Missing required environment variables: ${missing.join(', ')}`);
             process.exit(1);
         }
 
+        // Any provider will do (a local OpenAI-compatible server included), as long as every agent's
+        // chain (AI_PROVIDER[_<AGENT>], then AI_FALLBACK_CHAIN) has one that is configured
+        const unconfiguredAgents = getUnconfiguredAgents();
+        if (unconfiguredAgents.length > 0) {
+            logger.error(`No configured AI provider for: ${unconfiguredAgents.join(', ')}. Set AI_PROVIDER and its credentials or endpoint (see LLM Providers in the README)`);
+            process.exit(1);
+        }
+
         // Connect to database
         await connectDatabase();
         logger.info('Database connected');
 
         // Validate GitHub token
-        const tokenValidation = await validateToken();
-        if (!tokenValidation.valid) {
-            logger.error('Invalid GitHub token', { error: tokenValidation.error });
-            process.exit(1);
+        if (githubConfigured) {
+            const tokenValidation = await validateToken();
+            if (!tokenValidation.valid) {
+                logger.error('Invalid GitHub token', { error: tokenValidation.error });
+                process.exit(1);
+            }
+            logger.info(`GitHub authenticated as: ${tokenValidation.user}`);
+        }
+
+        // Validate GitLab token
+        if (process.env.GITLAB_TOKEN) {
+            const gitlabValidation = await validateGitLabToken();
+            if (!gitlabValidation.valid) {
+                logger.error('Invalid GitLab token', { error: gitlabValidation.error });
+                process.exit(1);
+            }
+            logger.info(`GitLab authenticated as: ${gitlabValidation.user}`);
         }
-        logger.info(`GitHub authenticated as: ${tokenValidation.user}`);
 
         // Start server
         const server = app.listen(PORT, () => {
             logger.info(`🚀 CodeAutopsy server running on port ${PORT}`);
             logger.info(`📡 Webhook endpoint: http://localhost:${PORT}/webhooks/github`);
+            logger.info(`📡 GitLab webhook endpoint: http://localhost:${PORT}/webhooks/gitlab`);
             logger.info(`📊 Status endpoint: http://localhost:${PORT}/webhooks/status`);
         });
 
@@ -0,0 +1,100 @@
+/**
+ * API Authentication
+ * Bearer-token middleware for the admin and ingestion endpoints. Both fail closed: an endpoint
+ * whose token is not configured is disabled, never open.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compare two secrets in constant time (digests, so their lengths do not leak either)
+ * @param {string} provided - Secret from the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether they match
+ */
+export function tokensMatch(provided, expected) {
+    if (!provided || !expected) {
+        return false;
+    }
+
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Bearer token of a request
+ * @param {object} req - Express request
+ * @returns {string} Token, or '' when there is none
+ */
+function getBearerToken(req) {
+    return (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+}
+
+/**
+ * Admin credentials: ADMIN_API_TOKENS ("name:token,name:token", one per person or system) and
+ * ADMIN_API_TOKEN (recorded as "admin")
+ * @returns {Array<{actor: string, token: string}>} Configured credentials
+ */
+export function getAdminCredentials() {
+    const credentials = (process.env.ADMIN_API_TOKENS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return { actor: entry.substring(0, separator).trim(), token: entry.substring(separator + 1).trim() };
+        })
+        .filter(c => c.actor && c.token);
+
+    if (process.env.ADMIN_API_TOKEN) {
+        credentials.push({ actor: 'admin', token: process.env.ADMIN_API_TOKEN });
+    }
+
+    return credentials;
+}
+
+/**
+ * Require an admin token. The matching credential's name becomes req.actor, the identity recorded
+ * in the audit trail.
+ */
+export function requireAdminToken(req, res, next) {
+    const credentials = getAdminCredentials();
+    if (credentials.length === 0) {
+        return res.status(503).json({ error: 'Admin API is disabled (ADMIN_API_TOKEN is not set)' });
+    }
+
+    const provided = getBearerToken(req);
+    // Check every credential so the time taken does not reveal which one matched
+    const matches = credentials.filter(c => tokensMatch(provided, c.token));
+    if (matches.length === 0) {
+        return res.status(401).json({ error: 'Invalid or missing admin token' });
+    }
+
+    req.actor = matches[0].actor;
+    next();
+}
+
+/**
+ * Require INGEST_API_TOKEN for log ingestion; without it anyone could queue fixes, so ingestion
+ * stays disabled until a token is configured
+ */
+export function requireIngestToken(req, res, next) {
+    const ingestToken = process.env.INGEST_API_TOKEN;
+    if (!ingestToken) {
+        return res.status(503).json({ error: 'Log ingestion is disabled (INGEST_API_TOKEN is not set)' });
+    }
+
+    if (!tokensMatch(getBearerToken(req), ingestToken)) {
+        return res.status(401).json({ error: 'Invalid or missing ingest token' });
+    }
+
+    next();
+}
+
+export default {
+    tokensMatch,
+    getAdminCredentials,
+    requireAdminToken,
+    requireIngestToken,
+};
@@ -0,0 +1,77 @@
+/**
+ * Circuit Breaker
+ * Stops calling a dependency after consecutive failures and probes it again after a cooldown
+ *
+ * closed    - calls go through; failures are counted
+ * open      - calls are refused until the cooldown has passed
+ * half-open - one probe call is allowed; success closes the circuit, failure re-opens it
+ */
+
+export class CircuitBreaker {
+    /**
+     * @param {string} name - Dependency name (for logs)
+     * @param {object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+     * @param {number} options.cooldownMs - Time the circuit stays open before a probe
+     * @param {Function} options.now - Clock (for tests)
+     */
+    constructor(name, { failureThreshold = 5, cooldownMs = 60000, now = Date.now } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Whether a call may be made now (moves an expired open circuit to half-open)
+     * @returns {boolean} Whether to call the dependency
+     */
+    canRequest() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half-open';
+        }
+
+        return this.state !== 'open';
+    }
+
+    /**
+     * Record a successful call
+     */
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Record a failed call
+     * @returns {boolean} Whether this failure opened the circuit
+     */
+    recordFailure() {
+        this.failures++;
+
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            const opened = this.state !== 'open';
+            this.state = 'open';
+            this.openedAt = this.now();
+            return opened;
+        }
+
+        return false;
+    }
+
+    /**
+     * Time until an open circuit allows a probe
+     * @returns {number} Remaining cooldown (0 unless open)
+     */
+    remainingCooldownMs() {
+        return this.state === 'open'
+            ? Math.max(0, this.cooldownMs - (this.now() - this.openedAt))
+            : 0;
+    }
+}
+
+export default CircuitBreaker;
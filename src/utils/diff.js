@@ -0,0 +1,341 @@
+/**
+ * Diff
+ * Line-level diffs (Myers' O(ND) algorithm) rendered as unified diff text with hunk stats,
+ * for FixAttempt rows, PR bodies, notifications and the API
+ */
+
+// Beyond this many edits a file was rewritten rather than fixed; report it as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Split text into lines; a final newline does not count as an extra empty line
+ * @param {string} text - Text
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines.at(-1) === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Walk the recorded Myers frontiers back from the end to recover the edit script
+ * @param {Int32Array[]} trace - Frontier after each edit count d (index k + d)
+ * @param {number} n - Old length
+ * @param {number} m - New length
+ * @returns {Array<{type: string, oldIndex: number|null, newIndex: number|null}>} Operations in order
+ */
+function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d - 1];
+        const frontier = k => previous[k + d - 1];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && frontier(k - 1) < frontier(k + 1))) ? k + 1 : k - 1;
+        const previousX = frontier(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            ops.push({ type: 'equal', oldIndex: --x, newIndex: --y });
+        }
+
+        if (previousK === k + 1) {
+            ops.push({ type: 'insert', oldIndex: null, newIndex: --y });
+        } else {
+            ops.push({ type: 'delete', oldIndex: --x, newIndex: null });
+        }
+    }
+
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'equal', oldIndex: --x, newIndex: --y });
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<object>|null} Operations, or null when the files differ by more than MAX_EDIT_DISTANCE
+ */
+function shortestEditScript(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                trace.push(v.slice(offset - d, offset + d + 1));
+                return backtrack(trace, n, m);
+            }
+        }
+
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+
+    return null;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} original - Old text
+ * @param {string} fixed - New text
+ * @returns {Array<{type: string, line: string, oldLine: number|null, newLine: number|null}>} One
+ *   operation per line ('equal', 'delete' or 'insert') with 1-based line numbers
+ */
+export function diffLines(original, fixed) {
+    const a = splitLines(original);
+    const b = splitLines(fixed);
+
+    // Fixes touch a few lines; trimming the shared head and tail keeps the search small
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const middleA = a.slice(prefix, a.length - suffix);
+    const middleB = b.slice(prefix, b.length - suffix);
+
+    const middle = shortestEditScript(middleA, middleB) || [
+        ...middleA.map((_, i) => ({ type: 'delete', oldIndex: i, newIndex: null })),
+        ...middleB.map((_, i) => ({ type: 'insert', oldIndex: null, newIndex: i })),
+    ];
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) {
+        ops.push({ type: 'equal', line: a[i], oldLine: i + 1, newLine: i + 1 });
+    }
+    for (const op of middle) {
+        ops.push({
+            type: op.type,
+            line: op.type === 'insert' ? middleB[op.newIndex] : middleA[op.oldIndex],
+            oldLine: op.oldIndex === null ? null : prefix + op.oldIndex + 1,
+            newLine: op.newIndex === null ? null : prefix + op.newIndex + 1,
+        });
+    }
+    for (let i = suffix; i > 0; i--) {
+        ops.push({ type: 'equal', line: a[a.length - i], oldLine: a.length - i + 1, newLine: b.length - i + 1 });
+    }
+
+    return ops;
+}
+
+/**
+ * Group changed lines into hunks with surrounding context
+ * @param {Array<object>} ops - diffLines() operations
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number,
+ *   lines: string[]}>} Hunks; lines carry their ' ', '-' or '+' prefix
+ */
+export function getHunks(ops, context = DEFAULT_CONTEXT) {
+    const changes = [];
+    ops.forEach((op, i) => {
+        if (op.type !== 'equal') changes.push(i);
+    });
+
+    // Merge changes whose context would overlap
+    const ranges = [];
+    for (const index of changes) {
+        const last = ranges.at(-1);
+        if (last && index - last.end <= 2 * context + 1) {
+            last.end = index;
+        } else {
+            ranges.push({ start: index, end: index });
+        }
+    }
+
+    // Lines of each side consumed before every operation
+    const oldBefore = [];
+    const newBefore = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (const op of ops) {
+        oldBefore.push(oldCount);
+        newBefore.push(newCount);
+        if (op.type !== 'insert') oldCount++;
+        if (op.type !== 'delete') newCount++;
+    }
+
+    return ranges.map(({ start, end }) => {
+        const from = Math.max(0, start - context);
+        const to = Math.min(ops.length - 1, end + context);
+        const slice = ops.slice(from, to + 1);
+        const oldLines = slice.filter(op => op.type !== 'insert').length;
+        const newLines = slice.filter(op => op.type !== 'delete').length;
+
+        return {
+            // An empty side starts at the line before the hunk, as in git
+            oldStart: oldLines === 0 ? oldBefore[from] : oldBefore[from] + 1,
+            oldLines,
+            newStart: newLines === 0 ? newBefore[from] : newBefore[from] + 1,
+            newLines,
+            lines: slice.map(op => `${op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' '}${op.line}`),
+        };
+    });
+}
+
+/**
+ * Diff one file as unified diff text
+ * @param {string} original - Old content
+ * @param {string} fixed - New content
+ * @param {string} path - File path for the ---/+++ headers
+ * @param {object} options - Options
+ * @param {number} options.context - Context lines per hunk
+ * @returns {{path: string, diff: string, additions: number, deletions: number, hunks: number}} diff is
+ *   empty when the contents are the same
+ */
+export function createFileDiff(original, fixed, path = 'file', { context = DEFAULT_CONTEXT } = {}) {
+    const ops = diffLines(original || '', fixed || '');
+    const hunks = getHunks(ops, context);
+    const additions = ops.filter(op => op.type === 'insert').length;
+    const deletions = ops.filter(op => op.type === 'delete').length;
+
+    if (hunks.length === 0) {
+        return { path, diff: '', additions: 0, deletions: 0, hunks: 0 };
+    }
+
+    const diff = [
+        `--- a/${path}`,
+        `+++ b/${path}`,
+        ...hunks.flatMap(hunk => [
+            `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+            ...hunk.lines,
+        ]),
+    ].join('\n');
+
+    return { path, diff, additions, deletions, hunks: hunks.length };
+}
+
+/**
+ * Diff every file of a fix
+ * @param {Array<{path: string, originalCode: string, fixedCode: string}>} files - Fix edit set
+ * @returns {{diff: string, additions: number, deletions: number, hunks: number,
+ *   files: Array<object>}} Combined diff and per-file stats (unchanged files are left out)
+ */
+export function createFilesDiff(files = []) {
+    const fileDiffs = files
+        .map(file => createFileDiff(file.originalCode, file.fixedCode, file.path))
+        .filter(file => file.hunks > 0);
+
+    return {
+        diff: fileDiffs.map(file => file.diff).join('\n'),
+        additions: fileDiffs.reduce((sum, file) => sum + file.additions, 0),
+        deletions: fileDiffs.reduce((sum, file) => sum + file.deletions, 0),
+        hunks: fileDiffs.reduce((sum, file) => sum + file.hunks, 0),
+        files: fileDiffs.map(({ path, additions, deletions, hunks }) => ({ path, additions, deletions, hunks })),
+    };
+}
+
+/**
+ * Express a fix as line-range replacements in the original file, e.g. for review suggestions.
+ * Every replacement covers at least one original line: a pure insertion is anchored on the line
+ * above it (or below it at the top of the file) and repeats that line.
+ * @param {string} original - Old content
+ * @param {string} fixed - New content
+ * @returns {Array<{startLine: number, endLine: number, replacement: string[]}>} 1-based, inclusive
+ *   ranges of original lines and the lines that replace them
+ */
+export function getLineReplacements(original, fixed) {
+    const originalLines = splitLines(original);
+    if (originalLines.length === 0) {
+        return [];
+    }
+
+    return getHunks(diffLines(original, fixed), 0).map(hunk => {
+        const replacement = hunk.lines.filter(line => !line.startsWith('-')).map(line => line.substring(1));
+
+        if (hunk.oldLines > 0) {
+            return { startLine: hunk.oldStart, endLine: hunk.oldStart + hunk.oldLines - 1, replacement };
+        }
+        if (hunk.oldStart > 0) {
+            return {
+                startLine: hunk.oldStart,
+                endLine: hunk.oldStart,
+                replacement: [originalLines[hunk.oldStart - 1], ...replacement],
+            };
+        }
+        return { startLine: 1, endLine: 1, replacement: [...replacement, originalLines[0]] };
+    });
+}
+
+/**
+ * New-side line ranges covered by the hunks of a unified diff (e.g. a pull request file patch)
+ * @param {string} diff - Unified diff text
+ * @returns {Array<{start: number, end: number}>} 1-based, inclusive ranges, one per hunk
+ */
+export function getNewLineRanges(diff) {
+    const ranges = [];
+
+    for (const line of (diff || '').split('\n')) {
+        const header = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+        if (!header) continue;
+
+        const start = parseInt(header[1], 10);
+        const count = header[2] !== undefined ? parseInt(header[2], 10) : 1;
+        if (count > 0) {
+            ranges.push({ start, end: start + count - 1 });
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * Shorten a diff for size-limited channels (PR bodies, chat messages), cutting at a line boundary
+ * @param {string} diff - Unified diff text
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {string} The diff, or its first lines and a note on how many were left out
+ */
+export function truncateDiff(diff, maxLength) {
+    if (!diff || diff.length <= maxLength) {
+        return diff || '';
+    }
+
+    const lines = diff.split('\n');
+    const kept = [];
+    let length = 0;
+
+    for (const line of lines) {
+        // Leave room for the note
+        if (length + line.length + 1 > maxLength - 40) break;
+        kept.push(line);
+        length += line.length + 1;
+    }
+
+    return `${kept.join('\n')}\n... (${lines.length - kept.length} more lines)`;
+}
+
+export default {
+    diffLines,
+    getHunks,
+    createFileDiff,
+    createFilesDiff,
+    getLineReplacements,
+    getNewLineRanges,
+    truncateDiff,
+};
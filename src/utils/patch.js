@@ -0,0 +1,379 @@
+/**
+ * Patch
+ * Parses and applies the edits the Surgeon returns instead of whole files: search/replace
+ * blocks or unified diff hunks, located in the original code with progressively fuzzier matching
+ */
+
+export const PATCH_FORMATS = {
+    SEARCH_REPLACE: 'search-replace',
+    UNIFIED_DIFF: 'unified-diff',
+};
+
+const SEARCH_MARKER = /^<{5,9} ?SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} ?REPLACE\s*$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const DIFF_HEADERS = /^(diff --git |index [0-9a-f]+\.\.|--- (a\/|\/dev\/null)|\+\+\+ (b\/|\/dev\/null))/;
+const CODE_FENCE = /^\s*```/;
+// Starts the edits of one file in a multi-file response ("FILE: src/app.js")
+const FILE_MARKER = /^\s*(?:#+\s*)?FILE:\s*`?([^`]+?)`?\s*$/;
+
+// Line comparisons from strict to lenient; the first level with a match wins
+const MATCH_LEVELS = [
+    { name: 'exact', normalize: line => line },
+    { name: 'trailing-whitespace', normalize: line => line.trimEnd() },
+    { name: 'indentation', normalize: line => line.trim() },
+];
+
+/**
+ * Detect which edit format a model response uses
+ * @param {string} text - Raw response text
+ * @returns {string|null} A PATCH_FORMATS value, or null for anything else (e.g. a whole file)
+ */
+export function detectPatchFormat(text) {
+    const lines = (text || '').split('\n');
+
+    if (lines.some(line => SEARCH_MARKER.test(line))) {
+        return PATCH_FORMATS.SEARCH_REPLACE;
+    }
+    if (lines.some(line => HUNK_HEADER.test(line))) {
+        return PATCH_FORMATS.UNIFIED_DIFF;
+    }
+
+    return null;
+}
+
+/**
+ * Parse search/replace blocks:
+ *   <<<<<<< SEARCH
+ *   lines to find
+ *   =======
+ *   replacement lines
+ *   >>>>>>> REPLACE
+ * @param {string} text - Raw response text
+ * @returns {{hunks: Array<object>, errors: string[]}} Hunks ({ search, replace, hint }) and parse errors
+ */
+export function parseSearchReplaceBlocks(text) {
+    const hunks = [];
+    const errors = [];
+    let current = null;
+
+    for (const line of text.split('\n')) {
+        if (SEARCH_MARKER.test(line)) {
+            if (current) {
+                errors.push(`Hunk ${hunks.length + 1} is missing its >>>>>>> REPLACE marker`);
+            }
+            current = { search: [], replace: [], section: 'search' };
+        } else if (!current) {
+            continue;
+        } else if (current.section === 'search' && DIVIDER_MARKER.test(line)) {
+            current.section = 'replace';
+        } else if (REPLACE_MARKER.test(line)) {
+            if (current.section !== 'replace') {
+                errors.push(`Hunk ${hunks.length + 1} is missing its ======= divider`);
+            } else {
+                hunks.push({ search: current.search, replace: current.replace, hint: null });
+            }
+            current = null;
+        } else {
+            current[current.section].push(line);
+        }
+    }
+
+    // A block cut off mid-way usually means the response hit the token limit
+    if (current) {
+        errors.push(`Hunk ${hunks.length + 1} is truncated (no >>>>>>> REPLACE marker)`);
+    }
+
+    return { hunks, errors };
+}
+
+/**
+ * Parse unified diff hunks (file headers are ignored; the diff must target a single file)
+ * @param {string} text - Raw response text
+ * @returns {{hunks: Array<object>, errors: string[]}} Hunks ({ search, replace, hint }) and parse errors
+ */
+export function parseUnifiedDiff(text) {
+    const hunks = [];
+    const errors = [];
+    let current = null;
+
+    const finish = (endOfText = false) => {
+        if (!current) return;
+        // Models miscount header line numbers, so counts are only trusted for a hunk the response
+        // ended in (no closing fence): a short one was cut off at the token limit
+        if (endOfText && (current.search.length < current.oldCount || current.replace.length < current.newCount)) {
+            errors.push(`Hunk ${hunks.length + 1} is truncated (header promises ${current.oldCount} old and ${current.newCount} new lines, got ${current.search.length} and ${current.replace.length})`);
+        } else {
+            hunks.push({ search: current.search, replace: current.replace, hint: current.hint });
+        }
+        current = null;
+    };
+
+    for (const line of text.split('\n')) {
+        const header = line.match(HUNK_HEADER);
+        if (header) {
+            finish();
+            current = {
+                search: [],
+                replace: [],
+                hint: Math.max(parseInt(header[1], 10) - 1, 0),
+                oldCount: header[2] !== undefined ? parseInt(header[2], 10) : 1,
+                newCount: header[4] !== undefined ? parseInt(header[4], 10) : 1,
+            };
+        } else if (!current) {
+            continue;
+        } else if (DIFF_HEADERS.test(line) || CODE_FENCE.test(line)) {
+            finish();
+        } else if (line.startsWith('\\')) {
+            // "\ No newline at end of file"
+            continue;
+        } else if (line.startsWith('-')) {
+            current.search.push(line.substring(1));
+        } else if (line.startsWith('+')) {
+            current.replace.push(line.substring(1));
+        } else {
+            // Context line; models often drop the leading space of blank lines
+            const content = line.startsWith(' ') ? line.substring(1) : line;
+            current.search.push(content);
+            current.replace.push(content);
+        }
+    }
+    finish(true);
+
+    // Blank context lines picked up after the last real line of a hunk are not part of it
+    for (const hunk of hunks) {
+        while (hunk.search.length > 0 && hunk.replace.length > 0
+            && hunk.search.at(-1) === '' && hunk.replace.at(-1) === '') {
+            hunk.search.pop();
+            hunk.replace.pop();
+        }
+    }
+
+    return { hunks, errors };
+}
+
+/**
+ * Find every position where a block of lines occurs
+ * @param {string[]} lines - File lines
+ * @param {string[]} block - Lines to find
+ * @param {Function} normalize - Line normalizer
+ * @returns {number[]} Start indexes
+ */
+function findBlock(lines, block, normalize) {
+    const target = block.map(normalize);
+    const matches = [];
+
+    for (let start = 0; start + target.length <= lines.length; start++) {
+        let found = true;
+        for (let i = 0; i < target.length; i++) {
+            if (normalize(lines[start + i]) !== target[i]) {
+                found = false;
+                break;
+            }
+        }
+        if (found) matches.push(start);
+    }
+
+    return matches;
+}
+
+/**
+ * Leading whitespace of the first non-blank line
+ * @param {string[]} lines - Lines
+ * @returns {string} Indentation
+ */
+function firstIndent(lines) {
+    const line = lines.find(l => l.trim() !== '');
+    return line ? line.match(/^\s*/)[0] : '';
+}
+
+/**
+ * Shift replacement lines by the indentation difference between the model's search text and the
+ * lines it matched (models often drop or add a level of indentation)
+ * @param {string[]} replace - Replacement lines
+ * @param {string[]} search - Search lines as written by the model
+ * @param {string[]} matched - Lines actually matched in the file
+ * @returns {string[]} Re-indented replacement
+ */
+function reindent(replace, search, matched) {
+    const from = firstIndent(search);
+    const to = firstIndent(matched);
+
+    if (from === to) return replace;
+
+    if (to.startsWith(from)) {
+        const extra = to.substring(from.length);
+        return replace.map(line => (line.trim() === '' ? line : extra + line));
+    }
+    if (from.startsWith(to)) {
+        const excess = from.substring(to.length);
+        return replace.map(line => (line.startsWith(excess) ? line.substring(excess.length) : line));
+    }
+
+    return replace;
+}
+
+/**
+ * Locate a hunk in the current file
+ * @param {string[]} lines - Current file lines
+ * @param {object} hunk - Hunk ({ search, hint })
+ * @returns {{start: number, level: string}|{error: string}} Match position or why it failed
+ */
+function locateHunk(lines, hunk) {
+    for (const level of MATCH_LEVELS) {
+        const matches = findBlock(lines, hunk.search, level.normalize);
+
+        if (matches.length === 1) {
+            return { start: matches[0], level: level.name };
+        }
+
+        if (matches.length > 1) {
+            if (hunk.hint === null) {
+                return { error: `search text matches ${matches.length} locations; include more surrounding lines` };
+            }
+            // Unified diffs carry a line number: take the closest occurrence
+            const start = matches.reduce((best, m) =>
+                (Math.abs(m - hunk.hint) < Math.abs(best - hunk.hint) ? m : best));
+            return { start, level: level.name };
+        }
+    }
+
+    return { error: 'search text not found in the original file' };
+}
+
+/**
+ * Apply hunks in order. Nothing is applied unless every hunk applies: a partial patch is never
+ * committed.
+ * @param {string} originalCode - Original file content
+ * @param {Array<object>} hunks - Parsed hunks
+ * @returns {{success: boolean, code: string, applied: Array<object>, rejected: Array<object>}} Result;
+ *   applied hunks record the matching level, rejected hunks the reason
+ */
+export function applyHunks(originalCode, hunks) {
+    // Lines are matched without their ending; a CRLF file is written back with CRLF on every line
+    const eol = originalCode.includes('\r\n') ? '\r\n' : '\n';
+    const stripCr = line => line.replace(/\r$/, '');
+    let lines = eol === '\r\n' ? originalCode.split('\n').map(stripCr) : originalCode.split('\n');
+    const applied = [];
+    const rejected = [];
+    let offset = 0;
+
+    hunks.forEach(({ search, replace, hint }, index) => {
+        const number = index + 1;
+        const hunk = { search: search.map(stripCr), replace: replace.map(stripCr), hint };
+
+        if (hunk.search.every(line => line.trim() === '')) {
+            rejected.push({ hunk: number, reason: 'search text is empty', search: '' });
+            return;
+        }
+
+        const located = locateHunk(lines, { ...hunk, hint: hunk.hint === null ? null : hunk.hint + offset });
+        if (located.error) {
+            rejected.push({ hunk: number, reason: located.error, search: hunk.search.join('\n') });
+            return;
+        }
+
+        const matched = lines.slice(located.start, located.start + hunk.search.length);
+        const replacement = located.level === 'indentation'
+            ? reindent(hunk.replace, hunk.search, matched)
+            : hunk.replace;
+
+        lines = [
+            ...lines.slice(0, located.start),
+            ...replacement,
+            ...lines.slice(located.start + hunk.search.length),
+        ];
+        offset += replacement.length - hunk.search.length;
+        applied.push({ hunk: number, line: located.start + 1, level: located.level });
+    });
+
+    return {
+        success: rejected.length === 0 && applied.length > 0,
+        code: rejected.length === 0 ? lines.join(eol) : originalCode,
+        applied,
+        rejected,
+    };
+}
+
+/**
+ * Split a multi-file response into the edits of each file. Each file's section starts with a
+ * `FILE: <path>` line; sections naming the same file are joined.
+ * @param {string} text - Raw response text
+ * @returns {Array<{path: string, text: string}>} Sections in order of first appearance
+ */
+export function splitPatchByFile(text) {
+    const sections = new Map();
+    let current = null;
+
+    for (const line of (text || '').split('\n')) {
+        const marker = line.match(FILE_MARKER);
+        if (marker) {
+            const filePath = marker[1].trim();
+            if (!sections.has(filePath)) {
+                sections.set(filePath, []);
+            }
+            current = sections.get(filePath);
+        } else if (current) {
+            current.push(line);
+        }
+    }
+
+    return [...sections].map(([filePath, lines]) => ({ path: filePath, text: lines.join('\n') }));
+}
+
+/**
+ * Parse a model response and apply its edits to the original code
+ * @param {string} originalCode - Original file content
+ * @param {string} text - Raw response text
+ * @returns {{format: string|null, success: boolean, code: string, applied: Array<object>,
+ *   rejected: Array<object>, errors: string[]}} format is null when the response contains no edits
+ */
+export function applyPatch(originalCode, text) {
+    const format = detectPatchFormat(text);
+
+    if (!format) {
+        return { format: null, success: false, code: originalCode, applied: [], rejected: [], errors: [] };
+    }
+
+    const { hunks, errors } = format === PATCH_FORMATS.SEARCH_REPLACE
+        ? parseSearchReplaceBlocks(text)
+        : parseUnifiedDiff(text);
+
+    if (errors.length > 0) {
+        return { format, success: false, code: originalCode, applied: [], rejected: [], errors };
+    }
+
+    return { format, ...applyHunks(originalCode, hunks), errors };
+}
+
+/**
+ * Explain why a patch did not apply, for logs and the repair prompt
+ * @param {object} result - applyPatch() result
+ * @returns {string} One line per problem
+ */
+export function describePatchFailure(result) {
+    const problems = [...result.errors];
+
+    for (const rejection of result.rejected) {
+        const firstLine = rejection.search.split('\n').find(line => line.trim() !== '');
+        problems.push(`Hunk ${rejection.hunk}: ${rejection.reason}${firstLine ? ` (starting \`${firstLine.trim().substring(0, 80)}\`)` : ''}`);
+    }
+
+    if (problems.length === 0 && result.applied.length === 0) {
+        problems.push('The response contained no edits');
+    }
+
+    return problems.join('\n');
+}
+
+export default {
+    PATCH_FORMATS,
+    detectPatchFormat,
+    parseSearchReplaceBlocks,
+    parseUnifiedDiff,
+    applyHunks,
+    splitPatchByFile,
+    applyPatch,
+    describePatchFailure,
+};
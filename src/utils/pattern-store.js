@@ -0,0 +1,184 @@
+/**
+ * Pattern Store
+ * Learns from merged and rejected autopsy PRs via the SuccessPattern table
+ */
+
+import prisma from '../config/database.js';
+import logger from './logger.js';
+
+// Keep few-shot examples short so they do not crowd out the failing file
+const MAX_FIX_PATTERN_LINES = 40;
+
+// Patterns below this success rate are never offered as examples
+const MIN_SUCCESS_RATE = 0.5;
+
+/**
+ * Reduce an error message to a signature shared by the same kind of failure
+ * (identifiers, paths and numbers are replaced with placeholders)
+ * @param {string} errorMessage - Raw error message
+ * @returns {string} Normalized signature
+ */
+export function normalizeErrorSignature(errorMessage) {
+    if (!errorMessage) return '';
+
+    return errorMessage
+        .split('\n')[0]
+        .replace(/(["'`])(?:(?!\1).)*\1/g, '<id>')
+        .replace(/(?:[\w.-]+)?(?:[\\/][\w.-]+)+\.\w+/g, '<path>')
+        .replace(/0x[0-9a-f]+/gi, '<n>')
+        .replace(/\b\d+\b/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase()
+        .substring(0, 500);
+}
+
+/**
+ * Describe a fix as the changed lines only (common leading/trailing lines trimmed)
+ * @param {Array<{originalCode: string, fixedCode: string}>} files - Files in the fix
+ * @returns {string} Diff-style fix pattern
+ */
+export function buildFixPattern(files) {
+    const hunks = [];
+
+    for (const file of files) {
+        const before = (file.originalCode || '').split('\n');
+        const after = (file.fixedCode || '').split('\n');
+
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+
+        let endBefore = before.length - 1;
+        let endAfter = after.length - 1;
+        while (endBefore >= start && endAfter >= start && before[endBefore] === after[endAfter]) {
+            endBefore--;
+            endAfter--;
+        }
+
+        const removed = before.slice(start, endBefore + 1).map(line => `- ${line}`);
+        const added = after.slice(start, endAfter + 1).map(line => `+ ${line}`);
+        if (removed.length > 0 || added.length > 0) {
+            hunks.push([...removed, ...added].join('\n'));
+        }
+    }
+
+    const lines = hunks.join('\n...\n').split('\n');
+    return lines.length > MAX_FIX_PATTERN_LINES
+        ? [...lines.slice(0, MAX_FIX_PATTERN_LINES), '...'].join('\n')
+        : lines.join('\n');
+}
+
+/**
+ * Record the outcome of an autopsy PR
+ * @param {object} params - Outcome parameters
+ * @param {string} params.errorType - Error type of the failure
+ * @param {string} params.language - Language of the failing file
+ * @param {string} params.errorMessage - Error message of the failure
+ * @param {Array<object>} params.files - Files from the applied FixAttempt(s)
+ * @param {boolean} params.merged - Whether the PR was merged
+ * @returns {Promise<object|null>} Upserted pattern, or null if it could not be recorded
+ */
+export async function recordPatternOutcome({ errorType, language, errorMessage, files, merged }) {
+    const errorPattern = normalizeErrorSignature(errorMessage);
+    if (!errorType || !errorPattern || !files || files.length === 0) {
+        return null;
+    }
+
+    const key = { errorType, language: language || 'unknown', errorPattern };
+    const fixPattern = buildFixPattern(files);
+    const outcome = merged ? 1 : 0;
+
+    try {
+        const existing = await prisma.successPattern.findUnique({
+            where: { errorType_language_errorPattern: key },
+        });
+
+        if (!existing) {
+            return await prisma.successPattern.create({
+                data: {
+                    ...key,
+                    fixPattern,
+                    occurrences: 1,
+                    successRate: outcome,
+                },
+            });
+        }
+
+        return await prisma.successPattern.update({
+            where: { id: existing.id },
+            data: {
+                // Keep the most recent fix that was actually accepted
+                fixPattern: merged ? fixPattern : existing.fixPattern,
+                occurrences: existing.occurrences + 1,
+                successRate: (existing.successRate * existing.occurrences + outcome) / (existing.occurrences + 1),
+                lastUsed: new Date(),
+            },
+        });
+    } catch (error) {
+        logger.error('Failed to record success pattern', {
+            errorType,
+            merged,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * Jaccard similarity of the word sets of two signatures
+ * @param {string} a - First signature
+ * @param {string} b - Second signature
+ * @returns {number} Similarity (0-1)
+ */
+function signatureSimilarity(a, b) {
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    const intersection = [...wordsA].filter(word => wordsB.has(word)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+
+    return union === 0 ? 0 : intersection / union;
+}
+
+/**
+ * Find the patterns most similar to a new failure
+ * @param {object} params - Failure details
+ * @param {string} params.errorType - Error type
+ * @param {string} params.language - Language
+ * @param {string} params.errorMessage - Error message
+ * @param {number} limit - Maximum patterns to return
+ * @returns {Promise<Array<object>>} Matching patterns, best first
+ */
+export async function findMatchingPatterns({ errorType, language, errorMessage }, limit = 3) {
+    if (!errorType) return [];
+
+    try {
+        const candidates = await prisma.successPattern.findMany({
+            where: {
+                errorType,
+                language: language || 'unknown',
+                successRate: { gte: MIN_SUCCESS_RATE },
+            },
+            orderBy: [{ successRate: 'desc' }, { occurrences: 'desc' }],
+            take: 20,
+        });
+
+        const signature = normalizeErrorSignature(errorMessage);
+
+        return candidates
+            .map(pattern => ({ ...pattern, similarity: signatureSimilarity(signature, pattern.errorPattern) }))
+            .sort((a, b) => b.similarity - a.similarity || b.successRate - a.successRate)
+            .slice(0, limit);
+    } catch (error) {
+        logger.error('Failed to load success patterns', { errorType, error: error.message });
+        return [];
+    }
+}
+
+export default {
+    normalizeErrorSignature,
+    buildFixPattern,
+    recordPatternOutcome,
+    findMatchingPatterns,
+};
@@ -0,0 +1,32 @@
+/**
+ * Request Context
+ * Carries the current failure event and repository through async calls (AsyncLocalStorage),
+ * so deep helpers such as LLM usage accounting know which job they belong to
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context
+ * @param {object} context - Context values (e.g. { failureEventId, repoFullName })
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithContext(context, fn) {
+    return storage.run({ ...getContext(), ...context }, fn);
+}
+
+/**
+ * Current context
+ * @returns {object|null} Context, or null outside runWithContext
+ */
+export function getContext() {
+    return storage.getStore() || null;
+}
+
+export default {
+    runWithContext,
+    getContext,
+};
@@ -0,0 +1,350 @@
+/**
+ * Syntax Checker
+ * Parses fixed code with real language parsers before it is scored or committed
+ */
+
+import { spawn } from 'child_process';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseAllDocuments } from 'yaml';
+import logger from './logger.js';
+
+// External parsers must answer quickly; a hung tool counts as "unavailable"
+const TOOL_TIMEOUT_MS = 15000;
+
+// javac also reports missing symbols and packages; only these messages mean the file does not parse
+const JAVA_SYNTAX_ERRORS = [
+    'expected',
+    'illegal start of',
+    'not a statement',
+    'reached end of file while parsing',
+    'unclosed',
+    'illegal character',
+    'orphaned',
+    'else without if',
+];
+
+// TypeScript compiler (an optional dependency), loaded on first use; null when not installed
+let typescript;
+
+/**
+ * Load the TypeScript compiler. Without it, plain JavaScript is checked with `node --check` and
+ * TypeScript and JSX are not checked.
+ * @returns {Promise<object|null>} The compiler module, or null when it is not installed
+ */
+async function loadTypeScript() {
+    if (typescript === undefined) {
+        try {
+            typescript = (await import('typescript')).default;
+        } catch (error) {
+            logger.debug('TypeScript not installed, checking JavaScript with node --check', { error: error.message });
+            typescript = null;
+        }
+    }
+    return typescript;
+}
+
+/**
+ * Result when no parser is available for the language
+ * @param {string} reason - Why the check could not run
+ * @returns {object} Unknown result
+ */
+function unavailable(reason) {
+    return { valid: null, errors: [], parser: null, reason };
+}
+
+/**
+ * Run a tool with code on stdin
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {string} input - Data for stdin
+ * @returns {Promise<{code: number|null, stderr: string, missing: boolean}>} Exit status and stderr
+ */
+function runTool(command, args, input = '') {
+    return new Promise((resolve) => {
+        let stderr = '';
+        const child = spawn(command, args, { timeout: TOOL_TIMEOUT_MS });
+
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk.toString();
+        });
+        child.stdout.resume();
+
+        child.on('error', (error) => {
+            resolve({ code: null, stderr: error.message, missing: error.code === 'ENOENT' });
+        });
+        child.on('close', (code, signal) => {
+            resolve({ code: signal ? null : code, stderr, missing: false });
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Parse plain JavaScript with `node --check`, as an ES module and then as a CommonJS script. A
+ * .js file node rejects is left unchecked, since it may be JSX or Flow.
+ * @param {string} code - Source code
+ * @param {string} fileName - File name (.cjs is only parsed as a script, .mjs only as a module)
+ * @returns {Promise<object>} Check result
+ */
+async function checkJavaScriptWithNode(code, fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    const candidates = { '.js': ['.mjs', '.cjs'], '.mjs': ['.mjs'], '.cjs': ['.cjs'] }[ext];
+    if (!candidates) {
+        return unavailable(`typescript is not installed (needed to parse ${ext || fileName})`);
+    }
+
+    const workDir = await mkdtemp(path.join(os.tmpdir(), 'codeautopsy-node-'));
+
+    try {
+        let firstFailure = null;
+
+        for (const candidate of candidates) {
+            const file = path.join(workDir, `input${candidate}`);
+            await writeFile(file, code);
+
+            const result = await runTool(process.execPath, ['--check', file]);
+            if (result.code === null) {
+                return unavailable('node --check did not finish');
+            }
+            if (result.code === 0) {
+                return { valid: true, errors: [], parser: 'node' };
+            }
+            firstFailure = firstFailure || result;
+        }
+
+        // stderr starts with "<file>:<line>", then the source line, a caret and "SyntaxError: <message>"
+        const line = firstFailure.stderr.match(/^.*:(\d+)$/m)?.[1];
+        const message = firstFailure.stderr.match(/^SyntaxError: (.+)$/m)?.[1] || firstFailure.stderr.trim();
+
+        // A .js file may hold JSX or Flow, which node cannot parse: only .mjs/.cjs failures are definitive
+        if (ext === '.js') {
+            return unavailable(`typescript is not installed and node could not parse the file: ${message}`);
+        }
+
+        return {
+            valid: false,
+            errors: [{ line: line ? parseInt(line, 10) : null, column: null, message }],
+            parser: 'node',
+        };
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Parse JavaScript/TypeScript (including JSX/TSX) with the TypeScript compiler, or plain
+ * JavaScript with node when TypeScript is not installed
+ * @param {string} code - Source code
+ * @param {string} fileName - File name; its extension selects the dialect
+ * @returns {Promise<object>} Check result
+ */
+export async function checkJavaScript(code, fileName) {
+    const ts = await loadTypeScript();
+    if (!ts) {
+        return checkJavaScriptWithNode(code, fileName);
+    }
+
+    const { diagnostics = [] } = ts.transpileModule(code, {
+        fileName,
+        reportDiagnostics: true,
+        compilerOptions: {
+            allowJs: true,
+            jsx: ts.JsxEmit.Preserve,
+            target: ts.ScriptTarget.ESNext,
+            module: ts.ModuleKind.ESNext,
+        },
+    });
+
+    const errors = diagnostics
+        .filter(d => d.category === ts.DiagnosticCategory.Error)
+        .map((d) => {
+            const position = d.file && d.start !== undefined
+                ? d.file.getLineAndCharacterOfPosition(d.start)
+                : null;
+            return {
+                line: position ? position.line + 1 : null,
+                column: position ? position.character + 1 : null,
+                message: ts.flattenDiagnosticMessageText(d.messageText, '\n'),
+            };
+        });
+
+    return { valid: errors.length === 0, errors, parser: 'typescript' };
+}
+
+/**
+ * Parse JSON
+ * @param {string} code - JSON text
+ * @returns {object} Check result
+ */
+export function checkJson(code) {
+    try {
+        JSON.parse(code);
+        return { valid: true, errors: [], parser: 'json' };
+    } catch (error) {
+        return { valid: false, errors: [{ line: null, column: null, message: error.message }], parser: 'json' };
+    }
+}
+
+/**
+ * Parse YAML (all documents in the stream)
+ * @param {string} code - YAML text
+ * @returns {object} Check result
+ */
+export function checkYaml(code) {
+    const errors = [];
+
+    for (const doc of parseAllDocuments(code, { prettyErrors: true })) {
+        for (const error of doc.errors) {
+            errors.push({
+                line: error.linePos?.[0]?.line || null,
+                column: error.linePos?.[0]?.col || null,
+                message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+            });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, parser: 'yaml' };
+}
+
+/**
+ * Parse Python with the local interpreter's ast module
+ * @param {string} code - Python source
+ * @returns {Promise<object>} Check result
+ */
+export async function checkPython(code) {
+    const script = [
+        'import ast, sys',
+        'try:',
+        '    ast.parse(sys.stdin.read())',
+        'except SyntaxError as e:',
+        '    sys.stderr.write("%s:%s:%s" % (e.lineno, e.offset, e.msg))',
+        '    sys.exit(1)',
+    ].join('\n');
+
+    const result = await runTool('python3', ['-c', script], code);
+    if (result.missing || result.code === null) {
+        return unavailable('python3 not available');
+    }
+    if (result.code === 0) {
+        return { valid: true, errors: [], parser: 'python3' };
+    }
+
+    const [line, column, ...message] = result.stderr.trim().split(':');
+    return {
+        valid: false,
+        errors: [{ line: parseInt(line, 10) || null, column: parseInt(column, 10) || null, message: message.join(':') }],
+        parser: 'python3',
+    };
+}
+
+/**
+ * Parse Go with gofmt
+ * @param {string} code - Go source
+ * @returns {Promise<object>} Check result
+ */
+export async function checkGo(code) {
+    const result = await runTool('gofmt', ['-e'], code);
+    if (result.missing || result.code === null) {
+        return unavailable('gofmt not available');
+    }
+    if (result.code === 0) {
+        return { valid: true, errors: [], parser: 'gofmt' };
+    }
+
+    // Lines look like "<standard input>:3:1: expected declaration, found x"
+    const errors = result.stderr
+        .split('\n')
+        .map(line => line.match(/:(\d+):(\d+): (.+)$/))
+        .filter(Boolean)
+        .map(m => ({ line: parseInt(m[1], 10), column: parseInt(m[2], 10), message: m[3] }));
+
+    return { valid: false, errors, parser: 'gofmt' };
+}
+
+/**
+ * Parse Java with javac, ignoring errors caused by missing classpath entries
+ * @param {string} code - Java source
+ * @returns {Promise<object>} Check result
+ */
+export async function checkJava(code) {
+    // javac requires the file name to match the public class
+    const className = code.match(/public\s+(?:final\s+|abstract\s+)*(?:class|interface|enum|record)\s+(\w+)/)?.[1] || 'Main';
+    const workDir = await mkdtemp(path.join(os.tmpdir(), 'codeautopsy-javac-'));
+
+    try {
+        const file = path.join(workDir, `${className}.java`);
+        await writeFile(file, code);
+
+        const result = await runTool('javac', ['-proc:none', '-d', workDir, file]);
+        if (result.missing || result.code === null) {
+            return unavailable('javac not available');
+        }
+
+        const errors = result.stderr
+            .split('\n')
+            .map(line => line.match(/\.java:(\d+): error: (.+)$/))
+            .filter(Boolean)
+            .filter(m => JAVA_SYNTAX_ERRORS.some(fragment => m[2].includes(fragment)))
+            .map(m => ({ line: parseInt(m[1], 10), column: null, message: m[2] }));
+
+        return { valid: errors.length === 0, errors, parser: 'javac' };
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Check that code parses
+ * @param {string} code - Source code
+ * @param {string} language - Language name from the language detector
+ * @param {string} filePath - File path (selects JSX/TSX dialects)
+ * @returns {Promise<{valid: boolean|null, errors: Array<object>, parser: string|null}>} valid is null when
+ *   no parser is available for the language
+ */
+export async function checkSyntax(code, language, filePath = null) {
+    const lang = (language || '').toLowerCase();
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+
+    try {
+        if (lang === 'javascript' || lang === 'typescript') {
+            const fallbackExt = lang === 'typescript' ? '.ts' : '.js';
+            return await checkJavaScript(code, `input${ext || fallbackExt}`);
+        }
+        if (lang === 'json') return checkJson(code);
+        if (lang === 'yaml') return checkYaml(code);
+        if (lang === 'python') return await checkPython(code);
+        if (lang === 'go') return await checkGo(code);
+        if (lang === 'java') return await checkJava(code);
+    } catch (error) {
+        logger.warn('Syntax check failed to run', { language: lang, error: error.message });
+        return unavailable(error.message);
+    }
+
+    return unavailable(`No parser for ${lang || 'unknown language'}`);
+}
+
+/**
+ * Format syntax errors for logs, prompts and issue bodies
+ * @param {Array<object>} errors - Errors from checkSyntax
+ * @returns {string} One error per line
+ */
+export function formatSyntaxErrors(errors) {
+    return errors
+        .map(e => `${e.line ? `Line ${e.line}${e.column ? `:${e.column}` : ''}: ` : ''}${e.message}`)
+        .join('\n');
+}
+
+export default {
+    checkSyntax,
+    checkJavaScript,
+    checkJson,
+    checkYaml,
+    checkPython,
+    checkGo,
+    checkJava,
+    formatSyntaxErrors,
+};
@@ -0,0 +1,186 @@
+/**
+ * Usage Tracker
+ * Records every LLM call (tokens, latency, estimated cost) and enforces per-repo daily budgets
+ */
+
+import { estimateCost } from '../config/llm-pricing.js';
+import { getContext } from './request-context.js';
+import logger from './logger.js';
+
+// Dimensions /api/usage can group by (besides 'day')
+const GROUP_FIELDS = {
+    repo: 'repoFullName',
+    agent: 'agent',
+    provider: 'provider',
+    model: 'model',
+};
+
+export const USAGE_GROUP_BY = [...Object.keys(GROUP_FIELDS), 'day'];
+
+/**
+ * Load the Prisma client on first use, so LLM calls outside the server (scripts, tests)
+ * do not need a database
+ * @returns {Promise<object>} Prisma client
+ */
+async function getPrisma() {
+    const { default: prisma } = await import('../config/database.js');
+    return prisma;
+}
+
+/**
+ * Start of the current UTC day
+ * @param {Date} now - Reference time
+ * @returns {Date} Midnight UTC
+ */
+export function startOfUtcDay(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Record one LLM call. Calls made outside a request context (no failure event or repository)
+ * are only logged. Never throws: accounting must not fail a fix.
+ * @param {object} call - Call details
+ * @param {string|null} call.agent - Calling agent
+ * @param {string} call.provider - Provider that served the call
+ * @param {string} call.model - Model id
+ * @param {object} call.usage - { promptTokens, responseTokens, totalTokens }
+ * @param {number} call.latency - Latency in milliseconds
+ * @returns {Promise<object|null>} Created LlmUsage row, or null
+ */
+export async function recordLlmUsage({ agent, provider, model, usage, latency }) {
+    const context = getContext();
+    const costUsd = estimateCost({ provider, model, usage });
+
+    if (!context) {
+        logger.debug('LLM usage outside a request context, not persisted', { agent, provider, model, costUsd });
+        return null;
+    }
+
+    try {
+        const prisma = await getPrisma();
+        return await prisma.llmUsage.create({
+            data: {
+                failureEventId: context.failureEventId || null,
+                repoFullName: context.repoFullName || null,
+                agent,
+                provider,
+                model,
+                promptTokens: usage.promptTokens || 0,
+                responseTokens: usage.responseTokens || 0,
+                totalTokens: usage.totalTokens || 0,
+                latencyMs: latency || null,
+                costUsd,
+            },
+        });
+    } catch (error) {
+        logger.error('Failed to record LLM usage', { provider, model, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Estimated spend of a repository since midnight UTC
+ * @param {string} repoFullName - Repository full name
+ * @returns {Promise<number>} Spend in USD
+ */
+export async function getDailySpend(repoFullName) {
+    const prisma = await getPrisma();
+    const result = await prisma.llmUsage.aggregate({
+        where: { repoFullName, createdAt: { gte: startOfUtcDay() } },
+        _sum: { costUsd: true },
+    });
+
+    return result._sum.costUsd || 0;
+}
+
+/**
+ * Check a repository's daily budget
+ * @param {string} repoFullName - Repository full name
+ * @param {number|null} dailyBudgetUsd - Budget in USD (null means unlimited)
+ * @returns {Promise<{exhausted: boolean, spentUsd: number|null, budgetUsd: number|null}>} Budget state
+ */
+export async function checkDailyBudget(repoFullName, dailyBudgetUsd) {
+    if (dailyBudgetUsd === null || dailyBudgetUsd === undefined) {
+        return { exhausted: false, spentUsd: null, budgetUsd: null };
+    }
+
+    try {
+        const spentUsd = await getDailySpend(repoFullName);
+        return { exhausted: spentUsd >= dailyBudgetUsd, spentUsd, budgetUsd: dailyBudgetUsd };
+    } catch (error) {
+        // Fail open: an accounting outage should not stop fixes
+        logger.error('Failed to check daily budget', { repoFullName, error: error.message });
+        return { exhausted: false, spentUsd: null, budgetUsd: dailyBudgetUsd };
+    }
+}
+
+/**
+ * Aggregate usage over a time window
+ * @param {object} params - Query parameters
+ * @param {string|null} params.repoFullName - Restrict to one repository
+ * @param {Date} params.from - Window start
+ * @param {Date} params.to - Window end
+ * @param {string} params.groupBy - 'repo', 'agent', 'provider', 'model' or 'day'
+ * @returns {Promise<{totals: object, groups: Array<object>}>} Totals and per-group sums
+ */
+export async function getUsageSummary({ repoFullName = null, from, to, groupBy = 'repo' }) {
+    if (!USAGE_GROUP_BY.includes(groupBy)) {
+        throw new Error(`Invalid groupBy: ${groupBy}. Use ${USAGE_GROUP_BY.join(', ')}.`);
+    }
+
+    const prisma = await getPrisma();
+    const where = { createdAt: { gte: from, lte: to } };
+    if (repoFullName) where.repoFullName = repoFullName;
+
+    const sums = { promptTokens: true, responseTokens: true, totalTokens: true, costUsd: true };
+
+    const totals = await prisma.llmUsage.aggregate({ where, _sum: sums, _count: { _all: true } });
+
+    let groups;
+    if (groupBy === 'day') {
+        const rows = await prisma.llmUsage.findMany({
+            where,
+            select: { createdAt: true, promptTokens: true, responseTokens: true, totalTokens: true, costUsd: true },
+        });
+
+        const byDay = new Map();
+        for (const row of rows) {
+            const day = row.createdAt.toISOString().substring(0, 10);
+            const group = byDay.get(day)
+                || { key: day, calls: 0, promptTokens: 0, responseTokens: 0, totalTokens: 0, costUsd: 0 };
+            group.calls++;
+            group.promptTokens += row.promptTokens;
+            group.responseTokens += row.responseTokens;
+            group.totalTokens += row.totalTokens;
+            group.costUsd += row.costUsd;
+            byDay.set(day, group);
+        }
+        groups = [...byDay.values()].sort((a, b) => a.key.localeCompare(b.key));
+    } else {
+        const field = GROUP_FIELDS[groupBy];
+        const rows = await prisma.llmUsage.groupBy({
+            by: [field],
+            where,
+            _sum: sums,
+            _count: { _all: true },
+        });
+
+        groups = rows
+            .map(row => ({ key: row[field], calls: row._count._all, ...row._sum }))
+            .sort((a, b) => (b.costUsd || 0) - (a.costUsd || 0));
+    }
+
+    return {
+        totals: { calls: totals._count._all, ...totals._sum },
+        groups,
+    };
+}
+
+export default {
+    USAGE_GROUP_BY,
+    startOfUtcDay,
+    recordLlmUsage,
+    getDailySpend,
+    checkDailyBudget,
+    getUsageSummary,
+};
@@ -7,10 +7,22 @@ import crypto from 'crypto';
 import { Router } from 'express';
 import prisma from '../config/database.js';
 import { fixQueue } from '../queue/fix-queue.js';
+import { rememberInstallation, forgetInstallation } from '../config/github-app.js';
+import { recordPatternOutcome } from '../utils/pattern-store.js';
+import { checkRateLimit, incrementRateLimit } from './rate-limit.js';
 import logger from '../utils/logger.js';
 
 const router = Router();
 
+// Branches created by the Operator agent (see operator.branchPrefix)
+const AUTOPSY_BRANCH_PREFIX = 'autopsy/fix';
+
+// Checks app behind GitHub Actions; its failures are already handled through workflow_job
+const GITHUB_ACTIONS_APP = 'github-actions';
+
+// Review states stored in PRReview (GitHub sends them lowercase)
+const REVIEW_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED', 'DISMISSED'];
+
 /**
  * Verify GitHub webhook signature
  * @param {string} payload - Raw request body
@@ -55,91 +67,6 @@ function verifySignature(payload, signature) {
     return true;
 }
 
-/**
- * Check rate limits for repository
- * @param {string} repoFullName - Full repository name (owner/repo)
- * @returns {Promise<{allowed: boolean, remaining: number}>}
- */
-async function checkRateLimit(repoFullName) {
-    const maxAttempts = parseInt(process.env.MAX_FIX_ATTEMPTS_PER_HOUR) || 5;
-    const now = new Date();
-    const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-
-    try {
-        let rateLimit = await prisma.rateLimit.findUnique({
-            where: { repoFullName },
-        });
-
-        if (!rateLimit) {
-            // Create new rate limit entry
-            rateLimit = await prisma.rateLimit.create({
-                data: {
-                    repoFullName,
-                    attemptsThisHour: 0,
-                    hourlyResetAt: new Date(now.getTime() + 60 * 60 * 1000),
-                },
-            });
-        }
-
-        // Check if blacklisted
-        if (rateLimit.isBlacklisted) {
-            return { allowed: false, remaining: 0, reason: 'Repository is blacklisted' };
-        }
-
-        // Reset counter if hour has passed
-        if (rateLimit.hourlyResetAt < now) {
-            rateLimit = await prisma.rateLimit.update({
-                where: { repoFullName },
-                data: {
-                    attemptsThisHour: 0,
-                    hourlyResetAt: new Date(now.getTime() + 60 * 60 * 1000),
-                },
-            });
-        }
-
-        const remaining = maxAttempts - rateLimit.attemptsThisHour;
-        const allowed = remaining > 0;
-
-        return { allowed, remaining, reason: allowed ? null : 'Rate limit exceeded' };
-    } catch (error) {
-        logger.error('Rate limit check failed', { error: error.message });
-        // Allow on error to not block legitimate requests
-        return { allowed: true, remaining: 1, reason: null };
-    }
-}
-
-/**
- * Increment rate limit counter
- * @param {string} repoFullName - Full repository name
- */
-async function incrementRateLimit(repoFullName) {
-    try {
-        await prisma.rateLimit.update({
-            where: { repoFullName },
-            data: {
-                attemptsThisHour: { increment: 1 },
-                lastAttemptAt: new Date(),
-            },
-        });
-    } catch (error) {
-        logger.error('Failed to increment rate limit', { error: error.message });
-    }
-}
-
-/**
- * Check if path is protected
- * @param {string} path - File path to check
- * @returns {boolean} Whether path is protected
- */
-function isProtectedPath(path) {
-    const protectedPaths = (process.env.PROTECTED_PATHS || 'config,secrets,.github/workflows,.env')
-        .split(',')
-        .map(p => p.trim().toLowerCase());
-
-    const lowerPath = path.toLowerCase();
-    return protectedPaths.some(protectedPath => lowerPath.includes(protectedPath));
-}
-
 /**
  * Main webhook handler for GitHub events
  */
@@ -159,6 +86,11 @@ router.post('/github', async (req, res) => {
 
     const payload = req.body;
 
+    // GitHub App deliveries say which installation covers the repository; jobs use its token
+    if (payload.installation?.id && payload.repository?.full_name) {
+        rememberInstallation(payload.repository.full_name, payload.installation.id);
+    }
+
     // Handle workflow_job events
     if (eventType === 'workflow_job') {
         return handleWorkflowJob(payload, deliveryId, res);
@@ -169,11 +101,36 @@ router.post('/github', async (req, res) => {
         return handleWorkflowRun(payload, deliveryId, res);
     }
 
-    // Handle check_run events
+    // Handle check_run events (third-party CI reporting through the Checks API)
     if (eventType === 'check_run') {
         return handleCheckRun(payload, deliveryId, res);
     }
 
+    // Handle check_suite events
+    if (eventType === 'check_suite') {
+        return handleCheckSuite(payload, deliveryId, res);
+    }
+
+    // Handle installation events (GitHub App installed, removed or suspended)
+    if (eventType === 'installation') {
+        return handleInstallation(payload, deliveryId, res);
+    }
+
+    // Handle installation_repositories events (repositories added to or removed from the app)
+    if (eventType === 'installation_repositories') {
+        return handleInstallationRepositories(payload, deliveryId, res);
+    }
+
+    // Handle pull_request events (outcome of autopsy PRs)
+    if (eventType === 'pull_request') {
+        return handlePullRequest(payload, deliveryId, res);
+    }
+
+    // Handle pull_request_review events (reviewer verdicts on autopsy PRs)
+    if (eventType === 'pull_request_review') {
+        return handlePullRequestReview(payload, deliveryId, res);
+    }
+
     // Acknowledge other events
     logger.debug('Ignoring event type', { eventType });
     res.status(200).json({ message: 'Event ignored', eventType });
@@ -244,6 +201,8 @@ async function handleWorkflowJob(payload, deliveryId, res) {
             jobId: job.id,
             branch: job.head_branch,
             logsUrl: job.html_url,
+            workflowName: job.workflow_name,
+            installationId: payload.installation?.id || null,
             deliveryId,
         }, {
             attempts: 3,
@@ -328,6 +287,8 @@ async function handleWorkflowRun(payload, deliveryId, res) {
             runId: run.id,
             branch: run.head_branch,
             logsUrl: run.html_url,
+            workflowName: run.name,
+            installationId: payload.installation?.id || null,
             deliveryId,
         });
 
@@ -347,34 +308,504 @@ async function handleWorkflowRun(payload, deliveryId, res) {
 }
 
 /**
- * Handle check_run events
+ * Queue a failed check run reported through the Checks API by a third-party CI system.
+ * Each check run is recorded once, whether it arrives as check_run or inside a check_suite.
+ * @param {object} checkRun - Check run (webhook payload or API object)
+ * @param {object} repo - Repository payload
+ * @param {string} deliveryId - Webhook delivery ID
+ * @param {number|null} installationId - GitHub App installation that delivered the event
+ * @returns {Promise<object|null>} Created FailureEvent, or null if the check run was already recorded
+ */
+async function queueCheckRunFailure(checkRun, repo, deliveryId, installationId = null) {
+    const repoFullName = repo.full_name;
+    const [owner, repoName] = repoFullName.split('/');
+
+    const existing = await prisma.failureEvent.findFirst({
+        where: { repoFullName, source: 'check_run', runId: checkRun.id },
+        select: { id: true },
+    });
+    if (existing) {
+        return null;
+    }
+
+    // Check runs carry no branch; the check suite has it for pushes, pull requests list theirs
+    const branch = checkRun.check_suite?.head_branch
+        || checkRun.pull_requests?.[0]?.head?.ref
+        || 'unknown';
+    const workflowName = checkRun.app?.name ? `${checkRun.app.name}: ${checkRun.name}` : checkRun.name;
+    const logsUrl = checkRun.details_url || checkRun.html_url;
+
+    // check_run and check_suite arrive together: the unique key settles races findFirst cannot
+    let failureEvent;
+    try {
+        failureEvent = await prisma.failureEvent.create({
+            data: {
+                repoFullName,
+                repoOwner: owner,
+                repoName,
+                commitSha: checkRun.head_sha,
+                runId: checkRun.id,
+                source: 'check_run',
+                dedupeKey: `check_run:${repoFullName}:${checkRun.id}`,
+                branch,
+                workflowName,
+                logsUrl,
+                status: 'DETECTED',
+            },
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            logger.debug('Check run recorded concurrently', { repoFullName, checkRunId: checkRun.id });
+            return null;
+        }
+        throw error;
+    }
+
+    logger.info('Check run failure detected', {
+        eventId: failureEvent.id,
+        repoFullName,
+        checkRunId: checkRun.id,
+        app: checkRun.app?.slug,
+    });
+
+    await fixQueue.add('process-failure', {
+        eventId: failureEvent.id,
+        owner,
+        repo: repoName,
+        commitSha: checkRun.head_sha,
+        runId: checkRun.id,
+        source: 'check_run',
+        checkRunId: checkRun.id,
+        branch: branch === 'unknown' ? null : branch,
+        logsUrl,
+        workflowName,
+        installationId,
+        deliveryId,
+    }, {
+        attempts: 3,
+        backoff: {
+            type: 'exponential',
+            delay: 1000,
+        },
+        removeOnComplete: 100,
+        removeOnFail: 50,
+    });
+
+    await incrementRateLimit(repoFullName);
+
+    return failureEvent;
+}
+
+/**
+ * Handle check_run events from third-party CI (GitHub Actions jobs arrive as workflow_job)
  */
 async function handleCheckRun(payload, deliveryId, res) {
     const checkRun = payload.check_run;
     const repo = payload.repository;
 
     // Only process failed check runs
-    if (checkRun.conclusion !== 'failure') {
+    if (payload.action !== 'completed' || checkRun.conclusion !== 'failure') {
         return res.status(200).json({ message: 'Not a failure, ignored' });
     }
 
-    // Similar processing as workflow_job
-    const repoFullName = repo.full_name;
-    const [owner, repoName] = repoFullName.split('/');
+    if (checkRun.app?.slug === GITHUB_ACTIONS_APP) {
+        return res.status(200).json({ message: 'GitHub Actions check run, handled via workflow_job' });
+    }
 
-    logger.info('Check run failure detected', {
-        repoFullName,
-        checkRunId: checkRun.id,
-        name: checkRun.name,
+    const rateCheck = await checkRateLimit(repo.full_name);
+    if (!rateCheck.allowed) {
+        return res.status(429).json({
+            error: 'Rate limit exceeded',
+            reason: rateCheck.reason,
+        });
+    }
+
+    try {
+        const failureEvent = await queueCheckRunFailure(checkRun, repo, deliveryId, payload.installation?.id || null);
+
+        if (!failureEvent) {
+            return res.status(200).json({ message: 'Check run already recorded', checkRunId: checkRun.id });
+        }
+
+        res.status(202).json({
+            message: 'Check run failure detected, processing queued',
+            eventId: failureEvent.id,
+            checkRunId: checkRun.id,
+        });
+    } catch (error) {
+        logger.error('Failed to process check_run event', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Handle check_suite events: queue every failed check run of a failed third-party suite
+ * (for CI systems whose check runs are not delivered as check_run events)
+ */
+async function handleCheckSuite(payload, deliveryId, res) {
+    const checkSuite = payload.check_suite;
+    const repo = payload.repository;
+
+    if (payload.action !== 'completed' || checkSuite.conclusion !== 'failure') {
+        return res.status(200).json({ message: 'Not a failure, ignored' });
+    }
+
+    if (checkSuite.app?.slug === GITHUB_ACTIONS_APP) {
+        return res.status(200).json({ message: 'GitHub Actions check suite, handled via workflow_job' });
+    }
+
+    const rateCheck = await checkRateLimit(repo.full_name);
+    if (!rateCheck.allowed) {
+        return res.status(429).json({
+            error: 'Rate limit exceeded',
+            reason: rateCheck.reason,
+        });
+    }
+
+    try {
+        const { listCheckRunsForSuite } = await import('../config/github.js');
+        const [owner, repoName] = repo.full_name.split('/');
+        const checkRuns = await listCheckRunsForSuite(owner, repoName, checkSuite.id, { status: 'completed' });
+
+        const eventIds = [];
+        for (const checkRun of checkRuns.filter(run => run.conclusion === 'failure')) {
+            const failureEvent = await queueCheckRunFailure(
+                { ...checkRun, check_suite: { ...checkRun.check_suite, head_branch: checkSuite.head_branch } },
+                repo,
+                deliveryId,
+                payload.installation?.id || null
+            );
+            if (failureEvent) {
+                eventIds.push(failureEvent.id);
+            }
+        }
+
+        if (eventIds.length === 0) {
+            return res.status(200).json({ message: 'No new failed check runs', checkSuiteId: checkSuite.id });
+        }
+
+        res.status(202).json({
+            message: 'Check suite failures detected, processing queued',
+            eventIds,
+            checkSuiteId: checkSuite.id,
+        });
+    } catch (error) {
+        logger.error('Failed to process check_suite event', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Handle installation events: track which accounts have the GitHub App installed
+ */
+async function handleInstallation(payload, deliveryId, res) {
+    const installation = payload.installation;
+    const installationId = installation.id;
+
+    try {
+        if (payload.action === 'deleted') {
+            forgetInstallation(installationId);
+            await prisma.gitHubInstallation.deleteMany({ where: { installationId } });
+
+            logger.info('GitHub App uninstalled', { installationId, account: installation.account?.login });
+            return res.status(200).json({ message: 'Installation removed', installationId });
+        }
+
+        if (!['created', 'suspend', 'unsuspend', 'new_permissions_accepted'].includes(payload.action)) {
+            return res.status(200).json({ message: 'Installation action ignored', action: payload.action });
+        }
+
+        // Suspended installations cannot mint tokens; new permissions need a new token
+        forgetInstallation(installationId);
+
+        const data = {
+            accountLogin: installation.account?.login || 'unknown',
+            accountType: installation.account?.type || null,
+            repositorySelection: installation.repository_selection || null,
+            suspendedAt: installation.suspended_at ? new Date(installation.suspended_at) : null,
+        };
+
+        await prisma.gitHubInstallation.upsert({
+            where: { installationId },
+            create: { installationId, ...data },
+            update: data,
+        });
+
+        // Only "created" lists the repositories the app was installed on
+        const repositories = payload.repositories || [];
+        for (const repository of repositories) {
+            await addInstallationRepository(installationId, repository.full_name);
+        }
+
+        logger.info('GitHub App installation updated', {
+            installationId,
+            account: data.accountLogin,
+            action: payload.action,
+            repositories: repositories.length,
+        });
+
+        res.status(200).json({ message: 'Installation recorded', installationId, action: payload.action });
+    } catch (error) {
+        logger.error('Failed to process installation event', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Handle installation_repositories events: track which repositories are onboarded
+ */
+async function handleInstallationRepositories(payload, deliveryId, res) {
+    const installation = payload.installation;
+    const installationId = installation.id;
+    const added = (payload.repositories_added || []).map(r => r.full_name);
+    const removed = (payload.repositories_removed || []).map(r => r.full_name);
+
+    try {
+        await prisma.gitHubInstallation.upsert({
+            where: { installationId },
+            create: {
+                installationId,
+                accountLogin: installation.account?.login || 'unknown',
+                accountType: installation.account?.type || null,
+                repositorySelection: payload.repository_selection || null,
+            },
+            update: { repositorySelection: payload.repository_selection || undefined },
+        });
+
+        for (const repoFullName of added) {
+            await addInstallationRepository(installationId, repoFullName);
+        }
+
+        if (removed.length > 0) {
+            forgetInstallation(installationId, removed);
+            await prisma.installationRepository.deleteMany({
+                where: { installationId, repoFullName: { in: removed } },
+            });
+        }
+
+        logger.info('GitHub App repositories updated', { installationId, added, removed });
+
+        res.status(200).json({ message: 'Installation repositories updated', installationId, added, removed });
+    } catch (error) {
+        logger.error('Failed to process installation_repositories event', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Record that a repository is covered by an installation
+ * @param {number} installationId - Installation ID
+ * @param {string} repoFullName - Full repository name
+ */
+async function addInstallationRepository(installationId, repoFullName) {
+    rememberInstallation(repoFullName, installationId);
+
+    // A repository moves when it is transferred or the app is reinstalled elsewhere
+    await prisma.installationRepository.upsert({
+        where: { repoFullName },
+        create: { installationId, repoFullName },
+        update: { installationId },
     });
+}
 
-    // For now, log and acknowledge - could be expanded
-    res.status(200).json({
-        message: 'Check run failure noted',
-        checkRunId: checkRun.id,
+/**
+ * Find the FailureEvent behind an autopsy PR, or behind the latest fix pushed to an author's PR
+ * @param {string} repoFullName - Repository full name
+ * @param {object} pr - pull_request payload object
+ * @param {object} include - Prisma include clause
+ * @returns {Promise<object|null>} FailureEvent, or null for any other PR
+ */
+async function findAutopsyEvent(repoFullName, pr, include = undefined) {
+    const where = pr.head?.ref?.startsWith(AUTOPSY_BRANCH_PREFIX)
+        ? { repoFullName, prNumber: pr.number }
+        : { repoFullName, prNumber: pr.number, fixTarget: 'pull-request' };
+
+    return prisma.failureEvent.findFirst({
+        where,
+        orderBy: { createdAt: 'desc' },
+        include,
     });
 }
 
+/**
+ * Count a fix PR's outcome in SuccessPattern, once per PR: a reopened and closed-again PR is not
+ * counted twice. Fixes pushed to the author's own PR (fixTarget pull-request) are not counted at
+ * all, since merging that PR says nothing about whether the pushed commit was wanted.
+ * @param {object} failureEvent - FailureEvent with its applied fixAttempts
+ * @param {boolean} merged - Whether the PR was merged
+ * @returns {Promise<object|null>} Updated SuccessPattern, or null when not counted
+ */
+async function recordOutcomeOnce(failureEvent, merged) {
+    if (failureEvent.fixTarget === 'pull-request') {
+        return null;
+    }
+
+    const { count } = await prisma.failureEvent.updateMany({
+        where: { id: failureEvent.id, outcomeRecordedAt: null },
+        data: { outcomeRecordedAt: new Date() },
+    });
+    if (count === 0) {
+        return null;
+    }
+
+    const files = failureEvent.fixAttempts.flatMap(attempt =>
+        Array.isArray(attempt.files) && attempt.files.length > 0
+            ? attempt.files
+            : [{ path: failureEvent.filePath, originalCode: attempt.originalCode, fixedCode: attempt.fixedCode }]
+    );
+
+    return recordPatternOutcome({
+        errorType: failureEvent.errorType,
+        language: failureEvent.language,
+        errorMessage: failureEvent.errorMessage,
+        files,
+        merged,
+    });
+}
+
+/**
+ * Handle pull_request events: track the outcome of autopsy PRs and learn from it
+ */
+async function handlePullRequest(payload, deliveryId, res) {
+    const pr = payload.pull_request;
+    const repoFullName = payload.repository.full_name;
+
+    if (!['closed', 'reopened'].includes(payload.action)) {
+        return res.status(200).json({ message: 'Pull request action ignored', action: payload.action });
+    }
+
+    try {
+        const failureEvent = await findAutopsyEvent(repoFullName, pr, {
+            fixAttempts: { where: { applied: true } },
+        });
+
+        if (!failureEvent) {
+            return res.status(200).json({ message: 'Not an autopsy PR, ignored' });
+        }
+
+        if (payload.action === 'reopened') {
+            await prisma.failureEvent.update({
+                where: { id: failureEvent.id },
+                data: { status: 'PR_CREATED', fixedAt: null, closedAt: null },
+            });
+
+            logger.info('Autopsy PR reopened', { eventId: failureEvent.id, prNumber: pr.number });
+            return res.status(200).json({ message: 'Fix PR reopened', eventId: failureEvent.id });
+        }
+
+        const merged = Boolean(pr.merged);
+        const closedAt = pr.closed_at ? new Date(pr.closed_at) : new Date();
+
+        // Only an open PR can close: redelivered webhooks leave the event alone
+        const { count } = await prisma.failureEvent.updateMany({
+            where: { id: failureEvent.id, status: 'PR_CREATED' },
+            data: merged
+                ? { status: 'FIXED', fixedAt: pr.merged_at ? new Date(pr.merged_at) : closedAt, closedAt }
+                : { status: 'PR_CLOSED', closedAt },
+        });
+
+        if (count === 0) {
+            return res.status(200).json({
+                message: 'Outcome already recorded',
+                eventId: failureEvent.id,
+                status: failureEvent.status,
+            });
+        }
+
+        const pattern = await recordOutcomeOnce(failureEvent, merged);
+
+        logger.info('Autopsy PR closed', {
+            eventId: failureEvent.id,
+            prNumber: pr.number,
+            merged,
+            patternId: pattern?.id,
+        });
+
+        res.status(200).json({
+            message: `${merged ? 'Fix merged' : 'Fix rejected'}${pattern ? ', pattern updated' : ''}`,
+            eventId: failureEvent.id,
+            status: merged ? 'FIXED' : 'PR_CLOSED',
+        });
+    } catch (error) {
+        logger.error('Failed to process pull_request event', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Handle pull_request_review events: record reviewer verdicts on autopsy PRs
+ */
+async function handlePullRequestReview(payload, deliveryId, res) {
+    const pr = payload.pull_request;
+    const review = payload.review;
+    const repoFullName = payload.repository.full_name;
+
+    if (!['submitted', 'edited', 'dismissed'].includes(payload.action)) {
+        return res.status(200).json({ message: 'Review action ignored', action: payload.action });
+    }
+
+    const state = (review.state || '').toUpperCase();
+    if (!REVIEW_STATES.includes(state)) {
+        return res.status(200).json({ message: 'Review state ignored', state: review.state });
+    }
+
+    try {
+        const failureEvent = await findAutopsyEvent(repoFullName, pr);
+
+        if (!failureEvent) {
+            return res.status(200).json({ message: 'Not an autopsy PR, ignored' });
+        }
+
+        const data = {
+            state,
+            body: review.body || null,
+            submittedAt: review.submitted_at ? new Date(review.submitted_at) : null,
+        };
+
+        await prisma.pRReview.upsert({
+            where: { githubReviewId: BigInt(review.id) },
+            create: {
+                ...data,
+                failureEventId: failureEvent.id,
+                githubReviewId: BigInt(review.id),
+                prNumber: pr.number,
+                reviewer: review.user?.login || 'unknown',
+            },
+            update: data,
+        });
+
+        logger.info('Autopsy PR review recorded', {
+            eventId: failureEvent.id,
+            prNumber: pr.number,
+            reviewer: review.user?.login,
+            state,
+        });
+
+        res.status(200).json({ message: 'Review recorded', eventId: failureEvent.id, state });
+    } catch (error) {
+        logger.error('Failed to process pull_request_review event', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 /**
  * Health check endpoint
  */
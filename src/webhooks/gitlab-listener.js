@@ -0,0 +1,229 @@
+/**
+ * GitLab Webhook Listener
+ * Handles GitLab CI pipeline and job failure events
+ */
+
+import crypto from 'crypto';
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { fixQueue } from '../queue/fix-queue.js';
+import { checkRateLimit, incrementRateLimit } from './rate-limit.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+
+/**
+ * Verify the GitLab webhook secret token
+ * @param {string} token - X-Gitlab-Token header
+ * @returns {boolean} Whether the token matches GITLAB_WEBHOOK_SECRET
+ */
+function verifyToken(token) {
+    if (!process.env.GITLAB_WEBHOOK_SECRET) {
+        logger.warn('GITLAB_WEBHOOK_SECRET not set, skipping token verification');
+        return true;
+    }
+
+    if (!token) {
+        logger.warn('No token provided in GitLab webhook request');
+        return false;
+    }
+
+    // Compare digests so the comparison is timing-safe whatever the token lengths
+    const expected = crypto.createHash('sha256').update(process.env.GITLAB_WEBHOOK_SECRET).digest();
+    const received = crypto.createHash('sha256').update(String(token)).digest();
+
+    return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Split a project path into namespace and project ("group/sub/project" -> ["group/sub", "project"])
+ * @param {string} pathWithNamespace - Full project path
+ * @returns {[string, string]} Owner (namespace) and repository (project path)
+ */
+function splitProjectPath(pathWithNamespace) {
+    const slash = pathWithNamespace.lastIndexOf('/');
+    return [pathWithNamespace.substring(0, slash), pathWithNamespace.substring(slash + 1)];
+}
+
+/**
+ * Main webhook handler for GitLab events
+ */
+router.post('/gitlab', async (req, res) => {
+    const eventType = req.headers['x-gitlab-event'];
+    const deliveryId = req.headers['x-gitlab-event-uuid'] || null;
+
+    logger.info('Received GitLab webhook', { eventType, deliveryId });
+
+    if (!verifyToken(req.headers['x-gitlab-token'])) {
+        logger.warn('Invalid GitLab webhook token', { deliveryId });
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const payload = req.body;
+
+    // Pipeline Hook
+    if (payload.object_kind === 'pipeline') {
+        return handlePipeline(payload, deliveryId, res);
+    }
+
+    // Job Hook
+    if (payload.object_kind === 'build') {
+        return handleJob(payload, deliveryId, res);
+    }
+
+    logger.debug('Ignoring GitLab event', { eventType, objectKind: payload.object_kind });
+    res.status(200).json({ message: 'Event ignored', eventType });
+});
+
+/**
+ * Handle Pipeline Hook events
+ */
+async function handlePipeline(payload, deliveryId, res) {
+    const pipeline = payload.object_attributes;
+
+    if (pipeline.status !== 'failed') {
+        return res.status(200).json({ message: 'Not a failure, ignored' });
+    }
+
+    // Jobs allowed to fail do not fail the pipeline; prefer the one that did
+    const failedJob = (payload.builds || []).find(b => b.status === 'failed' && !b.allow_failure)
+        || (payload.builds || []).find(b => b.status === 'failed');
+
+    return queueGitLabFailure({
+        project: payload.project,
+        pipelineId: pipeline.id,
+        jobId: failedJob?.id || null,
+        commitSha: pipeline.sha,
+        // Merge request pipelines run on refs/merge-requests/<iid>/head
+        branch: pipeline.tag ? null : (payload.merge_request?.source_branch || pipeline.ref),
+        workflowName: pipeline.name || (failedJob ? `${failedJob.stage}: ${failedJob.name}` : 'pipeline'),
+        logsUrl: pipeline.url || `${payload.project.web_url}/-/pipelines/${pipeline.id}`,
+    }, deliveryId, res);
+}
+
+/**
+ * Handle Job Hook events
+ */
+async function handleJob(payload, deliveryId, res) {
+    if (payload.build_status !== 'failed' || payload.build_allow_failure) {
+        return res.status(200).json({ message: 'Not a failure, ignored' });
+    }
+
+    return queueGitLabFailure({
+        project: payload.project,
+        pipelineId: payload.pipeline_id,
+        jobId: payload.build_id,
+        commitSha: payload.sha,
+        branch: payload.tag ? null : payload.ref,
+        workflowName: `${payload.build_stage}: ${payload.build_name}`,
+        logsUrl: `${payload.project.web_url}/-/jobs/${payload.build_id}`,
+    }, deliveryId, res);
+}
+
+/**
+ * Record and queue a failed GitLab pipeline. A pipeline is recorded once, whether it arrives as
+ * a pipeline or as one of its failed jobs.
+ * @param {object} failure - Normalized failure ({ project, pipelineId, jobId, commitSha, branch,
+ *   workflowName, logsUrl })
+ * @param {string|null} deliveryId - X-Gitlab-Event-UUID
+ * @param {object} res - Express response
+ */
+async function queueGitLabFailure(failure, deliveryId, res) {
+    const repoFullName = failure.project.path_with_namespace;
+    const [owner, repoName] = splitProjectPath(repoFullName);
+
+    try {
+        const existing = await prisma.failureEvent.findFirst({
+            where: { repoFullName, scm: 'gitlab', runId: failure.pipelineId },
+            select: { id: true },
+        });
+        if (existing) {
+            return res.status(200).json({ message: 'Pipeline already queued', eventId: existing.id });
+        }
+
+        // Check rate limit
+        const rateCheck = await checkRateLimit(repoFullName);
+        if (!rateCheck.allowed) {
+            logger.warn('Rate limit exceeded for repository', {
+                repoFullName,
+                reason: rateCheck.reason,
+            });
+            return res.status(429).json({
+                error: 'Rate limit exceeded',
+                reason: rateCheck.reason,
+            });
+        }
+
+        // Pipeline and job hooks arrive together: the unique key settles races findFirst cannot
+        let failureEvent;
+        try {
+            failureEvent = await prisma.failureEvent.create({
+                data: {
+                    repoFullName,
+                    repoOwner: owner,
+                    repoName,
+                    commitSha: failure.commitSha,
+                    runId: failure.pipelineId,
+                    jobId: failure.jobId,
+                    source: 'gitlab_ci',
+                    scm: 'gitlab',
+                    dedupeKey: `gitlab_ci:${repoFullName}:${failure.pipelineId}`,
+                    branch: failure.branch || 'unknown',
+                    workflowName: failure.workflowName,
+                    logsUrl: failure.logsUrl,
+                    status: 'DETECTED',
+                },
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(200).json({ message: 'Pipeline already queued' });
+            }
+            throw error;
+        }
+
+        logger.info('GitLab pipeline failure detected', {
+            eventId: failureEvent.id,
+            repoFullName,
+            pipelineId: failure.pipelineId,
+            jobId: failure.jobId,
+        });
+
+        await fixQueue.add('process-failure', {
+            eventId: failureEvent.id,
+            owner,
+            repo: repoName,
+            commitSha: failure.commitSha,
+            runId: failure.pipelineId,
+            jobId: failure.jobId,
+            source: 'gitlab_ci',
+            scm: 'gitlab',
+            branch: failure.branch,
+            logsUrl: failure.logsUrl,
+            workflowName: failure.workflowName,
+            deliveryId,
+        }, {
+            attempts: 3,
+            backoff: {
+                type: 'exponential',
+                delay: 1000,
+            },
+            removeOnComplete: 100,
+            removeOnFail: 50,
+        });
+
+        await incrementRateLimit(repoFullName);
+
+        res.status(202).json({
+            message: 'Pipeline failure detected, processing queued',
+            eventId: failureEvent.id,
+        });
+    } catch (error) {
+        logger.error('Failed to process GitLab pipeline failure', {
+            error: error.message,
+            deliveryId,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+export default router;
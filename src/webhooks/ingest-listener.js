@@ -0,0 +1,162 @@
+/**
+ * Generic CI Ingestion
+ * Accepts failed build logs posted by any CI system (Jenkins, CircleCI, Buildkite, ...) to
+ * /api/ingest and queues them like webhook failures
+ */
+
+import zlib from 'zlib';
+import express, { Router } from 'express';
+import { z } from 'zod';
+import prisma from '../config/database.js';
+import { fixQueue } from '../queue/fix-queue.js';
+import { SCM_PROVIDERS } from '../scm/index.js';
+import { requireIngestToken } from '../utils/api-auth.js';
+import { checkRateLimit, incrementRateLimit } from './rate-limit.js';
+import logger from '../utils/logger.js';
+
+// Largest build log accepted (after decompression)
+export const INGEST_MAX_LOG_BYTES = parseInt(process.env.INGEST_MAX_LOG_BYTES, 10) || 5 * 1024 * 1024;
+
+const router = Router();
+
+// Metadata of an ingested failure (JSON body fields, or query parameters for raw uploads)
+const ingestSchema = z.object({
+    owner: z.string().min(1),
+    repo: z.string().min(1),
+    commitSha: z.string().regex(/^[0-9a-f]{7,40}$/i, 'must be a commit SHA'),
+    branch: z.string().min(1).optional(),
+    scm: z.enum(SCM_PROVIDERS).default('github'),
+    runId: z.coerce.number().int().nonnegative().default(0),
+    workflowName: z.string().min(1).optional(),
+    logsUrl: z.string().url().optional(),
+    log: z.string().optional(),
+});
+
+/**
+ * Read the build log of an ingest request: the `log` field of a JSON body, or the raw body,
+ * gunzipped when it is gzip (by content type or magic bytes)
+ * @returns {string} Log text
+ */
+function readIngestedLog(req, fields) {
+    if (!Buffer.isBuffer(req.body)) {
+        return fields.log || '';
+    }
+
+    const isGzip = req.is(['application/gzip', 'application/x-gzip'])
+        || (req.body[0] === 0x1f && req.body[1] === 0x8b);
+
+    return isGzip
+        ? zlib.gunzipSync(req.body, { maxOutputLength: INGEST_MAX_LOG_BYTES }).toString('utf-8')
+        : req.body.toString('utf-8');
+}
+
+// Ingested logs are far larger than webhook payloads: this router parses its own bodies and is
+// mounted before the default JSON parser. Raw uploads (plain text or gzip) carry their metadata
+// in the query string.
+router.use(
+    express.json({ limit: INGEST_MAX_LOG_BYTES }),
+    express.raw({
+        type: ['text/*', 'application/gzip', 'application/x-gzip', 'application/octet-stream'],
+        limit: INGEST_MAX_LOG_BYTES,
+    })
+);
+
+/**
+ * Ingest a failure from any CI system: the posted log replaces the log download
+ */
+router.post('/', requireIngestToken, async (req, res) => {
+    const parsed = ingestSchema.safeParse(Buffer.isBuffer(req.body) ? req.query : { ...req.query, ...req.body });
+
+    if (!parsed.success) {
+        return res.status(400).json({
+            error: 'Invalid ingest request',
+            details: parsed.error.issues.map(i => `${i.path.join('.')}: ${i.message}`),
+        });
+    }
+
+    const fields = parsed.data;
+    const repoFullName = `${fields.owner}/${fields.repo}`;
+
+    let log;
+    try {
+        log = readIngestedLog(req, fields);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not decompress log: ${error.message}` });
+    }
+
+    if (!log.trim()) {
+        return res.status(400).json({ error: 'Empty build log' });
+    }
+
+    try {
+        const rateCheck = await checkRateLimit(repoFullName);
+        if (!rateCheck.allowed) {
+            return res.status(429).json({
+                error: 'Rate limit exceeded',
+                reason: rateCheck.reason,
+            });
+        }
+
+        // The whole log is kept on the event; the job reads it from there instead of Redis
+        const failureEvent = await prisma.failureEvent.create({
+            data: {
+                repoFullName,
+                repoOwner: fields.owner,
+                repoName: fields.repo,
+                commitSha: fields.commitSha,
+                runId: fields.runId,
+                source: 'ingest',
+                scm: fields.scm,
+                branch: fields.branch || 'unknown',
+                workflowName: fields.workflowName,
+                logsUrl: fields.logsUrl,
+                rawLog: log,
+                status: 'DETECTED',
+            },
+        });
+
+        const job = await fixQueue.add('process-failure', {
+            eventId: failureEvent.id,
+            owner: fields.owner,
+            repo: fields.repo,
+            commitSha: fields.commitSha,
+            runId: fields.runId,
+            source: 'ingest',
+            scm: fields.scm,
+            branch: fields.branch || null,
+            logsUrl: fields.logsUrl || '',
+            workflowName: fields.workflowName,
+        });
+
+        await incrementRateLimit(repoFullName);
+
+        logger.info('Failure ingested', {
+            eventId: failureEvent.id,
+            repoFullName,
+            scm: fields.scm,
+            logBytes: Buffer.byteLength(log),
+        });
+
+        res.status(202).json({
+            message: 'Failure ingested, processing queued',
+            eventId: failureEvent.id,
+            jobId: job.id,
+        });
+    } catch (error) {
+        logger.error('Ingest error', { error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body parser errors (oversized or malformed bodies) are the client's, not a server failure
+router.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Build log exceeds ${INGEST_MAX_LOG_BYTES} bytes` });
+    }
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+});
+
+export default router;
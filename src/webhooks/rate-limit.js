@@ -0,0 +1,83 @@
+/**
+ * Webhook Rate Limiting
+ * Per-repository hourly cap on queued fixes, shared by the GitHub and GitLab listeners
+ */
+
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Check rate limits for repository
+ * @param {string} repoFullName - Full repository name (owner/repo)
+ * @returns {Promise<{allowed: boolean, remaining: number}>}
+ */
+export async function checkRateLimit(repoFullName) {
+    const maxAttempts = parseInt(process.env.MAX_FIX_ATTEMPTS_PER_HOUR) || 5;
+    const now = new Date();
+    const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+    try {
+        let rateLimit = await prisma.rateLimit.findUnique({
+            where: { repoFullName },
+        });
+
+        if (!rateLimit) {
+            // Create new rate limit entry
+            rateLimit = await prisma.rateLimit.create({
+                data: {
+                    repoFullName,
+                    attemptsThisHour: 0,
+                    hourlyResetAt: new Date(now.getTime() + 60 * 60 * 1000),
+                },
+            });
+        }
+
+        // Check if blacklisted
+        if (rateLimit.isBlacklisted) {
+            return { allowed: false, remaining: 0, reason: 'Repository is blacklisted' };
+        }
+
+        // Reset counter if hour has passed
+        if (rateLimit.hourlyResetAt < now) {
+            rateLimit = await prisma.rateLimit.update({
+                where: { repoFullName },
+                data: {
+                    attemptsThisHour: 0,
+                    hourlyResetAt: new Date(now.getTime() + 60 * 60 * 1000),
+                },
+            });
+        }
+
+        const remaining = maxAttempts - rateLimit.attemptsThisHour;
+        const allowed = remaining > 0;
+
+        return { allowed, remaining, reason: allowed ? null : 'Rate limit exceeded' };
+    } catch (error) {
+        logger.error('Rate limit check failed', { error: error.message });
+        // Allow on error to not block legitimate requests
+        return { allowed: true, remaining: 1, reason: null };
+    }
+}
+
+/**
+ * Increment rate limit counter
+ * @param {string} repoFullName - Full repository name
+ */
+export async function incrementRateLimit(repoFullName) {
+    try {
+        await prisma.rateLimit.update({
+            where: { repoFullName },
+            data: {
+                attemptsThisHour: { increment: 1 },
+                lastAttemptAt: new Date(),
+            },
+        });
+    } catch (error) {
+        logger.error('Failed to increment rate limit', { error: error.message });
+    }
+}
+
+export default {
+    checkRateLimit,
+    incrementRateLimit,
+};
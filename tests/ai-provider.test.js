@@ -0,0 +1,296 @@
+/**
+ * AI Provider Registry Tests
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+/**
+ * Minimal fetch Response stand-in
+ */
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+        text: async () => JSON.stringify(body),
+    };
+}
+
+describe('AI Provider Registry', () => {
+    let registry;
+    let aiProvider;
+    const originalFetch = global.fetch;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.AI_PROVIDER;
+        delete process.env.AI_PROVIDER_SURGEON;
+        delete process.env.AI_FALLBACK_CHAIN;
+
+        registry = await import('../src/config/providers/index.js');
+        aiProvider = await import('../src/config/ai-provider.js');
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    describe('getProviderNameForAgent', () => {
+        it('should prefer the per-agent override', () => {
+            process.env.AI_PROVIDER = 'gemini';
+            process.env.AI_PROVIDER_SURGEON = 'openai-compatible';
+
+            expect(registry.getProviderNameForAgent('surgeon')).toBe('openai-compatible');
+            expect(registry.getProviderNameForAgent('scout')).toBe('gemini');
+        });
+
+        it('should default to openrouter', () => {
+            expect(registry.getProviderNameForAgent('scout')).toBe('openrouter');
+        });
+
+        it('should reject unknown providers', () => {
+            expect(() => registry.getProvider('nope')).toThrow('Unknown AI provider: nope');
+        });
+    });
+
+    describe('generateContent', () => {
+        it('should map legacy tiers and request JSON mode from a local server', async () => {
+            process.env.AI_PROVIDER_SURGEON = 'openai-compatible';
+            process.env.OPENAI_COMPATIBLE_MODEL_FLASH = 'qwen2.5-coder:7b';
+            global.fetch.mockResolvedValue(jsonResponse({
+                choices: [{ message: { content: '{"ok":true}' } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+            }));
+
+            const result = await aiProvider.generateContent('prompt', 'FAST', { agent: 'surgeon', json: true });
+
+            const [url, request] = global.fetch.mock.calls[0];
+            const body = JSON.parse(request.body);
+            expect(url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(body.model).toBe('qwen2.5-coder:7b');
+            expect(body.response_format).toEqual({ type: 'json_object' });
+            expect(request.headers.Authorization).toBeUndefined();
+            expect(request.signal).toBeInstanceOf(AbortSignal);
+            expect(result).toMatchObject({ text: '{"ok":true}', provider: 'openai-compatible' });
+            expect(result.usage.totalTokens).toBe(15);
+
+            delete process.env.OPENAI_COMPATIBLE_MODEL_FLASH;
+        });
+
+        it('should prefill Anthropic JSON responses', async () => {
+            process.env.AI_PROVIDER = 'anthropic';
+            process.env.ANTHROPIC_API_KEY = 'test-key';
+            global.fetch.mockResolvedValue(jsonResponse({
+                content: [{ type: 'text', text: '"ok":true}' }],
+                usage: { input_tokens: 12, output_tokens: 4 },
+            }));
+
+            const result = await aiProvider.generateContent('prompt', 'PRO', { json: true });
+
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.messages.at(-1)).toEqual({ role: 'assistant', content: '{' });
+            expect(result.text).toBe('{"ok":true}');
+            expect(result.usage.totalTokens).toBe(16);
+
+            delete process.env.ANTHROPIC_API_KEY;
+        });
+
+        it('should fail fast when the provider is not configured', async () => {
+            process.env.AI_PROVIDER = 'anthropic';
+
+            await expect(aiProvider.generateContent('prompt')).rejects.toThrow("'anthropic' is not configured");
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should not retry client errors', async () => {
+            process.env.OPENROUTER_API_KEY = 'test-key';
+            global.fetch.mockResolvedValue(jsonResponse({ error: 'bad request' }, 400));
+
+            await expect(aiProvider.generateContent('prompt')).rejects.toThrow('openrouter API error: 400');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+
+            delete process.env.OPENROUTER_API_KEY;
+        });
+    });
+
+    describe('getUnconfiguredAgents', () => {
+        afterEach(() => {
+            delete process.env.OPENAI_COMPATIBLE_MODEL_FLASH;
+            delete process.env.AI_PROVIDER_OPERATOR;
+        });
+
+        it('should accept a local provider without any API key', () => {
+            process.env.AI_PROVIDER = 'openai-compatible';
+            process.env.OPENAI_COMPATIBLE_MODEL_FLASH = 'qwen2.5-coder:7b';
+
+            expect(aiProvider.getUnconfiguredAgents()).toEqual([]);
+        });
+
+        it('should name agents whose whole chain is unconfigured', () => {
+            process.env.AI_PROVIDER = 'openai-compatible';
+            process.env.OPENAI_COMPATIBLE_MODEL_FLASH = 'qwen2.5-coder:7b';
+            process.env.AI_PROVIDER_OPERATOR = 'anthropic';
+
+            expect(aiProvider.getUnconfiguredAgents()).toEqual(['operator']);
+
+            process.env.AI_FALLBACK_CHAIN = 'nope,openai-compatible';
+            expect(aiProvider.getUnconfiguredAgents()).toEqual([]);
+        });
+    });
+
+    describe('isRetryableError', () => {
+        let isRetryableError;
+
+        beforeEach(async () => {
+            ({ isRetryableError } = await import('../src/config/providers/base.js'));
+        });
+
+        it('should retry rate limits, server errors and timeouts', () => {
+            expect(isRetryableError(Object.assign(new Error('busy'), { status: 429 }))).toBe(true);
+            expect(isRetryableError(Object.assign(new Error('down'), { status: 503 }))).toBe(true);
+            expect(isRetryableError(new DOMException('The operation was aborted due to timeout', 'TimeoutError'))).toBe(true);
+            expect(isRetryableError(new DOMException('This operation was aborted', 'AbortError'))).toBe(true);
+        });
+
+        it('should retry network failures but not other TypeErrors', () => {
+            const reset = new TypeError('fetch failed', { cause: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) });
+
+            expect(isRetryableError(reset)).toBe(true);
+            expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+            expect(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'text')"))).toBe(false);
+            expect(isRetryableError(Object.assign(new Error('bad request'), { status: 400 }))).toBe(false);
+        });
+    });
+
+    describe('generateStructured', () => {
+        /**
+         * OpenRouter completion with the given content
+         */
+        const completion = content => jsonResponse({
+            choices: [{ message: { content } }],
+            usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 },
+        });
+
+        let schemas;
+
+        beforeEach(async () => {
+            process.env.OPENROUTER_API_KEY = 'test-key';
+            schemas = await import('../src/prompts/response-schemas.js');
+        });
+
+        afterEach(() => {
+            delete process.env.OPENROUTER_API_KEY;
+        });
+
+        it('should return validated data without a repair request', async () => {
+            global.fetch.mockResolvedValue(completion(
+                '```json\n{"filePath":"src/app.js","lineNumber":3,"errorType":"SyntaxError","errorMessage":"x","confidence":0.9}\n```'
+            ));
+
+            const result = await aiProvider.generateStructured('prompt', schemas.scoutResponseSchema, 'FLASH', {
+                agent: 'scout',
+            });
+
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body).response_format).toEqual({ type: 'json_object' });
+            expect(result.data).toMatchObject({ filePath: 'src/app.js', lineNumber: 3 });
+            expect(result.repaired).toBe(false);
+        });
+
+        it('should ask the model to repair a response that does not match the schema', async () => {
+            global.fetch
+                .mockResolvedValueOnce(completion('{"body": ""}'))
+                .mockResolvedValueOnce(completion('{"body": "## Summary"}'));
+
+            const result = await aiProvider.generateStructured('Describe the PR', schemas.prDescriptionResponseSchema);
+
+            const repairPrompt = JSON.parse(global.fetch.mock.calls[1][1].body).messages.at(-1).content;
+            expect(repairPrompt).toContain('Describe the PR');
+            expect(repairPrompt).toContain('body: String must contain at least 1 character(s)');
+            expect(result.data.body).toBe('## Summary');
+            expect(result.repaired).toBe(true);
+            expect(result.usage.totalTokens).toBe(240);
+        });
+
+        it('should fail after one unsuccessful repair', async () => {
+            global.fetch.mockResolvedValue(completion('I could not find the error, sorry.'));
+
+            await expect(aiProvider.generateStructured('prompt', schemas.validationResponseSchema, 'FLASH', {
+                name: 'validation',
+            })).rejects.toThrow(/^Invalid validation response: Invalid JSON response/);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('fallback chain', () => {
+        beforeEach(() => {
+            process.env.OPENROUTER_API_KEY = 'openrouter-key';
+            process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+            process.env.AI_FALLBACK_CHAIN = 'anthropic,openrouter:meta-llama/llama-3.3-70b-instruct:free';
+            process.env.AI_BREAKER_THRESHOLD = '1';
+        });
+
+        afterEach(() => {
+            delete process.env.OPENROUTER_API_KEY;
+            delete process.env.ANTHROPIC_API_KEY;
+            delete process.env.AI_BREAKER_THRESHOLD;
+        });
+
+        it('should parse provider:model entries', () => {
+            expect(aiProvider.getFallbackChain('surgeon')).toEqual([
+                { provider: 'openrouter', model: null },
+                { provider: 'anthropic', model: null },
+                { provider: 'openrouter', model: 'meta-llama/llama-3.3-70b-instruct:free' },
+            ]);
+        });
+
+        it('should fall back and report why', async () => {
+            global.fetch
+                .mockResolvedValueOnce(jsonResponse({ error: 'invalid key' }, 401))
+                .mockResolvedValueOnce(jsonResponse({
+                    content: [{ type: 'text', text: 'fixed' }],
+                    usage: { input_tokens: 1, output_tokens: 1 },
+                }));
+
+            const result = await aiProvider.generateContent('prompt', 'PRO', { agent: 'surgeon' });
+
+            expect(result.provider).toBe('anthropic');
+            expect(result.fallbackReason).toContain('openrouter: openrouter API error: 401');
+        });
+
+        it('should skip a provider whose circuit is open', async () => {
+            global.fetch
+                .mockResolvedValueOnce(jsonResponse({ error: 'invalid key' }, 401))
+                .mockResolvedValue(jsonResponse({
+                    content: [{ type: 'text', text: 'fixed' }],
+                    usage: { input_tokens: 1, output_tokens: 1 },
+                }));
+
+            await aiProvider.generateContent('first');
+            const result = await aiProvider.generateContent('second');
+
+            // Second call goes straight to Anthropic
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+            expect(global.fetch.mock.calls[2][0]).toMatch(/\/messages$/);
+            expect(result.fallbackReason).toBe('openrouter: circuit open');
+        });
+
+        it('should name every failure when the whole chain fails', async () => {
+            global.fetch.mockResolvedValue(jsonResponse({ error: 'bad request' }, 400));
+
+            await expect(aiProvider.generateContent('prompt')).rejects.toThrow(
+                /All AI providers failed: openrouter: .*400.*; anthropic: .*400.*; openrouter:meta-llama/
+            );
+        });
+    });
+});
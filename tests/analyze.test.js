@@ -0,0 +1,90 @@
+/**
+ * Analyze-Only Pipeline Tests
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/agents/scout.js', () => ({
+    scout: { analyze: jest.fn() },
+}));
+
+jest.unstable_mockModule('../src/agents/surgeon.js', () => ({
+    surgeon: { generateFixWithRepair: jest.fn() },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('Analyze-only pipeline', () => {
+    let analyze;
+    let scout;
+    let surgeon;
+
+    const log = '/home/runner/work/repo/repo/src/app.js:3\nSyntaxError: Unexpected token )';
+
+    beforeEach(async () => {
+        jest.resetModules();
+
+        scout = (await import('../src/agents/scout.js')).scout;
+        surgeon = (await import('../src/agents/surgeon.js')).surgeon;
+        analyze = await import('../src/pipeline/analyze.js');
+
+        scout.analyze.mockResolvedValue({
+            filePath: 'repo/repo/src/app.js',
+            lineNumber: 3,
+            errorType: 'SyntaxError',
+            errorMessage: 'Unexpected token )',
+            language: 'javascript',
+            confidence: 0.9,
+        });
+        surgeon.generateFixWithRepair.mockReset();
+    });
+
+    it('should strip runner prefixes and duplicate repo names from failing paths', () => {
+        expect(analyze.normalizeFailurePath('/home/runner/work/repo/repo/src/app.js')).toBe('src/app.js');
+        expect(analyze.normalizeFailurePath('repo/repo/src/app.js')).toBe('src/app.js');
+        expect(analyze.normalizeFailurePath('src\\app.js')).toBe('src/app.js');
+    });
+
+    it('should return the diagnosis, diff and confidence of the proposed fix', async () => {
+        surgeon.generateFixWithRepair.mockResolvedValue({
+            success: true,
+            files: [{ path: 'src/app.js', originalCode: 'a())', fixedCode: 'a()' }],
+            diff: '--- a/src/app.js\n+++ b/src/app.js',
+            diffStats: { additions: 1, deletions: 1 },
+            diffSummary: 'Removed extra parenthesis',
+            validation: { isValid: true },
+            confidence: 0.88,
+            iteration: 1,
+        });
+        const readFile = jest.fn(async () => ({ content: 'a())' }));
+
+        const result = await analyze.analyzeFailure({ log, readFile });
+
+        expect(readFile).toHaveBeenCalledWith('src/app.js');
+        expect(surgeon.generateFixWithRepair).toHaveBeenCalledWith(expect.objectContaining({
+            filePath: 'src/app.js',
+            originalCode: 'a())',
+            language: 'javascript',
+        }));
+        expect(result.diagnosis).toMatchObject({ filePath: 'src/app.js', errorType: 'SyntaxError', lineNumber: 3 });
+        expect(result.fix).toMatchObject({ success: true, diff: '--- a/src/app.js\n+++ b/src/app.js' });
+        expect(result.confidence).toBe(0.88);
+        expect(result.reason).toBeNull();
+    });
+
+    it('should return the diagnosis alone when the failing file is not available', async () => {
+        const result = await analyze.analyzeFailure({ log, readFile: async () => null });
+
+        expect(surgeon.generateFixWithRepair).not.toHaveBeenCalled();
+        expect(result.fix).toBeNull();
+        expect(result.diagnosis.filePath).toBe('src/app.js');
+        expect(result.reason).toBe('Contents of src/app.js not available');
+    });
+});
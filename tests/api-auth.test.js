@@ -0,0 +1,59 @@
+/**
+ * API Authentication Tests
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+describe('API authentication', () => {
+    let auth;
+    let app;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.ADMIN_API_TOKEN;
+        delete process.env.ADMIN_API_TOKENS;
+
+        auth = await import('../src/utils/api-auth.js');
+
+        app = express();
+        app.put('/admin', auth.requireAdminToken, (req, res) => res.json({ actor: req.actor }));
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_API_TOKEN;
+        delete process.env.ADMIN_API_TOKENS;
+    });
+
+    it('should disable admin endpoints while no token is configured', async () => {
+        await request(app).put('/admin').expect(503);
+    });
+
+    it('should reject missing and wrong tokens', async () => {
+        process.env.ADMIN_API_TOKEN = 'secret';
+
+        await request(app).put('/admin').expect(401);
+        await request(app).put('/admin').set('Authorization', 'Bearer secre').expect(401);
+    });
+
+    it('should audit the name of the token used, never a client header', async () => {
+        process.env.ADMIN_API_TOKEN = 'secret';
+        process.env.ADMIN_API_TOKENS = 'alice:alice-token, deploy-bot:bot-token';
+
+        const alice = await request(app).put('/admin')
+            .set('Authorization', 'Bearer alice-token')
+            .set('X-Actor', 'someone-else')
+            .expect(200);
+        const shared = await request(app).put('/admin').set('Authorization', 'Bearer secret').expect(200);
+
+        expect(alice.body.actor).toBe('alice');
+        expect(shared.body.actor).toBe('admin');
+    });
+
+    it('should compare tokens of any length without throwing', () => {
+        expect(auth.tokensMatch('a', 'a-much-longer-token')).toBe(false);
+        expect(auth.tokensMatch('', '')).toBe(false);
+        expect(auth.tokensMatch('same', 'same')).toBe(true);
+    });
+});
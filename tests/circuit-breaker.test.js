@@ -0,0 +1,50 @@
+/**
+ * Circuit Breaker Tests
+ */
+
+import { CircuitBreaker } from '../src/utils/circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+    let clock;
+    let breaker;
+
+    beforeEach(() => {
+        clock = 0;
+        breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+    });
+
+    it('should open after consecutive failures', () => {
+        expect(breaker.recordFailure()).toBe(false);
+        expect(breaker.canRequest()).toBe(true);
+
+        expect(breaker.recordFailure()).toBe(true);
+        expect(breaker.canRequest()).toBe(false);
+        expect(breaker.remainingCooldownMs()).toBe(1000);
+    });
+
+    it('should reset the count on success', () => {
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+
+        expect(breaker.canRequest()).toBe(true);
+    });
+
+    it('should allow one probe after the cooldown', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+
+        clock = 1000;
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.state).toBe('half-open');
+
+        // A failed probe re-opens the circuit immediately
+        breaker.recordFailure();
+        expect(breaker.canRequest()).toBe(false);
+
+        clock = 2000;
+        breaker.canRequest();
+        breaker.recordSuccess();
+        expect(breaker.state).toBe('closed');
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Command-Line Tool Tests
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm, writeFile, mkdir } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../src/pipeline/analyze.js', () => ({
+    analyzeFailure: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        levels: { error: 0, warn: 1, info: 2, debug: 5 },
+        transports: [],
+    },
+}));
+
+describe('Command-line tool', () => {
+    let main;
+    let analyzeFailure;
+    let dir;
+    let out;
+    let err;
+
+    const io = () => ({
+        stdout: { write: (text) => { out += text; } },
+        stderr: { write: (text) => { err += text; } },
+        cwd: dir,
+    });
+
+    const diagnosis = {
+        filePath: 'src/app.js',
+        lineNumber: 1,
+        errorType: 'SyntaxError',
+        errorMessage: 'Unexpected token ;',
+    };
+
+    const fixResult = {
+        diagnosis,
+        fix: {
+            success: true,
+            files: [{ path: 'src/app.js', originalCode: 'foo(;\n', fixedCode: 'foo();\n' }],
+            diff: '--- a/src/app.js\n+++ b/src/app.js\n@@ -1,1 +1,1 @@\n-foo(;\n+foo();\n',
+        },
+        confidence: 0.9,
+        reason: null,
+    };
+
+    beforeEach(async () => {
+        jest.resetModules();
+
+        analyzeFailure = (await import('../src/pipeline/analyze.js')).analyzeFailure;
+        main = (await import('../src/cli.js')).main;
+
+        dir = await mkdtemp(path.join(os.tmpdir(), 'codeautopsy-cli-'));
+        await mkdir(path.join(dir, 'src'));
+        await writeFile(path.join(dir, 'src/app.js'), 'foo(;\n');
+        await writeFile(path.join(dir, 'build.log'), 'src/app.js:1\nSyntaxError: Unexpected token ;\n');
+        out = '';
+        err = '';
+
+        analyzeFailure.mockReset().mockImplementation(async ({ readFile: read }) => {
+            const file = await read('src/app.js');
+            return { ...fixResult, fix: { ...fixResult.fix, files: [{ ...fixResult.fix.files[0], originalCode: file.content }] } };
+        });
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should print the patch for files read from the checkout', async () => {
+        const status = await main(['analyze', 'build.log', '--dir', dir], io());
+
+        expect(status).toBe(0);
+        expect(analyzeFailure).toHaveBeenCalledWith(expect.objectContaining({
+            log: 'src/app.js:1\nSyntaxError: Unexpected token ;\n',
+        }));
+        expect(out).toBe(fixResult.fix.diff);
+        expect(err).toContain('SyntaxError in src/app.js:1');
+        expect(await readFile(path.join(dir, 'src/app.js'), 'utf-8')).toBe('foo(;\n');
+    });
+
+    it('should write the fix to the working tree with --apply', async () => {
+        const status = await main(['analyze', 'build.log', '--dir', dir, '--apply'], io());
+
+        expect(status).toBe(0);
+        expect(out).toBe('');
+        expect(await readFile(path.join(dir, 'src/app.js'), 'utf-8')).toBe('foo();\n');
+    });
+
+    it('should exit with 1 and the reason when no fix was produced', async () => {
+        analyzeFailure.mockResolvedValue({
+            diagnosis,
+            fix: null,
+            confidence: 0,
+            reason: 'Contents of src/app.js not available',
+        });
+
+        const status = await main(['analyze', 'build.log', '--dir', dir, '--json'], io());
+
+        expect(status).toBe(1);
+        expect(JSON.parse(out).reason).toBe('Contents of src/app.js not available');
+    });
+
+    it('should exit with 2 on usage errors', async () => {
+        expect(await main(['analyze'], io())).toBe(2);
+        expect(await main(['fix', 'build.log'], io())).toBe(2);
+        expect(await main(['analyze', 'build.log', '--unknown'], io())).toBe(2);
+        expect(analyzeFailure).not.toHaveBeenCalled();
+    });
+
+    it('should not read files outside the checkout', async () => {
+        const { createLocalSource } = await import('../src/scm/local.js');
+        const source = createLocalSource(dir);
+
+        await expect(source.getFileContent('../etc/passwd')).rejects.toThrow('outside');
+        await expect(source.getFileContent('src/missing.js')).rejects.toThrow('File not found: src/missing.js');
+        expect((await source.getFileContent('src/app.js')).content).toBe('foo(;\n');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Diff Tests
+ */
+
+import { jest } from '@jest/globals';
+
+describe('Diff', () => {
+    let diff;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        diff = await import('../src/utils/diff.js');
+    });
+
+    describe('diffLines', () => {
+        it('should report one inserted line without touching the lines after it', () => {
+            const ops = diff.diffLines('a\nb\nc\nd\n', 'a\nx\nb\nc\nd\n');
+
+            expect(ops.filter(op => op.type !== 'equal')).toEqual([
+                { type: 'insert', line: 'x', oldLine: null, newLine: 2 },
+            ]);
+        });
+
+        it('should find a minimal edit script between the changed regions', () => {
+            const ops = diff.diffLines('a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc');
+
+            expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+            expect(ops.filter(op => op.type !== 'insert').map(op => op.line).join('')).toBe('abcabba');
+            expect(ops.filter(op => op.type !== 'delete').map(op => op.line).join('')).toBe('cbabac');
+        });
+    });
+
+    describe('createFileDiff', () => {
+        it('should produce unified diff hunks with context', () => {
+            const original = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n');
+            const fixed = original.replace('two', 'TWO').replace('nine', 'NINE');
+
+            const result = diff.createFileDiff(original, fixed, 'src/n.js', { context: 1 });
+
+            expect(result.diff).toBe([
+                '--- a/src/n.js',
+                '+++ b/src/n.js',
+                '@@ -1,3 +1,3 @@',
+                ' one',
+                '-two',
+                '+TWO',
+                ' three',
+                '@@ -8,3 +8,3 @@',
+                ' eight',
+                '-nine',
+                '+NINE',
+                ' ten',
+            ].join('\n'));
+            expect(result).toMatchObject({ additions: 2, deletions: 2, hunks: 2 });
+        });
+
+        it('should merge changes whose context overlaps', () => {
+            const result = diff.createFileDiff('a\nb\nc\nd', 'A\nb\nc\nD', 'f', { context: 1 });
+
+            expect(result.hunks).toBe(1);
+        });
+
+        it('should number an insertion into an empty file like git', () => {
+            expect(diff.createFileDiff('', 'x\ny\n', 'new.js').diff).toContain('@@ -0,0 +1,2 @@');
+        });
+    });
+
+    describe('createFilesDiff', () => {
+        it('should combine files and leave out unchanged ones', () => {
+            const result = diff.createFilesDiff([
+                { path: 'a.js', originalCode: 'x\n', fixedCode: 'y\n' },
+                { path: 'b.js', originalCode: 'same\n', fixedCode: 'same\n' },
+            ]);
+
+            expect(result.files).toEqual([{ path: 'a.js', additions: 1, deletions: 1, hunks: 1 }]);
+            expect(result.diff).toBe('--- a/a.js\n+++ b/a.js\n@@ -1,1 +1,1 @@\n-x\n+y');
+        });
+    });
+
+    describe('getLineReplacements', () => {
+        it('should anchor insertions on an existing line so each change can be a suggestion', () => {
+            const replacements = diff.getLineReplacements('a\nb\nc\nd\n', 'a\nB\nc\nc2\nd\n');
+
+            expect(replacements).toEqual([
+                { startLine: 2, endLine: 2, replacement: ['B'] },
+                { startLine: 3, endLine: 3, replacement: ['c', 'c2'] },
+            ]);
+        });
+    });
+
+    describe('getNewLineRanges', () => {
+        it('should return the new-side range of every hunk', () => {
+            const patch = '@@ -1,3 +1,4 @@\n a\n+b\n c\n d\n@@ -20 +21 @@\n-x\n+y\n@@ -30,2 +31,0 @@\n-p\n-q';
+
+            expect(diff.getNewLineRanges(patch)).toEqual([{ start: 1, end: 4 }, { start: 21, end: 21 }]);
+        });
+    });
+
+    describe('truncateDiff', () => {
+        it('should cut at a line boundary and say how much was left out', () => {
+            const text = Array.from({ length: 100 }, (_, i) => `+line ${i}`).join('\n');
+
+            const truncated = diff.truncateDiff(text, 200);
+
+            expect(truncated.length).toBeLessThanOrEqual(200);
+            expect(truncated).toMatch(/\n\.\.\. \(\d+ more lines\)$/);
+            expect(truncated.split('\n').slice(0, -1).every(line => line.startsWith('+line'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * GitHub App Authentication Tests
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+const createInstallationAccessToken = jest.fn();
+
+jest.unstable_mockModule('octokit', () => ({
+    Octokit: class {
+        constructor(options) {
+            this.auth = options.auth;
+            this.rest = { apps: { createInstallationAccessToken } };
+        }
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('GitHub App', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let githubApp;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        createInstallationAccessToken.mockReset();
+        process.env.GITHUB_APP_ID = '1234';
+        process.env.GITHUB_APP_PRIVATE_KEY = privateKey.export({ type: 'pkcs1', format: 'pem' }).replace(/\n/g, '\\n');
+
+        githubApp = await import('../src/config/github-app.js');
+    });
+
+    afterEach(() => {
+        delete process.env.GITHUB_APP_ID;
+        delete process.env.GITHUB_APP_PRIVATE_KEY;
+    });
+
+    it('should sign an RS256 JWT issued by the app and valid for under 10 minutes', () => {
+        const jwt = githubApp.createAppJwt({ now: 1700000000 });
+        const [header, payload, signature] = jwt.split('.');
+
+        expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({ alg: 'RS256', typ: 'JWT' });
+        expect(JSON.parse(Buffer.from(payload, 'base64url'))).toEqual({
+            iat: 1699999940,
+            exp: 1700000540,
+            iss: '1234',
+        });
+        expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey,
+            Buffer.from(signature, 'base64url'))).toBe(true);
+    });
+
+    it('should cache installation tokens until they are about to expire', async () => {
+        let now = Date.now();
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        createInstallationAccessToken
+            .mockResolvedValueOnce({ data: { token: 'ghs_first', expires_at: new Date(now + 60 * 60 * 1000).toISOString() } })
+            .mockResolvedValueOnce({ data: { token: 'ghs_second', expires_at: new Date(now + 2 * 60 * 60 * 1000).toISOString() } });
+
+        const [a, b] = await Promise.all([githubApp.getInstallationAuth(42), githubApp.getInstallationAuth(42)]);
+        expect(a.token).toBe('ghs_first');
+        expect(b).toBe(a);
+        expect(a.octokit.auth).toBe('ghs_first');
+        expect(createInstallationAccessToken).toHaveBeenCalledWith({ installation_id: 42 });
+
+        // Within the refresh margin of expiry a new token is minted
+        now += 56 * 60 * 1000;
+        expect((await githubApp.getInstallationAuth(42)).token).toBe('ghs_second');
+        expect(createInstallationAccessToken).toHaveBeenCalledTimes(2);
+
+        Date.now.mockRestore();
+    });
+
+    it('should mint a new token after the installation is forgotten', async () => {
+        createInstallationAccessToken.mockResolvedValue({
+            data: { token: 'ghs_token', expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() },
+        });
+
+        await githubApp.getInstallationAuth(7);
+        githubApp.forgetInstallation(7);
+        await githubApp.getInstallationAuth(7);
+
+        expect(createInstallationAccessToken).toHaveBeenCalledTimes(2);
+    });
+});
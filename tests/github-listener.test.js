@@ -0,0 +1,345 @@
+/**
+ * GitHub Listener Tests (autopsy PR outcome tracking)
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+    default: {
+        failureEvent: {
+            findFirst: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(() => Promise.resolve({})),
+            updateMany: jest.fn(() => Promise.resolve({ count: 1 })),
+        },
+        pRReview: {
+            upsert: jest.fn(() => Promise.resolve({})),
+        },
+        gitHubInstallation: {
+            upsert: jest.fn(() => Promise.resolve({})),
+            deleteMany: jest.fn(() => Promise.resolve({})),
+        },
+        installationRepository: {
+            upsert: jest.fn(() => Promise.resolve({})),
+            deleteMany: jest.fn(() => Promise.resolve({})),
+        },
+    },
+}));
+
+jest.unstable_mockModule('../src/config/github.js', () => ({
+    listCheckRunsForSuite: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/queue/fix-queue.js', () => ({
+    fixQueue: {
+        add: jest.fn(),
+        getJobCounts: jest.fn(),
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/pattern-store.js', () => ({
+    recordPatternOutcome: jest.fn(() => Promise.resolve({ id: 'pattern-1' })),
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('GitHub Listener - pull request outcomes', () => {
+    let app;
+    let prisma;
+    let patternStore;
+
+    const failureEvent = {
+        id: 'event-1',
+        filePath: 'src/app.js',
+        errorType: 'SyntaxError',
+        language: 'javascript',
+        errorMessage: 'Unexpected token',
+        fixAttempts: [{ originalCode: 'a(', fixedCode: 'a()', files: null }],
+    };
+
+    const send = (eventType, payload) => request(app)
+        .post('/webhooks/github')
+        .set('X-GitHub-Event', eventType)
+        .set('X-GitHub-Delivery', 'test-delivery-id')
+        .send(payload);
+
+    const closedPayload = (overrides = {}) => ({
+        action: 'closed',
+        pull_request: {
+            number: 7,
+            merged: true,
+            merged_at: '2024-05-01T10:00:00Z',
+            closed_at: '2024-05-01T10:00:00Z',
+            head: { ref: 'autopsy/fix-1714550000000-abc1234' },
+            ...overrides,
+        },
+        repository: { full_name: 'test/repo' },
+    });
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.GITHUB_WEBHOOK_SECRET;
+
+        prisma = (await import('../src/config/database.js')).default;
+        patternStore = await import('../src/utils/pattern-store.js');
+        prisma.failureEvent.findFirst.mockResolvedValue(failureEvent);
+        prisma.failureEvent.update.mockClear();
+        prisma.failureEvent.updateMany.mockReset().mockResolvedValue({ count: 1 });
+        prisma.pRReview.upsert.mockClear();
+        patternStore.recordPatternOutcome.mockClear();
+
+        const express = (await import('express')).default;
+        const webhookRouter = (await import('../src/webhooks/github-listener.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/webhooks', webhookRouter);
+    });
+
+    it('should mark the failure FIXED when the PR is merged', async () => {
+        const response = await send('pull_request', closedPayload()).expect(200);
+
+        expect(response.body.status).toBe('FIXED');
+        expect(prisma.failureEvent.updateMany).toHaveBeenCalledWith({
+            where: { id: 'event-1', status: 'PR_CREATED' },
+            data: {
+                status: 'FIXED',
+                fixedAt: new Date('2024-05-01T10:00:00Z'),
+                closedAt: new Date('2024-05-01T10:00:00Z'),
+            },
+        });
+        expect(patternStore.recordPatternOutcome).toHaveBeenCalledWith(expect.objectContaining({ merged: true }));
+    });
+
+    it('should mark the failure PR_CLOSED when the PR is closed unmerged', async () => {
+        await send('pull_request', closedPayload({ merged: false, merged_at: null })).expect(200);
+
+        expect(prisma.failureEvent.updateMany).toHaveBeenCalledWith({
+            where: { id: 'event-1', status: 'PR_CREATED' },
+            data: { status: 'PR_CLOSED', closedAt: new Date('2024-05-01T10:00:00Z') },
+        });
+    });
+
+    it('should not count a redelivered close again', async () => {
+        prisma.failureEvent.updateMany.mockResolvedValueOnce({ count: 0 });
+
+        const response = await send('pull_request', closedPayload()).expect(200);
+
+        expect(response.body.message).toBe('Outcome already recorded');
+        expect(patternStore.recordPatternOutcome).not.toHaveBeenCalled();
+    });
+
+    it('should count a PR once even when it is reopened and closed again', async () => {
+        // The status moves, but the outcome was already counted on the first close
+        prisma.failureEvent.updateMany
+            .mockResolvedValueOnce({ count: 1 })
+            .mockResolvedValueOnce({ count: 0 });
+
+        await send('pull_request', closedPayload()).expect(200);
+
+        expect(prisma.failureEvent.updateMany).toHaveBeenLastCalledWith(expect.objectContaining({
+            where: { id: 'event-1', outcomeRecordedAt: null },
+        }));
+        expect(patternStore.recordPatternOutcome).not.toHaveBeenCalled();
+    });
+
+    it('should not learn from the author\'s own PR merging', async () => {
+        prisma.failureEvent.findFirst.mockResolvedValueOnce({ ...failureEvent, fixTarget: 'pull-request' });
+
+        const response = await send('pull_request', closedPayload({ head: { ref: 'feature/login' } })).expect(200);
+
+        expect(response.body.status).toBe('FIXED');
+        expect(patternStore.recordPatternOutcome).not.toHaveBeenCalled();
+    });
+
+    it('should ignore PRs that are not on autopsy branches and received no pushed fix', async () => {
+        prisma.failureEvent.findFirst.mockResolvedValueOnce(null);
+
+        const response = await send('pull_request', closedPayload({ head: { ref: 'feature/login' } })).expect(200);
+
+        expect(response.body.message).toBe('Not an autopsy PR, ignored');
+        expect(prisma.failureEvent.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+            where: { repoFullName: 'test/repo', prNumber: 7, fixTarget: 'pull-request' },
+        }));
+        expect(prisma.failureEvent.update).not.toHaveBeenCalled();
+    });
+
+    it('should record reviewer verdicts', async () => {
+        const response = await send('pull_request_review', {
+            action: 'submitted',
+            review: {
+                id: 991,
+                state: 'changes_requested',
+                body: 'Please keep the null check',
+                submitted_at: '2024-05-01T09:00:00Z',
+                user: { login: 'octocat' },
+            },
+            pull_request: closedPayload().pull_request,
+            repository: { full_name: 'test/repo' },
+        }).expect(200);
+
+        expect(response.body.state).toBe('CHANGES_REQUESTED');
+        expect(prisma.pRReview.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { githubReviewId: BigInt(991) },
+            create: expect.objectContaining({
+                failureEventId: 'event-1',
+                reviewer: 'octocat',
+                state: 'CHANGES_REQUESTED',
+            }),
+        }));
+    });
+});
+
+describe('GitHub Listener - third-party check runs', () => {
+    let app;
+    let prisma;
+    let github;
+    let fixQueue;
+
+    const checkRun = (overrides = {}) => ({
+        id: 9001,
+        name: 'build',
+        head_sha: 'abc1234',
+        conclusion: 'failure',
+        details_url: 'https://ci.example.com/builds/77',
+        app: { slug: 'jenkins', name: 'Jenkins' },
+        check_suite: { head_branch: 'feature/login' },
+        ...overrides,
+    });
+
+    const send = (eventType, payload) => request(app)
+        .post('/webhooks/github')
+        .set('X-GitHub-Event', eventType)
+        .set('X-GitHub-Delivery', 'test-delivery-id')
+        .send({ action: 'completed', repository: { full_name: 'test/repo' }, ...payload });
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.GITHUB_WEBHOOK_SECRET;
+
+        prisma = (await import('../src/config/database.js')).default;
+        github = await import('../src/config/github.js');
+        fixQueue = (await import('../src/queue/fix-queue.js')).fixQueue;
+        prisma.failureEvent.findFirst.mockResolvedValue(null);
+        prisma.failureEvent.create.mockResolvedValue({ id: 'event-2' });
+
+        const express = (await import('express')).default;
+        const webhookRouter = (await import('../src/webhooks/github-listener.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/webhooks', webhookRouter);
+    });
+
+    it('should queue a failed check run with the check run as its log source', async () => {
+        const response = await send('check_run', { check_run: checkRun() }).expect(202);
+
+        expect(response.body.eventId).toBe('event-2');
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                runId: 9001,
+                source: 'check_run',
+                branch: 'feature/login',
+                workflowName: 'Jenkins: build',
+                logsUrl: 'https://ci.example.com/builds/77',
+            }),
+        });
+        expect(fixQueue.add).toHaveBeenCalledWith('process-failure', expect.objectContaining({
+            source: 'check_run',
+            checkRunId: 9001,
+        }), expect.any(Object));
+    });
+
+    it('should queue a check run once when check_run and check_suite race', async () => {
+        prisma.failureEvent.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+        const response = await send('check_run', { check_run: checkRun() }).expect(200);
+
+        expect(response.body.message).toBe('Check run already recorded');
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ dedupeKey: 'check_run:test/repo:9001' }),
+        });
+        expect(fixQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should leave GitHub Actions check runs to workflow_job', async () => {
+        await send('check_run', { check_run: checkRun({ app: { slug: 'github-actions' } }) }).expect(200);
+
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should queue the failed runs of a check suite once', async () => {
+        github.listCheckRunsForSuite.mockResolvedValue([
+            checkRun({ check_suite: {} }),
+            checkRun({ id: 9002, conclusion: 'success' }),
+            checkRun({ id: 9003, name: 'lint', check_suite: {} }),
+        ]);
+        // 9003 already arrived as a check_run event
+        prisma.failureEvent.findFirst.mockImplementation(({ where }) =>
+            Promise.resolve(where.runId === 9003 ? { id: 'event-1' } : null));
+
+        const response = await send('check_suite', {
+            check_suite: { id: 500, conclusion: 'failure', head_branch: 'main', app: { slug: 'jenkins' } },
+        }).expect(202);
+
+        expect(response.body.eventIds).toEqual(['event-2']);
+        expect(prisma.failureEvent.create).toHaveBeenCalledTimes(1);
+        expect(prisma.failureEvent.create.mock.calls[0][0].data.branch).toBe('main');
+    });
+});
+
+describe('GitHub Listener - app installations', () => {
+    let app;
+    let prisma;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.GITHUB_WEBHOOK_SECRET;
+
+        prisma = (await import('../src/config/database.js')).default;
+
+        const express = (await import('express')).default;
+        const webhookRouter = (await import('../src/webhooks/github-listener.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/webhooks', webhookRouter);
+    });
+
+    it('should track repositories added to and removed from an installation', async () => {
+        const response = await request(app)
+            .post('/webhooks/github')
+            .set('X-GitHub-Event', 'installation_repositories')
+            .set('X-GitHub-Delivery', 'test-delivery-id')
+            .send({
+                action: 'added',
+                installation: { id: 77, account: { login: 'acme', type: 'Organization' } },
+                repository_selection: 'selected',
+                repositories_added: [{ full_name: 'acme/api' }],
+                repositories_removed: [{ full_name: 'acme/legacy' }],
+            })
+            .expect(200);
+
+        expect(response.body).toMatchObject({ added: ['acme/api'], removed: ['acme/legacy'] });
+        expect(prisma.gitHubInstallation.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { installationId: 77 },
+            create: expect.objectContaining({ accountLogin: 'acme', repositorySelection: 'selected' }),
+        }));
+        expect(prisma.installationRepository.upsert).toHaveBeenCalledWith({
+            where: { repoFullName: 'acme/api' },
+            create: { installationId: 77, repoFullName: 'acme/api' },
+            update: { installationId: 77 },
+        });
+        expect(prisma.installationRepository.deleteMany).toHaveBeenCalledWith({
+            where: { installationId: 77, repoFullName: { in: ['acme/legacy'] } },
+        });
+    });
+});
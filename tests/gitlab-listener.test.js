@@ -0,0 +1,163 @@
+/**
+ * GitLab Listener Tests
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+    default: {
+        failureEvent: {
+            findFirst: jest.fn(),
+            create: jest.fn(),
+        },
+        rateLimit: {
+            findUnique: jest.fn(() => Promise.resolve({
+                isBlacklisted: false,
+                attemptsThisHour: 0,
+                hourlyResetAt: new Date(Date.now() + 60 * 60 * 1000),
+            })),
+            update: jest.fn(() => Promise.resolve({})),
+        },
+    },
+}));
+
+jest.unstable_mockModule('../src/queue/fix-queue.js', () => ({
+    fixQueue: {
+        add: jest.fn(),
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('GitLab Listener', () => {
+    let app;
+    let prisma;
+    let fixQueue;
+
+    const project = {
+        id: 99,
+        path_with_namespace: 'platform/backend/api',
+        web_url: 'https://gitlab.com/platform/backend/api',
+    };
+
+    const pipelinePayload = {
+        object_kind: 'pipeline',
+        object_attributes: {
+            id: 1234,
+            ref: 'feature/login',
+            tag: false,
+            sha: 'abc1234def5678',
+            status: 'failed',
+            url: 'https://gitlab.com/platform/backend/api/-/pipelines/1234',
+        },
+        project,
+        builds: [
+            { id: 11, stage: 'lint', name: 'eslint', status: 'failed', allow_failure: true },
+            { id: 12, stage: 'test', name: 'jest', status: 'failed', allow_failure: false },
+            { id: 13, stage: 'build', name: 'docker', status: 'success', allow_failure: false },
+        ],
+    };
+
+    const send = (eventType, payload, token = 'gitlab-secret') => request(app)
+        .post('/webhooks/gitlab')
+        .set('X-Gitlab-Event', eventType)
+        .set('X-Gitlab-Token', token)
+        .send(payload);
+
+    beforeEach(async () => {
+        jest.resetModules();
+        process.env.GITLAB_WEBHOOK_SECRET = 'gitlab-secret';
+
+        prisma = (await import('../src/config/database.js')).default;
+        fixQueue = (await import('../src/queue/fix-queue.js')).fixQueue;
+        prisma.failureEvent.findFirst.mockReset().mockResolvedValue(null);
+        prisma.failureEvent.create.mockReset().mockResolvedValue({ id: 'event-1' });
+        fixQueue.add.mockClear();
+
+        const express = (await import('express')).default;
+        const gitlabRouter = (await import('../src/webhooks/gitlab-listener.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/webhooks', gitlabRouter);
+    });
+
+    afterEach(() => {
+        delete process.env.GITLAB_WEBHOOK_SECRET;
+    });
+
+    it('should reject requests with a wrong token', async () => {
+        await send('Pipeline Hook', pipelinePayload, 'nope').expect(401);
+
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should queue a failed pipeline with the job that failed it', async () => {
+        const response = await send('Pipeline Hook', pipelinePayload).expect(202);
+
+        expect(response.body.eventId).toBe('event-1');
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                repoFullName: 'platform/backend/api',
+                repoOwner: 'platform/backend',
+                repoName: 'api',
+                runId: 1234,
+                jobId: 12,
+                source: 'gitlab_ci',
+                scm: 'gitlab',
+                branch: 'feature/login',
+                workflowName: 'test: jest',
+            }),
+        });
+        expect(fixQueue.add).toHaveBeenCalledWith('process-failure', expect.objectContaining({
+            owner: 'platform/backend',
+            repo: 'api',
+            scm: 'gitlab',
+            runId: 1234,
+            jobId: 12,
+        }), expect.any(Object));
+    });
+
+    it('should process each pipeline once whether it arrives as a pipeline or a job', async () => {
+        prisma.failureEvent.findFirst.mockResolvedValue({ id: 'event-1' });
+
+        const response = await send('Job Hook', {
+            object_kind: 'build',
+            build_id: 12,
+            build_name: 'jest',
+            build_stage: 'test',
+            build_status: 'failed',
+            build_allow_failure: false,
+            pipeline_id: 1234,
+            ref: 'feature/login',
+            sha: 'abc1234def5678',
+            project,
+        }).expect(200);
+
+        expect(response.body.message).toBe('Pipeline already queued');
+        expect(prisma.failureEvent.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+            where: { repoFullName: 'platform/backend/api', scm: 'gitlab', runId: 1234 },
+        }));
+        expect(fixQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should queue a pipeline once when its pipeline and job hooks race', async () => {
+        prisma.failureEvent.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+        const response = await send('Pipeline Hook', pipelinePayload).expect(200);
+
+        expect(response.body.message).toBe('Pipeline already queued');
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ dedupeKey: 'gitlab_ci:platform/backend/api:1234' }),
+        });
+        expect(fixQueue.add).not.toHaveBeenCalled();
+    });
+});
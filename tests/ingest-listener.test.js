@@ -0,0 +1,181 @@
+/**
+ * Log Ingestion Tests
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import zlib from 'zlib';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+    default: {
+        failureEvent: {
+            create: jest.fn(),
+        },
+        rateLimit: {
+            findUnique: jest.fn(),
+            update: jest.fn(() => Promise.resolve({})),
+        },
+    },
+}));
+
+jest.unstable_mockModule('../src/queue/fix-queue.js', () => ({
+    fixQueue: {
+        add: jest.fn(),
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('Log ingestion', () => {
+    let app;
+    let prisma;
+    let fixQueue;
+
+    const log = 'src/app.js:3\nSyntaxError: Unexpected token ;\n';
+    const metadata = { owner: 'my-org', repo: 'my-repo', commitSha: 'abc1234def5678', branch: 'main', runId: 42 };
+
+    const post = (token = 'ingest-secret') => request(app)
+        .post('/api/ingest')
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        jest.resetModules();
+        process.env.INGEST_API_TOKEN = 'ingest-secret';
+        process.env.INGEST_MAX_LOG_BYTES = '1024';
+
+        prisma = (await import('../src/config/database.js')).default;
+        fixQueue = (await import('../src/queue/fix-queue.js')).fixQueue;
+        prisma.failureEvent.create.mockReset().mockResolvedValue({ id: 'event-1' });
+        prisma.rateLimit.findUnique.mockReset().mockResolvedValue({
+            isBlacklisted: false,
+            attemptsThisHour: 0,
+            hourlyResetAt: new Date(Date.now() + 60 * 60 * 1000),
+        });
+        fixQueue.add.mockReset().mockResolvedValue({ id: 'job-1' });
+
+        const express = (await import('express')).default;
+        const ingestRouter = (await import('../src/webhooks/ingest-listener.js')).default;
+
+        // As mounted by the server: before the default (small) JSON parser
+        app = express();
+        app.use('/api/ingest', ingestRouter);
+        app.use(express.json());
+    });
+
+    afterEach(() => {
+        delete process.env.INGEST_API_TOKEN;
+        delete process.env.INGEST_MAX_LOG_BYTES;
+    });
+
+    it('should stay disabled while no token is configured', async () => {
+        delete process.env.INGEST_API_TOKEN;
+
+        await post().send({ ...metadata, log }).expect(503);
+
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject missing and wrong tokens', async () => {
+        await request(app).post('/api/ingest').send({ ...metadata, log }).expect(401);
+        await post('nope').send({ ...metadata, log }).expect(401);
+
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should store a JSON log on the event and queue it', async () => {
+        const response = await post().send({ ...metadata, log }).expect(202);
+
+        expect(response.body).toEqual(expect.objectContaining({ eventId: 'event-1', jobId: 'job-1' }));
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                repoFullName: 'my-org/my-repo',
+                commitSha: 'abc1234def5678',
+                runId: 42,
+                source: 'ingest',
+                scm: 'github',
+                rawLog: log,
+                status: 'DETECTED',
+            }),
+        });
+        expect(fixQueue.add).toHaveBeenCalledWith('process-failure', expect.objectContaining({
+            eventId: 'event-1',
+            owner: 'my-org',
+            repo: 'my-repo',
+            source: 'ingest',
+            branch: 'main',
+        }));
+        expect(prisma.rateLimit.update).toHaveBeenCalled();
+    });
+
+    it('should read a plain-text body with its metadata in the query string', async () => {
+        await post()
+            .query({ ...metadata, scm: 'gitlab' })
+            .set('Content-Type', 'text/plain')
+            .send(log)
+            .expect(202);
+
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ repoFullName: 'my-org/my-repo', scm: 'gitlab', runId: 42, rawLog: log }),
+        });
+    });
+
+    it('should gunzip a gzip body', async () => {
+        await post()
+            .query(metadata)
+            .set('Content-Type', 'application/gzip')
+            .send(zlib.gzipSync(log))
+            .expect(202);
+
+        expect(prisma.failureEvent.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ rawLog: log }),
+        });
+    });
+
+    it('should reject a gzip body that inflates past the size limit', async () => {
+        const bomb = zlib.gzipSync('x'.repeat(64 * 1024));
+        expect(bomb.length).toBeLessThan(1024);
+
+        const response = await post()
+            .query(metadata)
+            .set('Content-Type', 'application/gzip')
+            .send(bomb)
+            .expect(400);
+
+        expect(response.body.error).toContain('Could not decompress log');
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject bodies over the size limit', async () => {
+        await post().send({ ...metadata, log: 'x'.repeat(2048) }).expect(413);
+        await post().query(metadata).set('Content-Type', 'text/plain').send('x'.repeat(2048)).expect(413);
+
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid metadata and empty logs', async () => {
+        const invalid = await post().send({ ...metadata, commitSha: 'not-a-sha', log }).expect(400);
+        await post().send({ ...metadata, log: '  \n' }).expect(400);
+
+        expect(invalid.body.details).toEqual([expect.stringContaining('commitSha')]);
+        expect(prisma.failureEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should not queue a failure once the repository is rate limited', async () => {
+        prisma.rateLimit.findUnique.mockResolvedValue({
+            isBlacklisted: true,
+            attemptsThisHour: 0,
+            hourlyResetAt: new Date(Date.now() + 60 * 60 * 1000),
+        });
+
+        await post().send({ ...metadata, log }).expect(429);
+
+        expect(fixQueue.add).not.toHaveBeenCalled();
+    });
+});
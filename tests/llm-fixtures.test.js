@@ -0,0 +1,123 @@
+/**
+ * LLM Fixture Record/Replay Tests
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        startOperation: jest.fn(() => Date.now()),
+        endOperation: jest.fn(),
+        failOperation: jest.fn(),
+    },
+}));
+
+const BUILD_LOG = `
+src/utils/math.js:12
+    const total = values.reduce((a, b) => a + b, 0;
+                                                  ^
+SyntaxError: missing ) after argument list
+`;
+
+const SCOUT_RESPONSE = JSON.stringify({
+    filePath: 'src/utils/math.js',
+    lineNumber: 12,
+    errorType: 'SyntaxError',
+    errorMessage: 'missing ) after argument list',
+    confidence: 0.95,
+});
+
+describe('LLM Fixtures', () => {
+    let fixtureDir;
+    let scout;
+    const originalFetch = global.fetch;
+
+    const loadScout = async () => {
+        jest.resetModules();
+        scout = (await import('../src/agents/scout.js')).scout;
+    };
+
+    beforeEach(async () => {
+        fixtureDir = await mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+        process.env.LLM_FIXTURE_DIR = fixtureDir;
+        process.env.OPENROUTER_API_KEY = 'test-key';
+        global.fetch = jest.fn();
+    });
+
+    afterEach(async () => {
+        global.fetch = originalFetch;
+        delete process.env.LLM_FIXTURE_MODE;
+        delete process.env.LLM_FIXTURE_DIR;
+        delete process.env.OPENROUTER_API_KEY;
+        await rm(fixtureDir, { recursive: true, force: true });
+    });
+
+    it('should replay a recorded Scout prompt without calling the provider', async () => {
+        process.env.LLM_FIXTURE_MODE = 'record';
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({
+                choices: [{ message: { content: SCOUT_RESPONSE } }],
+                usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 },
+            }),
+        });
+        await loadScout();
+
+        const recorded = await scout.aiAnalyze(BUILD_LOG, 'javascript');
+
+        const files = await readdir(fixtureDir);
+        expect(files).toHaveLength(1);
+        const fixture = JSON.parse(await readFile(path.join(fixtureDir, files[0]), 'utf8'));
+        expect(fixture.prompt).toContain('missing ) after argument list');
+        expect(fixture.response.text).toBe(SCOUT_RESPONSE);
+
+        process.env.LLM_FIXTURE_MODE = 'replay';
+        delete process.env.OPENROUTER_API_KEY;
+        global.fetch.mockReset();
+        await loadScout();
+
+        const replayed = await scout.aiAnalyze(BUILD_LOG, 'javascript');
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(replayed.filePath).toBe(recorded.filePath);
+        expect(replayed.lineNumber).toBe(12);
+        expect(replayed.tokens).toBe(120);
+    });
+
+    it('should fail loudly when a prompt has no fixture', async () => {
+        process.env.LLM_FIXTURE_MODE = 'replay';
+        jest.resetModules();
+        const { generateContent } = await import('../src/config/ai-provider.js');
+
+        await expect(generateContent('a prompt nobody recorded', 'PRO')).rejects.toThrow(
+            /No LLM fixture for prompt [0-9a-f]{12} \(tier PRO\)/
+        );
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should key fixtures by tier and JSON mode as well as the prompt', async () => {
+        const { fixtureKey } = await import('../src/config/llm-fixtures.js');
+
+        const base = fixtureKey('prompt', { tier: 'FLASH', json: false });
+
+        expect(fixtureKey('prompt', { tier: 'FLASH', json: false })).toBe(base);
+        expect(fixtureKey('prompt', { tier: 'PRO', json: false })).not.toBe(base);
+        expect(fixtureKey('prompt', { tier: 'FLASH', json: true })).not.toBe(base);
+        expect(fixtureKey('prompt!', { tier: 'FLASH', json: false })).not.toBe(base);
+    });
+
+    it('should reject unknown modes', async () => {
+        process.env.LLM_FIXTURE_MODE = 'playback';
+        const { getFixtureMode } = await import('../src/config/llm-fixtures.js');
+
+        expect(() => getFixtureMode()).toThrow('Invalid LLM_FIXTURE_MODE');
+    });
+});
@@ -0,0 +1,293 @@
+/**
+ * Operator Agent Tests
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock modules
+jest.unstable_mockModule('../src/config/github.js', () => ({
+    createBranch: jest.fn(),
+    createCommitWithFiles: jest.fn(),
+    createPullRequest: jest.fn(),
+    createIssue: jest.fn(),
+    findOpenIssue: jest.fn(),
+    findOpenPullRequest: jest.fn(),
+    getBranch: jest.fn(),
+    getDefaultBranch: jest.fn(),
+    updateBranch: jest.fn(),
+    createIssueComment: jest.fn(),
+    createReview: jest.fn(),
+    listPullRequestFiles: jest.fn(),
+    requestReviewers: jest.fn(),
+    enableAutoMerge: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/config/gitlab.js', () => ({
+    getGitLabUrl: jest.fn(() => 'https://gitlab.com'),
+    getDefaultBranch: jest.fn(),
+    getBranch: jest.fn(),
+    createCommit: jest.fn(),
+    createMergeRequest: jest.fn(),
+    findOpenMergeRequest: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/config/ai-provider.js', () => ({
+    generateContent: jest.fn(),
+    generateStructured: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        startOperation: jest.fn(() => Date.now()),
+        endOperation: jest.fn(),
+        failOperation: jest.fn(),
+    },
+}));
+
+describe('Operator Agent', () => {
+    let operator;
+    let github;
+    let aiProvider;
+
+    const baseParams = {
+        owner: 'test',
+        repo: 'repo',
+        filePath: 'src/app.js',
+        originalCode: 'import { halper } from "./util.js";',
+        fixedCode: 'import { helper } from "./util.js";',
+        commitSha: 'abc1234def5678',
+        errorInfo: { errorType: 'ImportError', errorMessage: 'halper is not exported', confidence: 0.9 },
+        diffSummary: 'Changed line 1',
+        runId: 42,
+        logsUrl: 'https://github.com/test/repo/actions/runs/42',
+    };
+
+    beforeEach(async () => {
+        jest.resetModules();
+
+        github = await import('../src/config/github.js');
+        aiProvider = await import('../src/config/ai-provider.js');
+        const operatorModule = await import('../src/agents/operator.js');
+        operator = operatorModule.operator;
+
+        github.getDefaultBranch.mockResolvedValue('main');
+        github.createCommitWithFiles.mockResolvedValue({ sha: 'fix9999' });
+        github.createBranch.mockResolvedValue({ ref: 'refs/heads/fix' });
+        github.createPullRequest.mockResolvedValue({ number: 7, html_url: 'https://github.com/test/repo/pull/7' });
+        github.getBranch.mockResolvedValue({ name: 'feature/login' });
+        github.findOpenPullRequest.mockResolvedValue(null);
+        github.createIssueComment.mockResolvedValue({ html_url: 'https://github.com/test/repo/pull/3#issuecomment-1' });
+        aiProvider.generateContent.mockRejectedValue(new Error('AI unavailable'));
+        aiProvider.generateStructured.mockRejectedValue(new Error('AI unavailable'));
+    });
+
+    describe('createFixPR', () => {
+        it('should commit a single-file fix on top of the failing commit', async () => {
+            const result = await operator.createFixPR(baseParams);
+
+            expect(github.createCommitWithFiles).toHaveBeenCalledWith(
+                'test',
+                'repo',
+                'abc1234def5678',
+                [{ path: 'src/app.js', content: baseParams.fixedCode }],
+                expect.stringContaining('src/app.js')
+            );
+            expect(github.createBranch).toHaveBeenCalledWith('test', 'repo', result.branchName, 'fix9999');
+            expect(result.prNumber).toBe(7);
+            expect(result.files).toEqual(['src/app.js']);
+        });
+
+        it('should write every file of a multi-file fix in one commit', async () => {
+            const result = await operator.createFixPR({
+                ...baseParams,
+                files: [
+                    { path: 'src/app.js', originalCode: 'a', fixedCode: 'a2' },
+                    { path: 'src/util.js', originalCode: 'b', fixedCode: 'b2' },
+                ],
+            });
+
+            expect(github.createCommitWithFiles).toHaveBeenCalledTimes(1);
+            expect(github.createCommitWithFiles.mock.calls[0][3]).toEqual([
+                { path: 'src/app.js', content: 'a2' },
+                { path: 'src/util.js', content: 'b2' },
+            ]);
+            expect(result.title).toContain('(+1 file)');
+            expect(result.files).toEqual(['src/app.js', 'src/util.js']);
+        });
+
+        it('should render the unified diff in the PR body', async () => {
+            await operator.createFixPR({
+                ...baseParams,
+                diff: '--- a/src/app.js\n+++ b/src/app.js\n@@ -1,1 +1,1 @@\n-import { halper } from "./util.js";\n+import { helper } from "./util.js";',
+                diffStats: { additions: 1, deletions: 1, hunks: 1, files: [{ path: 'src/app.js' }] },
+            });
+
+            const body = github.createPullRequest.mock.calls[0][3];
+            expect(body).toContain('**+1 −1 in 1 file**');
+            expect(body).toContain('```diff\n--- a/src/app.js');
+            expect(body).not.toContain('Changed line 1');
+        });
+
+        it('should open the fix PR against the failing branch', async () => {
+            const result = await operator.createFixPR({ ...baseParams, branch: 'feature/login' });
+
+            expect(github.createPullRequest.mock.calls[0][5]).toBe('feature/login');
+            expect(result.baseBranch).toBe('feature/login');
+            expect(result.target).toBe('failing-branch');
+        });
+
+        it('should target the default branch when the failing branch is gone or configured', async () => {
+            github.getBranch.mockResolvedValue(null);
+
+            const deleted = await operator.createFixPR({ ...baseParams, branch: 'feature/login' });
+            const configured = await operator.createFixPR({
+                ...baseParams,
+                branch: 'feature/login',
+                fixTarget: 'default-branch',
+            });
+
+            expect(deleted.baseBranch).toBe('main');
+            expect(configured.baseBranch).toBe('main');
+            expect(configured.target).toBe('default-branch');
+        });
+
+        it('should push the fix to the author\'s open PR and comment on it', async () => {
+            github.findOpenPullRequest.mockResolvedValue({
+                number: 3,
+                html_url: 'https://github.com/test/repo/pull/3',
+                head: { ref: 'feature/login' },
+                base: { ref: 'main' },
+            });
+
+            const result = await operator.createFixPR({
+                ...baseParams,
+                branch: 'feature/login',
+                fixTarget: 'pull-request',
+            });
+
+            expect(github.updateBranch).toHaveBeenCalledWith('test', 'repo', 'feature/login', 'fix9999');
+            expect(github.createIssueComment).toHaveBeenCalledWith('test', 'repo', 3, expect.stringContaining('Pushed fix999'));
+            expect(github.createBranch).not.toHaveBeenCalled();
+            expect(github.createPullRequest).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ prNumber: 3, target: 'pull-request', branchName: 'feature/login' });
+        });
+
+        it('should open a fix PR when the author\'s branch has moved on', async () => {
+            github.findOpenPullRequest.mockResolvedValue({ number: 3, head: { ref: 'feature/login' } });
+            github.updateBranch.mockRejectedValue(Object.assign(new Error('Update is not a fast forward'), { status: 422 }));
+
+            const result = await operator.createFixPR({
+                ...baseParams,
+                branch: 'feature/login',
+                fixTarget: 'pull-request',
+            });
+
+            expect(github.createPullRequest.mock.calls[0][5]).toBe('feature/login');
+            expect(result).toMatchObject({ prNumber: 7, target: 'failing-branch' });
+        });
+
+        it('should post the fix as review suggestions on the author\'s PR', async () => {
+            github.findOpenPullRequest.mockResolvedValue({
+                number: 3,
+                html_url: 'https://github.com/test/repo/pull/3',
+                head: { ref: 'feature/login', sha: 'abc1234def5678' },
+                base: { ref: 'main' },
+            });
+            github.listPullRequestFiles.mockResolvedValue([
+                { filename: 'src/app.js', patch: '@@ -0,0 +1,1 @@\n+import { halper } from "./util.js";' },
+            ]);
+            github.createReview.mockResolvedValue({ id: 55, html_url: 'https://github.com/test/repo/pull/3#pullrequestreview-55' });
+
+            const result = await operator.createFixPR({
+                ...baseParams,
+                branch: 'feature/login',
+                fixTarget: 'review-suggestions',
+            });
+
+            expect(github.findOpenPullRequest).toHaveBeenCalledWith(
+                'test', 'repo', 'feature/login', 'abc1234def5678', { includeForks: true }
+            );
+            expect(github.createReview).toHaveBeenCalledWith('test', 'repo', 3, expect.objectContaining({
+                commitId: 'abc1234def5678',
+                comments: [{
+                    path: 'src/app.js',
+                    body: '```suggestion\nimport { helper } from "./util.js";\n```',
+                    side: 'RIGHT',
+                    line: 1,
+                }],
+            }));
+            expect(github.createCommitWithFiles).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ prNumber: 3, target: 'review-suggestions', suggestions: 1, reviewId: 55 });
+        });
+
+        it('should comment instead when the fix is outside the PR diff', async () => {
+            github.findOpenPullRequest.mockResolvedValue({
+                number: 3,
+                head: { ref: 'feature/login', sha: 'abc1234def5678' },
+            });
+            github.listPullRequestFiles.mockResolvedValue([
+                { filename: 'src/other.js', patch: '@@ -1 +1 @@\n-a\n+b' },
+            ]);
+
+            const result = await operator.createFixPR({
+                ...baseParams,
+                branch: 'feature/login',
+                fixTarget: 'review-suggestions',
+            });
+
+            expect(github.createReview).not.toHaveBeenCalled();
+            expect(github.createIssueComment).toHaveBeenCalledWith('test', 'repo', 3, expect.stringContaining('outside this PR\'s diff'));
+            expect(result).toMatchObject({ suggestions: 0, commentUrl: expect.any(String) });
+        });
+
+        it('should not create a branch when the commit fails', async () => {
+            github.createCommitWithFiles.mockRejectedValue(new Error('tree rejected'));
+
+            await expect(operator.createFixPR(baseParams)).rejects.toThrow('tree rejected');
+            expect(github.createBranch).not.toHaveBeenCalled();
+        });
+
+        it('should open a merge request through the GitLab provider', async () => {
+            const gitlab = await import('../src/config/gitlab.js');
+            const { runWithContext } = await import('../src/utils/request-context.js');
+            gitlab.getDefaultBranch.mockResolvedValue('main');
+            gitlab.getBranch.mockResolvedValue({ name: 'feature/login', commit: { id: 'abc1234def5678' } });
+            gitlab.createCommit.mockResolvedValue({ id: 'fix9999', web_url: 'https://gitlab.com/platform/api/-/commit/fix9999' });
+            gitlab.createMergeRequest.mockResolvedValue({
+                iid: 4,
+                web_url: 'https://gitlab.com/platform/api/-/merge_requests/4',
+                source_branch: 'autopsy/fix',
+                target_branch: 'feature/login',
+            });
+
+            const result = await runWithContext({ scm: 'gitlab' }, () => operator.createFixPR({
+                ...baseParams,
+                owner: 'platform',
+                repo: 'api',
+                branch: 'feature/login',
+                fixTarget: 'review-suggestions',
+            }));
+
+            expect(gitlab.createCommit).toHaveBeenCalledWith('platform', 'api', expect.objectContaining({
+                branch: result.branchName,
+                startSha: 'abc1234def5678',
+                files: [{ path: 'src/app.js', content: baseParams.fixedCode }],
+            }));
+            expect(gitlab.createMergeRequest).toHaveBeenCalledWith('platform', 'api', expect.objectContaining({
+                sourceBranch: result.branchName,
+                targetBranch: 'feature/login',
+            }));
+            expect(github.createCommitWithFiles).not.toHaveBeenCalled();
+            expect(result).toMatchObject({
+                prNumber: 4,
+                prUrl: 'https://gitlab.com/platform/api/-/merge_requests/4',
+                target: 'failing-branch',
+                commitSha: 'fix9999',
+            });
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * Patch Tests
+ */
+
+import { jest } from '@jest/globals';
+
+const ORIGINAL = [
+    'function add(a, b) {',
+    '    return a + b',
+    '}',
+    '',
+    'function sub(a, b) {',
+    '    return a - b',
+    '}',
+    '',
+].join('\n');
+
+describe('Patch', () => {
+    let patch;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        patch = await import('../src/utils/patch.js');
+    });
+
+    describe('search/replace blocks', () => {
+        it('should apply every block and keep the rest of the file', () => {
+            const response = [
+                '<<<<<<< SEARCH',
+                '    return a + b',
+                '=======',
+                '    return a + b;',
+                '>>>>>>> REPLACE',
+                '',
+                '<<<<<<< SEARCH',
+                '    return a - b',
+                '=======',
+                '    return a - b;',
+                '>>>>>>> REPLACE',
+            ].join('\n');
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.format).toBe('search-replace');
+            expect(result.success).toBe(true);
+            expect(result.code).toBe(ORIGINAL.replace('a + b', 'a + b;').replace('a - b', 'a - b;'));
+        });
+
+        it('should match lines whose indentation the model got wrong and keep the file\'s indentation', () => {
+            const response = '<<<<<<< SEARCH\nreturn a + b\n=======\nreturn a + b;\n>>>>>>> REPLACE';
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.applied[0].level).toBe('indentation');
+            expect(result.code).toContain('    return a + b;\n');
+        });
+
+        it('should keep CRLF line endings on replaced and added lines', () => {
+            const crlf = ORIGINAL.replace(/\n/g, '\r\n');
+            const response = '<<<<<<< SEARCH\n    return a + b\n=======\n    const sum = a + b;\n    return sum;\n>>>>>>> REPLACE';
+
+            const result = patch.applyPatch(crlf, response);
+
+            expect(result.success).toBe(true);
+            expect(result.applied[0].level).toBe('exact');
+            expect(result.code).toBe(crlf.replace('    return a + b', '    const sum = a + b;\r\n    return sum;'));
+            expect(result.code.match(/(?<!\r)\n/g)).toBeNull();
+        });
+
+        it('should reject the whole patch when one block does not apply', () => {
+            const response = [
+                '<<<<<<< SEARCH',
+                '    return a + b',
+                '=======',
+                '    return a + b;',
+                '>>>>>>> REPLACE',
+                '<<<<<<< SEARCH',
+                '    return a * b',
+                '=======',
+                '    return a * b;',
+                '>>>>>>> REPLACE',
+            ].join('\n');
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.success).toBe(false);
+            expect(result.code).toBe(ORIGINAL);
+            expect(patch.describePatchFailure(result)).toBe(
+                'Hunk 2: search text not found in the original file (starting `return a * b`)'
+            );
+        });
+
+        it('should reject ambiguous blocks', () => {
+            const response = '<<<<<<< SEARCH\n}\n=======\n};\n>>>>>>> REPLACE';
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.rejected[0].reason).toMatch(/matches 2 locations/);
+        });
+
+        it('should report a block cut off at the token limit', () => {
+            const response = '<<<<<<< SEARCH\n    return a + b\n=======\n    return a';
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['Hunk 1 is truncated (no >>>>>>> REPLACE marker)']);
+        });
+    });
+
+    describe('unified diffs', () => {
+        it('should apply hunks using the header line to pick between identical matches', () => {
+            const response = [
+                '```diff',
+                '--- a/src/math.js',
+                '+++ b/src/math.js',
+                '@@ -7 +7 @@',
+                '-}',
+                '+};',
+                '```',
+            ].join('\n');
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.format).toBe('unified-diff');
+            expect(result.success).toBe(true);
+            expect(result.code.split('\n')[2]).toBe('}');
+            expect(result.code.split('\n')[6]).toBe('};');
+        });
+
+        it('should reject a final hunk shorter than its header promises', () => {
+            const response = '@@ -1,3 +1,3 @@\n function add(a, b) {\n-    return a + b';
+
+            const result = patch.applyPatch(ORIGINAL, response);
+
+            expect(result.success).toBe(false);
+            expect(result.errors[0]).toMatch(/^Hunk 1 is truncated/);
+        });
+    });
+
+    it('should not treat a whole-file response as a patch', () => {
+        const result = patch.applyPatch(ORIGINAL, '```javascript\nconst x = 1;\n```');
+
+        expect(result.format).toBeNull();
+    });
+
+    describe('multi-file responses', () => {
+        it('should split edits by file and join sections naming the same file', () => {
+            const response = [
+                'Here is the fix:',
+                'FILE: src/app.js',
+                '<<<<<<< SEARCH',
+                "import { fmt } from './format';",
+                '=======',
+                "import { format } from './format';",
+                '>>>>>>> REPLACE',
+                '',
+                '### FILE: `src/format.js`',
+                '<<<<<<< SEARCH',
+                'export const fmt = 1;',
+                '=======',
+                'export const format = 1;',
+                '>>>>>>> REPLACE',
+                'FILE: src/app.js',
+                '<<<<<<< SEARCH',
+                'fmt(x);',
+                '=======',
+                'format(x);',
+                '>>>>>>> REPLACE',
+            ].join('\n');
+
+            const sections = patch.splitPatchByFile(response);
+
+            expect(sections.map(s => s.path)).toEqual(['src/app.js', 'src/format.js']);
+            expect(patch.applyPatch("import { fmt } from './format';\nfmt(x);\n", sections[0].text).code)
+                .toBe("import { format } from './format';\nformat(x);\n");
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Pattern Store Tests
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+    default: {
+        successPattern: {
+            findUnique: jest.fn(),
+            findMany: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+        },
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('Pattern Store', () => {
+    let patternStore;
+    let prisma;
+
+    beforeEach(async () => {
+        jest.resetModules();
+
+        prisma = (await import('../src/config/database.js')).default;
+        patternStore = await import('../src/utils/pattern-store.js');
+    });
+
+    describe('normalizeErrorSignature', () => {
+        it('should give the same signature to the same kind of error', () => {
+            const a = patternStore.normalizeErrorSignature("Cannot find module './utils/math.js' from src/app.js:12");
+            const b = patternStore.normalizeErrorSignature("Cannot find module './lib/date.js' from lib/index.js:3");
+
+            expect(a).toBe(b);
+            expect(a).toBe('cannot find module <id> from <path>:<n>');
+        });
+
+        it('should handle empty messages', () => {
+            expect(patternStore.normalizeErrorSignature(null)).toBe('');
+        });
+    });
+
+    describe('buildFixPattern', () => {
+        it('should keep only the changed lines', () => {
+            const pattern = patternStore.buildFixPattern([{
+                originalCode: 'a\nb\nconst x = ;\nc',
+                fixedCode: 'a\nb\nconst x = 1;\nc',
+            }]);
+
+            expect(pattern).toBe('- const x = ;\n+ const x = 1;');
+        });
+    });
+
+    describe('recordPatternOutcome', () => {
+        const outcome = {
+            errorType: 'TypeError',
+            language: 'javascript',
+            errorMessage: "Cannot read properties of undefined (reading 'id')",
+            files: [{ originalCode: 'user.id', fixedCode: 'user?.id' }],
+        };
+
+        it('should create a pattern on the first merge', async () => {
+            prisma.successPattern.findUnique.mockResolvedValue(null);
+            prisma.successPattern.create.mockImplementation(async ({ data }) => data);
+
+            const pattern = await patternStore.recordPatternOutcome({ ...outcome, merged: true });
+
+            expect(pattern.occurrences).toBe(1);
+            expect(pattern.successRate).toBe(1);
+            expect(pattern.fixPattern).toBe('- user.id\n+ user?.id');
+        });
+
+        it('should lower the success rate when a PR is closed unmerged', async () => {
+            prisma.successPattern.findUnique.mockResolvedValue({
+                id: 'p1',
+                occurrences: 3,
+                successRate: 1,
+                fixPattern: '- old\n+ new',
+            });
+            prisma.successPattern.update.mockImplementation(async ({ data }) => data);
+
+            const pattern = await patternStore.recordPatternOutcome({ ...outcome, merged: false });
+
+            expect(pattern.occurrences).toBe(4);
+            expect(pattern.successRate).toBe(0.75);
+            expect(pattern.fixPattern).toBe('- old\n+ new');
+        });
+
+        it('should return null when the database fails', async () => {
+            prisma.successPattern.findUnique.mockRejectedValue(new Error('connection refused'));
+
+            const pattern = await patternStore.recordPatternOutcome({ ...outcome, merged: true });
+
+            expect(pattern).toBeNull();
+        });
+    });
+
+    describe('findMatchingPatterns', () => {
+        it('should rank candidates by signature similarity', async () => {
+            prisma.successPattern.findMany.mockResolvedValue([
+                { id: 'far', errorPattern: 'x is not a function', successRate: 1, occurrences: 9 },
+                { id: 'near', errorPattern: 'cannot read properties of undefined (reading <id>)', successRate: 0.8, occurrences: 2 },
+            ]);
+
+            const patterns = await patternStore.findMatchingPatterns({
+                errorType: 'TypeError',
+                language: 'javascript',
+                errorMessage: "Cannot read properties of undefined (reading 'name')",
+            });
+
+            expect(patterns[0].id).toBe('near');
+            expect(prisma.successPattern.findMany).toHaveBeenCalledWith(expect.objectContaining({
+                where: expect.objectContaining({ successRate: { gte: 0.5 } }),
+            }));
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Repository Configuration API Tests
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+    default: {
+        repoConfig: {
+            findUnique: jest.fn(),
+        },
+        rateLimit: {
+            findUnique: jest.fn(),
+            upsert: jest.fn(),
+        },
+        configAuditLog: {
+            create: jest.fn(),
+            findMany: jest.fn(),
+            count: jest.fn(),
+        },
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('Repository Configuration API', () => {
+    let app;
+    let prisma;
+
+    const auditEntry = {
+        id: 'audit-1',
+        repoFullName: 'my-org/my-repo',
+        action: 'BLACKLISTED',
+        actor: 'alice',
+        changes: { reason: 'Runaway fix loop' },
+    };
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.ADMIN_API_TOKENS;
+        process.env.ADMIN_API_TOKEN = 'admin-secret';
+
+        prisma = (await import('../src/config/database.js')).default;
+        prisma.repoConfig.findUnique.mockReset().mockResolvedValue(null);
+        prisma.rateLimit.findUnique.mockReset().mockResolvedValue({ isBlacklisted: true });
+        prisma.configAuditLog.findMany.mockReset().mockResolvedValue([auditEntry]);
+        prisma.configAuditLog.count.mockReset().mockResolvedValue(1);
+
+        const express = (await import('express')).default;
+        const repoConfigRouter = (await import('../src/config/repo-config-routes.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/repos', repoConfigRouter);
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_API_TOKEN;
+    });
+
+    it('should not show the audit trail without a valid admin token', async () => {
+        await request(app).get('/api/repos/my-org/my-repo/audit').expect(401);
+        await request(app).get('/api/repos/my-org/my-repo/audit')
+            .set('Authorization', 'Bearer wrong')
+            .expect(401);
+
+        expect(prisma.configAuditLog.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should not show repository config without a valid admin token', async () => {
+        await request(app).get('/api/repos/my-org/my-repo/config').expect(401);
+
+        expect(prisma.repoConfig.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should disable reads while no admin token is configured', async () => {
+        delete process.env.ADMIN_API_TOKEN;
+
+        await request(app).get('/api/repos/my-org/my-repo/audit')
+            .set('Authorization', 'Bearer admin-secret')
+            .expect(503);
+        await request(app).get('/api/repos/my-org/my-repo/config')
+            .set('Authorization', 'Bearer admin-secret')
+            .expect(503);
+
+        expect(prisma.configAuditLog.findMany).not.toHaveBeenCalled();
+        expect(prisma.repoConfig.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should return the audit trail and config to admins', async () => {
+        const audit = await request(app).get('/api/repos/my-org/my-repo/audit')
+            .set('Authorization', 'Bearer admin-secret')
+            .expect(200);
+        const config = await request(app).get('/api/repos/my-org/my-repo/config')
+            .set('Authorization', 'Bearer admin-secret')
+            .expect(200);
+
+        expect(audit.body.entries).toEqual([auditEntry]);
+        expect(prisma.configAuditLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { repoFullName: 'my-org/my-repo' },
+        }));
+        expect(config.body).toMatchObject({ repoFullName: 'my-org/my-repo', config: null, isBlacklisted: true });
+    });
+});
@@ -145,6 +145,30 @@ SyntaxError: '(' was never closed
         });
     });
 
+    describe('analyzeAll', () => {
+        it('should group every error in the log by file', async () => {
+            const buildLog = `
+/home/runner/work/app/app/src/api.ts(10,5): error TS2322: Type 'string' is not assignable to type 'number'.
+/home/runner/work/app/app/src/models/user.ts(3,1): error TS2304: Cannot find name 'Role'.
+/home/runner/work/app/app/src/api.ts(22,9): error TS2339: Property 'id' does not exist on type '{}'.
+      `;
+
+            const result = await scout.analyzeAll(buildLog, { useAI: false });
+
+            expect(result.totalErrors).toBe(3);
+            expect(result.groups.map(g => g.filePath)).toEqual(['src/api.ts', 'src/models/user.ts']);
+            expect(result.groups[0].errors.map(e => e.lineNumber)).toEqual([10, 22]);
+            expect(result.groups[0].language).toBe('typescript');
+        });
+
+        it('should return no groups for unparseable logs without AI', async () => {
+            const result = await scout.analyzeAll('Build failed', { useAI: false });
+
+            expect(result.groups).toEqual([]);
+            expect(result.totalErrors).toBe(0);
+        });
+    });
+
     describe('getSummary', () => {
         it('should generate readable summary', () => {
             const result = {
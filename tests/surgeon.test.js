@@ -121,6 +121,139 @@ def calculate(x, y):
         });
     });
 
+    describe('generateFixWithRepair', () => {
+        const params = {
+            filePath: 'src/app.js',
+            lineNumber: 3,
+            errorType: 'SyntaxError',
+            errorMessage: 'Unexpected token',
+            language: 'javascript',
+            originalCode: 'const a = ;',
+        };
+
+        const attempt = (success, reason) => ({
+            success,
+            fixedCode: success ? 'const a = 1;' : 'const a = (;',
+            originalCode: params.originalCode,
+            files: [{ path: 'src/app.js', originalCode: params.originalCode, fixedCode: 'const a = 1;' }],
+            confidence: success ? 0.9 : 0.3,
+            validation: success ? { isValid: true } : { isValid: false, reason },
+        });
+
+        it('should feed the rejection reason into the next attempt', async () => {
+            const generateFix = jest.spyOn(surgeon, 'generateFix')
+                .mockResolvedValueOnce(attempt(false, 'Fixed code does not parse:\nLine 1:12: Expression expected.'))
+                .mockResolvedValueOnce(attempt(true));
+            const onAttempt = jest.fn();
+
+            const result = await surgeon.generateFixWithRepair(params, { onAttempt });
+
+            expect(result.success).toBe(true);
+            expect(result.iteration).toBe(2);
+            expect(onAttempt).toHaveBeenCalledTimes(2);
+            expect(generateFix.mock.calls[0][0].repair).toBeNull();
+            expect(generateFix.mock.calls[1][0].repair).toMatchObject({
+                attempt: 2,
+                feedback: expect.stringContaining('Expression expected'),
+            });
+        });
+
+        it('should stop after the iteration budget', async () => {
+            jest.spyOn(surgeon, 'generateFix').mockResolvedValue(attempt(false, 'Fixed code is identical to original'));
+
+            const result = await surgeon.generateFixWithRepair(params, { maxIterations: 3 });
+
+            expect(result.success).toBe(false);
+            expect(result.iteration).toBe(3);
+            expect(surgeon.generateFix).toHaveBeenCalledTimes(3);
+        });
+
+        it('should treat a failed sandbox check as a rejection', async () => {
+            jest.spyOn(surgeon, 'generateFix').mockImplementation(async () => attempt(true));
+            const verify = jest.fn()
+                .mockResolvedValueOnce({ passed: false, command: 'npm test', exitCode: 1, output: 'TypeError: a is not a function' })
+                .mockResolvedValueOnce({ passed: true, command: 'npm test', exitCode: 0, output: '' });
+
+            const result = await surgeon.generateFixWithRepair(params, { verify });
+
+            expect(result.success).toBe(true);
+            expect(result.iteration).toBe(2);
+            expect(surgeon.generateFix.mock.calls[1][0].repair.feedback).toContain('TypeError: a is not a function');
+        });
+    });
+
+    describe('applyFixResponse', () => {
+        const original = 'const a = ;\nexport default a;\n';
+
+        it('should apply search/replace edits to the original code', () => {
+            const response = '<<<<<<< SEARCH\nconst a = ;\n=======\nconst a = 1;\n>>>>>>> REPLACE';
+
+            const edit = surgeon.applyFixResponse(original, response, 'javascript');
+
+            expect(edit.success).toBe(true);
+            expect(edit.code).toBe('const a = 1;\nexport default a;\n');
+        });
+
+        it('should fall back to whole-file responses', () => {
+            const edit = surgeon.applyFixResponse(original, '```javascript\nconst a = 1;\nexport default a;\n```', 'javascript');
+
+            expect(edit.format).toBe('file');
+            expect(edit.code).toBe('const a = 1;\nexport default a;');
+        });
+    });
+
+    describe('applyMultiFileResponse', () => {
+        const originals = new Map([
+            ['src/app.js', { content: "import { fmt } from './format.js';\nconsole.log(fmt(1));\n" }],
+            ['src/format.js', { content: 'export function format(n) {\n    return String(n);\n}\n' }],
+        ]);
+
+        it('should apply each file\'s search/replace blocks to that file only', () => {
+            const response = [
+                'FILE: src/app.js',
+                '<<<<<<< SEARCH',
+                "import { fmt } from './format.js';",
+                'console.log(fmt(1));',
+                '=======',
+                "import { format } from './format.js';",
+                'console.log(format(1));',
+                '>>>>>>> REPLACE',
+                'FILE: src/unknown.js',
+                '<<<<<<< SEARCH',
+                'a',
+                '=======',
+                'b',
+                '>>>>>>> REPLACE',
+            ].join('\n');
+
+            const { files, problems } = surgeon.applyMultiFileResponse(originals, response);
+
+            expect(problems).toEqual([]);
+            expect(files).toEqual([{
+                path: 'src/app.js',
+                originalCode: originals.get('src/app.js').content,
+                fixedCode: "import { format } from './format.js';\nconsole.log(format(1));\n",
+            }]);
+        });
+
+        it('should report files whose blocks do not apply', () => {
+            const response = [
+                'FILE: src/format.js',
+                '<<<<<<< SEARCH',
+                'export function fmt(n) {',
+                '=======',
+                'export function format(n) {',
+                '>>>>>>> REPLACE',
+            ].join('\n');
+
+            const { files, problems } = surgeon.applyMultiFileResponse(originals, response);
+
+            expect(files).toEqual([]);
+            expect(problems[0]).toContain('src/format.js:');
+            expect(problems[0]).toContain('not found');
+        });
+    });
+
     describe('basicValidate', () => {
         it('should reject empty fixes', () => {
             const result = surgeon.basicValidate('original code', '');
@@ -148,6 +281,28 @@ def calculate(x, y):
             const result = surgeon.basicValidate(original, fixed);
             expect(result.isValid).toBe(true);
         });
+
+        it('should not claim the syntax is valid without parsing', () => {
+            const result = surgeon.basicValidate('const x = 1;', 'const x = 2;');
+            expect(result.syntaxValid).toBeNull();
+        });
+    });
+
+    describe('validateFix', () => {
+        it('should reject fixes that do not parse before asking the AI', async () => {
+            const result = await surgeon.validateFix(
+                'function add(a, b) {\n  return a + b\n}',
+                'function add(a, b) {\n  return a + b;\n',
+                'javascript',
+                "SyntaxError: missing ';'",
+                'src/math.js'
+            );
+
+            expect(result.isValid).toBe(false);
+            expect(result.syntaxValid).toBe(false);
+            expect(result.source).toBe('syntax_check');
+            expect(result.reason).toContain('does not parse');
+        });
     });
 
     describe('calculateConfidence', () => {
@@ -192,6 +347,25 @@ def calculate(x, y):
 
             expect(withSideEffects).toBeLessThan(withoutSideEffects);
         });
+
+        it('should weigh sandbox results', () => {
+            const params = {
+                originalCode: 'const x = 1;',
+                fixedCode: 'const x = 2;',
+                validation: { isValid: true },
+                errorType: 'TypeError',
+                lineNumber: 1,
+            };
+
+            const unverified = surgeon.calculateConfidence(params);
+            const passed = surgeon.calculateConfidence({ ...params, sandbox: { passed: true } });
+            const failed = surgeon.calculateConfidence({ ...params, sandbox: { passed: false } });
+            const skipped = surgeon.calculateConfidence({ ...params, sandbox: { passed: null } });
+
+            expect(passed).toBeGreaterThan(unverified);
+            expect(failed).toBeLessThan(unverified - 0.3);
+            expect(skipped).toBe(unverified);
+        });
     });
 
     describe('generateDiffSummary', () => {
@@ -221,6 +395,15 @@ def calculate(x, y):
 
             expect(summary).toContain('Changed');
         });
+
+        it('should not mark the lines after an insertion as changed', () => {
+            const original = 'a\nb\nc\nd';
+            const fixed = 'a\nimport x;\nb\nc\nd';
+
+            const summary = surgeon.generateDiffSummary(original, fixed);
+
+            expect(summary).toBe('+ Line 2: Added: `import x;...`');
+        });
     });
 
     describe('isComplexError', () => {
@@ -0,0 +1,130 @@
+/**
+ * Syntax Checker Tests
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('Syntax Checker', () => {
+    let syntaxChecker;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        syntaxChecker = await import('../src/utils/syntax-checker.js');
+    });
+
+    describe('JavaScript and TypeScript', () => {
+        it('should accept valid JavaScript', async () => {
+            const result = await syntaxChecker.checkSyntax('export const sum = (a, b) => a + b;', 'javascript', 'src/sum.js');
+            expect(result.valid).toBe(true);
+            expect(result.parser).toBe('typescript');
+        });
+
+        it('should report the location of a JavaScript syntax error', async () => {
+            const result = await syntaxChecker.checkSyntax('const x = ;', 'javascript', 'src/x.js');
+
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toMatchObject({ line: 1, column: 11 });
+        });
+
+        it('should parse JSX and TSX by file extension', async () => {
+            const jsx = await syntaxChecker.checkSyntax('const App = () => <div>Hi</div>;', 'javascript', 'src/App.jsx');
+            const tsx = await syntaxChecker.checkSyntax('const App = (): JSX.Element => <div />;', 'typescript', 'src/App.tsx');
+
+            expect(jsx.valid).toBe(true);
+            expect(tsx.valid).toBe(true);
+        });
+
+        it('should only report syntax errors, not type errors', async () => {
+            const result = await syntaxChecker.checkSyntax('const x: number = "text";', 'typescript', 'src/x.ts');
+            expect(result.valid).toBe(true);
+        });
+
+        it('should reject unbalanced TypeScript', async () => {
+            const result = await syntaxChecker.checkSyntax('function f(a: string {\n  return a;\n}', 'typescript', 'src/f.ts');
+            expect(result.valid).toBe(false);
+        });
+    });
+
+    describe('without TypeScript installed', () => {
+        beforeEach(async () => {
+            jest.resetModules();
+            jest.unstable_mockModule('typescript', () => {
+                throw new Error("Cannot find package 'typescript'");
+            });
+            syntaxChecker = await import('../src/utils/syntax-checker.js');
+        });
+
+        it('should check plain JavaScript modules and scripts with node', async () => {
+            const esm = await syntaxChecker.checkSyntax('export const sum = (a, b) => a + b;', 'javascript', 'src/sum.js');
+            const cjs = await syntaxChecker.checkSyntax('if (!module.parent) return;\nmodule.exports = 1;', 'javascript', 'src/main.js');
+
+            expect(esm).toMatchObject({ valid: true, parser: 'node' });
+            expect(cjs).toMatchObject({ valid: true, parser: 'node' });
+        });
+
+        it('should report the line of a syntax error in an ES module', async () => {
+            const result = await syntaxChecker.checkSyntax('const a = 1;\nconst x = ;', 'javascript', 'src/x.mjs');
+
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toMatchObject({ line: 2, message: expect.stringContaining('Unexpected token') });
+        });
+
+        it('should leave a .js file node cannot parse, such as JSX, unchecked', async () => {
+            const result = await syntaxChecker.checkSyntax('export const App = () => <div>Hi</div>;', 'javascript', 'src/App.js');
+
+            expect(result.valid).toBeNull();
+            expect(result.reason).toContain("Unexpected token '<'");
+        });
+
+        it('should leave TypeScript and JSX unchecked', async () => {
+            const result = await syntaxChecker.checkSyntax('const x: number = 1;', 'typescript', 'src/x.ts');
+
+            expect(result.valid).toBeNull();
+            expect(result.reason).toContain('typescript is not installed');
+        });
+    });
+
+    describe('JSON and YAML', () => {
+        it('should validate JSON', async () => {
+            expect((await syntaxChecker.checkSyntax('{"name": "app"}', 'json')).valid).toBe(true);
+            expect((await syntaxChecker.checkSyntax('{"name": "app",}', 'json')).valid).toBe(false);
+        });
+
+        it('should validate every YAML document', async () => {
+            expect((await syntaxChecker.checkSyntax('a: 1\n---\nb: 2\n', 'yaml')).valid).toBe(true);
+
+            const result = await syntaxChecker.checkSyntax('a: 1\n---\nb: [2\n', 'yaml');
+            expect(result.valid).toBe(false);
+            expect(result.errors[0].message).not.toContain('at line');
+        });
+    });
+
+    describe('checkSyntax', () => {
+        it('should return an unknown result for unsupported languages', async () => {
+            const result = await syntaxChecker.checkSyntax('fn main() {}', 'rust');
+
+            expect(result.valid).toBeNull();
+            expect(result.reason).toContain('rust');
+        });
+    });
+
+    describe('formatSyntaxErrors', () => {
+        it('should format one error per line', () => {
+            const text = syntaxChecker.formatSyntaxErrors([
+                { line: 3, column: 5, message: "';' expected." },
+                { line: null, column: null, message: 'Unexpected end of JSON input' },
+            ]);
+
+            expect(text).toBe("Line 3:5: ';' expected.\nUnexpected end of JSON input");
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Usage Tracker and Pricing Tests
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+    default: {
+        llmUsage: {
+            create: jest.fn(async ({ data }) => data),
+            aggregate: jest.fn(),
+        },
+    },
+}));
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+describe('Usage Tracker', () => {
+    let usageTracker;
+    let pricing;
+    let runWithContext;
+    let prisma;
+
+    beforeEach(async () => {
+        jest.resetModules();
+        delete process.env.LLM_PRICES;
+
+        prisma = (await import('../src/config/database.js')).default;
+        prisma.llmUsage.create.mockClear();
+        prisma.llmUsage.aggregate.mockReset();
+        usageTracker = await import('../src/utils/usage-tracker.js');
+        pricing = await import('../src/config/llm-pricing.js');
+        ({ runWithContext } = await import('../src/utils/request-context.js'));
+    });
+
+    describe('estimateCost', () => {
+        it('should price tokens per million', () => {
+            const cost = pricing.estimateCost({
+                provider: 'anthropic',
+                model: 'claude-sonnet-4-0',
+                usage: { promptTokens: 1000000, responseTokens: 100000 },
+            });
+
+            expect(cost).toBeCloseTo(4.5);
+        });
+
+        it('should treat free and local models as free', () => {
+            const usage = { promptTokens: 5000, responseTokens: 5000 };
+
+            expect(pricing.estimateCost({ provider: 'openrouter', model: 'deepseek/deepseek-chat:free', usage })).toBe(0);
+            expect(pricing.estimateCost({ provider: 'openai-compatible', model: 'qwen2.5-coder:7b', usage })).toBe(0);
+        });
+
+        it('should apply LLM_PRICES overrides', () => {
+            process.env.LLM_PRICES = JSON.stringify({ 'my-model': { input: 1, output: 2 } });
+
+            const cost = pricing.estimateCost({
+                provider: 'openai-compatible',
+                model: 'my-model',
+                usage: { promptTokens: 1000000, responseTokens: 1000000 },
+            });
+
+            expect(cost).toBe(3);
+        });
+    });
+
+    describe('recordLlmUsage', () => {
+        const call = {
+            agent: 'surgeon',
+            provider: 'gemini',
+            model: 'gemini-2.5-flash',
+            usage: { promptTokens: 2000, responseTokens: 400, totalTokens: 2400 },
+            latency: 900,
+        };
+
+        it('should attribute calls to the current failure event and repository', async () => {
+            const row = await runWithContext(
+                { failureEventId: 'event-1', repoFullName: 'acme/api' },
+                () => usageTracker.recordLlmUsage(call)
+            );
+
+            expect(row).toMatchObject({
+                failureEventId: 'event-1',
+                repoFullName: 'acme/api',
+                agent: 'surgeon',
+                totalTokens: 2400,
+            });
+            expect(row.costUsd).toBeCloseTo(0.0016);
+        });
+
+        it('should not persist calls outside a request context', async () => {
+            expect(await usageTracker.recordLlmUsage(call)).toBeNull();
+            expect(prisma.llmUsage.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('checkDailyBudget', () => {
+        it('should report an exhausted budget', async () => {
+            prisma.llmUsage.aggregate.mockResolvedValue({ _sum: { costUsd: 5.2 } });
+
+            const budget = await usageTracker.checkDailyBudget('acme/api', 5);
+
+            expect(budget).toEqual({ exhausted: true, spentUsd: 5.2, budgetUsd: 5 });
+            expect(prisma.llmUsage.aggregate).toHaveBeenCalledWith(expect.objectContaining({
+                where: { repoFullName: 'acme/api', createdAt: { gte: usageTracker.startOfUtcDay() } },
+            }));
+        });
+
+        it('should skip the query when there is no budget', async () => {
+            const budget = await usageTracker.checkDailyBudget('acme/api', null);
+
+            expect(budget.exhausted).toBe(false);
+            expect(prisma.llmUsage.aggregate).not.toHaveBeenCalled();
+        });
+    });
+});
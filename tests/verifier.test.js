@@ -0,0 +1,112 @@
+/**
+ * Verifier Agent Tests
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        startOperation: jest.fn(() => Date.now()),
+        endOperation: jest.fn(),
+        failOperation: jest.fn(),
+    },
+}));
+
+describe('Verifier Agent', () => {
+    let verifier;
+    let workDir;
+
+    beforeEach(async () => {
+        jest.resetModules();
+
+        const verifierModule = await import('../src/agents/verifier.js');
+        verifier = verifierModule.verifier;
+        workDir = await mkdtemp(path.join(os.tmpdir(), 'verifier-test-'));
+    });
+
+    afterEach(async () => {
+        await rm(workDir, { recursive: true, force: true });
+    });
+
+    describe('getDefaultCommand', () => {
+        it('should build syntax checks for known file types', () => {
+            const command = verifier.getDefaultCommand(['src/app.mjs', 'tools/build.py']);
+
+            expect(command).toBe("node --check 'src/app.mjs' && python3 -m py_compile 'tools/build.py'");
+        });
+
+        it('should leave .js files, which may hold JSX, to the syntax checker', () => {
+            expect(verifier.getDefaultCommand(['src/App.js'])).toBeNull();
+        });
+
+        it('should return null when no file has a checker', () => {
+            expect(verifier.getDefaultCommand(['README.md'])).toBeNull();
+        });
+    });
+
+    describe('applyFiles', () => {
+        it('should write fixed files into nested directories', async () => {
+            await verifier.applyFiles(workDir, [{ path: 'src/lib/util.js', fixedCode: 'export const x = 1;\n' }]);
+
+            const content = await readFile(path.join(workDir, 'src/lib/util.js'), 'utf8');
+            expect(content).toBe('export const x = 1;\n');
+        });
+
+        it('should refuse paths outside the checkout', async () => {
+            await expect(
+                verifier.applyFiles(workDir, [{ path: '../escape.js', fixedCode: '' }])
+            ).rejects.toThrow('outside the sandbox');
+        });
+    });
+
+    describe('runCommand', () => {
+        it('should pass when the check succeeds', async () => {
+            await verifier.applyFiles(workDir, [{ path: 'ok.mjs', fixedCode: 'const a = 1;\n' }]);
+
+            const result = await verifier.runCommand(verifier.getDefaultCommand(['ok.mjs']), workDir);
+
+            expect(result.passed).toBe(true);
+            expect(result.exitCode).toBe(0);
+        });
+
+        it('should fail with output when the check fails', async () => {
+            await verifier.applyFiles(workDir, [{ path: 'bad.mjs', fixedCode: 'const a = ;\n' }]);
+
+            const result = await verifier.runCommand(verifier.getDefaultCommand(['bad.mjs']), workDir);
+
+            expect(result.passed).toBe(false);
+            expect(result.output).toContain('SyntaxError');
+        });
+
+        it('should treat a missing checker as skipped', async () => {
+            const result = await verifier.runCommand('definitely-not-a-command-xyz', workDir);
+
+            expect(result.passed).toBeNull();
+            expect(result.reason).toContain('not found');
+        });
+
+        it('should kill processes the command started when it times out', async () => {
+            const result = await verifier.runCommand('sleep 30 & sleep 30', workDir, 500);
+
+            expect(result.passed).toBe(false);
+            expect(result.reason).toBe('Timed out after 500ms');
+            expect(result.durationMs).toBeLessThan(5000);
+        });
+
+        it('should not expose server secrets to the command', async () => {
+            process.env.GITHUB_TOKEN = 'secret-token';
+
+            const result = await verifier.runCommand('echo "token=$GITHUB_TOKEN"', workDir);
+
+            expect(result.output.trim()).toBe('token=');
+            delete process.env.GITHUB_TOKEN;
+        });
+    });
+});